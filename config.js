@@ -5,20 +5,10 @@
  */
 
 import dotenv from 'dotenv';
-import { createHash } from 'crypto';
 
 // Load quantum environment variables
 dotenv.config();
 
-// Calculate quantum entropy from environment
-const calculateQuantumEntropy = () => {
-  const entropySource = process.env.QUANTUM_ENTROPY_SOURCE || Date.now().toString();
-  return createHash('sha256')
-    .update(entropySource)
-    .digest('hex')
-    .slice(0, 8);
-};
-
 // Advanced consciousness configuration
 const consciousnessConfig = {
   // Base frequency using fine structure constant
@@ -36,7 +26,9 @@ const consciousnessConfig = {
     coherenceThreshold: 0.5,
     entanglementStrength: 0.137,
     decoherenceRate: 0.01,
-    waveFunctionCollapse: 0.001
+    waveFunctionCollapse: 0.001,
+    pulseInterval: 1000, // how often the state advances and is pulsed to tunnels
+    significantChange: 0.1 // tunnel state changes this large are passed on to the others
   },
   
   // Consciousness range parameters
@@ -54,19 +46,62 @@ const peerConfig = {
     port: process.env.PORT || 3000,
     host: process.env.HOST || '0.0.0.0',
     protocol: process.env.PROTOCOL || 'wss',
-    maxConnections: 33, // Quantum limit
-    connectionTimeout: 5000
+    maxConnections: 33, // Quantum limit, inbound and outbound together
+    connectionTimeout: 5000,
+    // How maxConnections is shared out, and which inbound peers eviction spares
+    slots: {
+      outbound: 8, // the remaining slots take inbound connections
+      protectedPeers: 4, // long-lived peers with the best reputation
+      protectAfter: 600000, // connected this long to count as long-lived
+      protectMinScore: 80,
+      protectByLatency: 4,
+      protectByStrength: 4
+    }
+  },
+  
+  // WebSocket routes on the one HTTP listener, each with its own limits
+  listener: {
+    client: {
+      path: '/client', // browsers
+      maxConnections: 256,
+      maxPayload: 1024 * 1024,
+      allowedOrigins: process.env.CLIENT_ORIGINS // origins browsers may connect from; unset allows any
+        ? JSON.parse(process.env.CLIENT_ORIGINS)
+        : []
+    },
+    peer: {
+      path: '/peer', // other nodes; connections are limited by network.slots
+      maxPayload: 50 * 1024 * 1024
+    },
+    tunnel: {
+      path: '/tunnel', // quantum tunnels, limited like inbound peers
+      maxPayload: 1024 * 1024
+    }
   },
   
   // Quantum routing parameters
   routing: {
-    maxRoutes: 8,
-    routeTimeout: 30000,
-    routeUpdateInterval: 5000,
+    maxRoutes: 8, // alternative next hops kept per destination
+    routeTimeout: 30000, // routes and routed packets older than this are dropped
+    routeUpdateInterval: 5000, // how often neighbours are sent our route vector
+    maxDestinations: 1024,
     quantumPathfinding: {
       maxDepth: 5,
       resonanceThreshold: 0.3,
       pathDecayRate: 0.1
+    },
+    // Kademlia lookups over node and transmission ids
+    dht: {
+      bucketSize: 20, // k: contacts per bucket, and replicas per stored value
+      parallelism: 3, // alpha: requests in flight per lookup
+      requestTimeout: 5000,
+      maxRpcConnections: 6, // short-lived connections to nodes we have no session with
+      refreshInterval: 3600000, // buckets with no lookup for this long are refreshed
+      valueTtl: 86400000,
+      republishInterval: 3600000,
+      maxValuesPerKey: 20,
+      maxKeys: 10000,
+      maxValueSize: 1024 // bytes of JSON per value
     }
   },
   
@@ -77,11 +112,38 @@ const peerConfig = {
       : [],
     peerExchangeInterval: 60000,
     maxPeerAge: 3600000,
+    advertiseAddress: process.env.ADVERTISE_ADDRESS || null, // ws(s) URL of our peer path, e.g. wss://node.example/peer
+    exchangeSize: 16, // addresses sent, and accepted, per exchange
+    maxAddressesPerPeer: 32, // addresses one peer may add to our book
+    maxAddresses: 1024,
+    allowPrivateAddresses: process.env.ALLOW_PRIVATE_ADDRESSES === 'true', // accept loopback and LAN addresses from peers
+    persistInterval: 60000, // how often a changed address book is written to QUANTUM_DIR
     bootstrapNodes: process.env.BOOTSTRAP_NODES
       ? JSON.parse(process.env.BOOTSTRAP_NODES)
       : []
   },
   
+  // Circuit relays for nodes that cannot accept inbound connections
+  relay: {
+    enabled: true, // relay for others whenever we have an advertiseAddress
+    maxReservations: 16,
+    reservationTtl: 3600000,
+    maxCircuitsPerReservation: 4,
+    maxCircuitBytes: 16 * 1024 * 1024, // both directions together
+    maxCircuitDuration: 600000,
+    reservations: 2 // relays to reserve with when we have no advertiseAddress
+  },
+  
+  // How often dead peers are forgotten and routes re-ranked
+  maintenanceInterval: 30000,
+  
+  // Sequence-numbered ping/pong probes measuring each peer
+  heartbeat: {
+    interval: 5000,
+    probeTimeout: 10000, // unanswered pings count as lost after this
+    lossWindow: 20 // latest pings the loss estimate covers
+  },
+  
   // Sophisticated handshake protocol
   handshake: {
     timeout: 10000,
@@ -100,10 +162,27 @@ const transmissionConfig = {
   protocol: {
     version: '1.0.0',
     encoding: 'quantum-binary',
-    compression: 'gzip',
+    compression: {
+      codecs: ['brotli', 'gzip', 'deflate', 'none'], // in order of preference
+      minSize: 512 // smaller payloads are sent uncompressed
+    },
     maxPayloadSize: 50 * 1024 * 1024 // 50MB
   },
   
+  // Chunked transfer for large payloads
+  chunking: {
+    threshold: 1024 * 1024, // larger payloads are sent in chunks
+    chunkSize: 256 * 1024,
+    window: 8, // chunk requests in flight per transfer
+    requestTimeout: 15000,
+    transferTtl: 3600000,
+    // Downloads held at once, and the bytes they may reserve on disk
+    maxDownloads: 32,
+    maxDownloadBytes: 1024 * 1024 * 1024,
+    maxDownloadsPerPeer: 4,
+    maxDownloadBytesPerPeer: 128 * 1024 * 1024
+  },
+  
   // Buffer management
   buffers: {
     pending: {
@@ -112,7 +191,8 @@ const transmissionConfig = {
     },
     verified: {
       maxSize: 10000,
-      pruneThreshold: 0.9
+      pruneThreshold: 0.9,
+      archiveAge: 86400000
     },
     archived: {
       maxSize: 100000,
@@ -120,6 +200,56 @@ const transmissionConfig = {
     }
   },
   
+  // History queries
+  query: {
+    defaultLimit: 50,
+    maxLimit: 200
+  },
+  
+  // Full-text search
+  search: {
+    persistInterval: 60000,
+    snippetLength: 160
+  },
+  
+  // Author-set lifetimes and retraction
+  expiry: {
+    defaultTtl: 864000000, // 10 days, when the author sets none
+    maxTtl: 31536000000, // longer lifetimes are cut to this
+    tombstoneGrace: 86400000 // tombstones outlive what they delete by this
+  },
+
+  // Retractions kept and passed on
+  tombstones: {
+    maxClockSkew: 300000, // tombstones dated further ahead are refused
+    maxStored: 100000, // kept for transmissions we do not hold
+    maxStoredPerPeer: 5000, // of those, ones any one node may add
+    pageSize: 256, // tombstones per message
+    // Tombstones from peers gossiped on per window; our own always go
+    rebroadcast: {
+      window: 60000,
+      max: 600
+    }
+  },
+  
+  // Reply threads
+  threads: {
+    maxDepth: 256, // ancestors followed when rebuilding a thread
+    orphanTimeout: 3600000 // replies wait this long for their parent
+  },
+
+  // Epidemic spread between peers; the hop limit is routing.quantumPathfinding.maxDepth
+  gossip: {
+    fanout: 6, // peers each new transmission is passed to
+    lazyThreshold: 64 * 1024, // larger content is announced, and fetched on demand
+    fetchTimeout: 30000, // before asking the next peer that announced it
+    seenCacheSize: 10000,
+    seenTtl: 3600000,
+    maxAnnouncements: 64, // ids per announce or request message
+    maxWanted: 1024, // announced ids waiting to be fetched
+    maxWantedPerPeer: 128 // of those, ids one peer's announcements may add
+  },
+  
   // Quantum validation
   validation: {
     signatureTimeout: 5000,
@@ -170,16 +300,39 @@ const performanceConfig = {
 const securityConfig = {
   // Quantum encryption
   encryption: {
-    algorithm: 'quantum-aes-256-gcm',
-    keyDerivation: 'quantum-pbkdf2',
-    saltRounds: 10000
+    algorithm: 'aes-256-gcm', // or 'chacha20-poly1305'
+    keyAgreement: 'x25519',
+    keyDerivation: 'hkdf-sha256',
+    rotationInterval: 3600000,
+    rotationGrace: 120000
   },
   
   // Access control
   access: {
     maxAttempts: 5,
-    lockoutPeriod: 300000,
-    tokenExpiry: 86400000
+    lockoutPeriod: 300000, // how long a banned peer stays banned
+    tokenExpiry: 86400000,
+    adminToken: process.env.ADMIN_TOKEN || null // bearer token for admin endpoints; unset disables them
+  },
+  
+  // Node identity kept in QUANTUM_DIR
+  identity: {
+    passphrase: process.env.IDENTITY_PASSPHRASE || null // encrypts the private key at rest
+  },
+  
+  // Misbehavior scoring; peers at or below the threshold are banned
+  reputation: {
+    initialScore: 100,
+    banThreshold: 0,
+    recoveryRate: 1, // points earned back per minute
+    penalties: {
+      malformed_message: 10, // unparseable JSON or invalid fields
+      invalid_signature: 25,
+      protocol_violation: 20, // unknown or out-of-order messages
+      handshake_failure: 34
+    },
+    maxTracked: 10000, // peers scored at once
+    pruneInterval: 60000
   },
   
   // Rate limiting
@@ -190,10 +343,24 @@ const securityConfig = {
   }
 };
 
+// Storage configuration
+const storageConfig = {
+  transmissionDir: process.env.TRANSMISSION_DIR || '_transmissions',
+  quantumDir: process.env.QUANTUM_DIR || '_quantum',
+  consciousnessDir: process.env.CONSCIOUSNESS_DIR || '_consciousness',
+  
+  // Log compaction
+  compaction: {
+    threshold: 0.5, // compact when live records fall below this share
+    minLogSize: 1024 * 1024,
+    indexEvery: 500 // appends between index snapshots
+  }
+};
+
 // Export unified configuration
 export const config = {
   // Core identity
-  nodeId: process.env.NODE_ID || calculateQuantumEntropy(),
+  nodeId: process.env.NODE_ID || null, // otherwise the id stored in QUANTUM_DIR, or a new random one
   environment: process.env.NODE_ENV || 'development',
   
   // Feature flags
@@ -219,6 +386,9 @@ export const config = {
   // Security configuration
   security: securityConfig,
   
+  // Storage configuration
+  storage: storageConfig,
+  
   // Debug configuration
   debug: {
     enabled: process.env.DEBUG === 'true',
@@ -231,7 +401,6 @@ export const config = {
 const validateConfig = (config) => {
   // Ensure required quantum parameters
   const required = [
-    'nodeId',
     'consciousness.baseFrequency',
     'peer.network.port',
     'transmission.protocol.version'
@@ -258,6 +427,9 @@ const validateConfig = (config) => {
   if (config.peer.network.maxConnections > 100) {
     throw new Error('Peer connections exceed quantum limit');
   }
+  if (config.peer.network.slots.outbound >= config.peer.network.maxConnections) {
+    throw new Error('Outbound slots leave no room for inbound peers');
+  }
   
   return config;
 };
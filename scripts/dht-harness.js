@@ -0,0 +1,146 @@
+/**
+ * DHT Harness
+ * Runs hundreds of in-process DHT nodes over a simulated transport and
+ * reports how often peer and value lookups succeed, and in how many requests
+ *
+ * Usage: node scripts/dht-harness.js [nodes] [lookups] [offline fraction]
+ */
+
+import { randomBytes } from 'crypto';
+import config from '../config.js';
+import { Dht } from '../src/lib/dht.js';
+
+const NODES = Number(process.argv[2] ?? 500);
+const LOOKUPS = Number(process.argv[3] ?? 200);
+const OFFLINE = Number(process.argv[4] ?? 0.1);
+
+// Lookups must succeed at least this often for the run to pass
+const REQUIRED_SUCCESS = 0.99;
+
+const nodes = new Map();
+const offline = new Set();
+
+/**
+ * Deliver a request on the next tick, failing for nodes that went away
+ */
+const transport = (from) => async (contact, request) => {
+  await new Promise(resolve => setImmediate(resolve));
+
+  const target = nodes.get(contact.nodeId);
+  if (!target || offline.has(contact.nodeId)) {
+    throw new Error(`${contact.nodeId} is unreachable`);
+  }
+  return structuredClone(target.handleRequest(structuredClone(request), from));
+};
+
+const createNode = () => {
+  const nodeId = randomBytes(16).toString('hex');
+  const self = { nodeId, address: `ws://node-${nodeId}.invalid:3000/` };
+
+  const dht = new Dht(config, { rpc: transport(self) });
+  dht.start(self);
+
+  const queries = [];
+  dht.on('dht:lookup', ({ queried }) => queries.push(queried));
+  dht.queries = queries;
+
+  nodes.set(nodeId, dht);
+  return dht;
+};
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+const summarize = (label, results) => {
+  const succeeded = results.filter(result => result.ok).length;
+  const requests = results.map(result => result.queried).sort((a, b) => a - b);
+  const mean = requests.reduce((total, count) => total + count, 0) / requests.length;
+  const rate = succeeded / results.length;
+
+  console.log(
+    `${label.padEnd(14)} ${succeeded}/${results.length} succeeded (${(rate * 100).toFixed(1)}%), ` +
+    `requests per lookup: mean ${mean.toFixed(1)}, ` +
+    `median ${requests[Math.floor(requests.length / 2)]}, max ${requests.at(-1)}`
+  );
+  return rate;
+};
+
+/**
+ * Requests a lookup made, read from the lookup events it emitted
+ */
+const measure = async (dht, lookup) => {
+  const before = dht.queries.length;
+  const value = await lookup();
+  const queried = dht.queries.slice(before).reduce((total, count) => total + count, 0);
+  return { value, queried };
+};
+
+const main = async () => {
+  const { bucketSize, parallelism } = config.peer.routing.dht;
+  console.log(
+    `${NODES} nodes, k=${bucketSize}, alpha=${parallelism}, ` +
+    `${(OFFLINE * 100).toFixed(0)}% offline after joining`
+  );
+
+  // Each node joins through one random node already in the network
+  const joined = [createNode()];
+  for (let i = 1; i < NODES; i++) {
+    const dht = createNode();
+    const seed = pick(joined);
+    dht.addContact({ nodeId: seed.nodeId, address: seed.address });
+    await dht.bootstrap();
+    joined.push(dht);
+  }
+
+  // Values are published before some of the network drops out
+  const values = [];
+  for (let i = 0; i < LOOKUPS; i++) {
+    const id = randomBytes(32).toString('hex');
+    const publisher = pick(joined);
+    await publisher.store(id, { address: publisher.address });
+    values.push({ id, publisher: publisher.nodeId });
+  }
+
+  for (const dht of joined) {
+    if (Math.random() < OFFLINE) offline.add(dht.nodeId);
+  }
+  const online = joined.filter(dht => !offline.has(dht.nodeId));
+  const contacts = online.map(dht => dht.table.size);
+  console.log(
+    `${online.length} online, routing table contacts: ` +
+    `min ${Math.min(...contacts)}, max ${Math.max(...contacts)}`
+  );
+
+  const peerLookups = [];
+  for (let i = 0; i < LOOKUPS; i++) {
+    const searcher = pick(online);
+    const target = pick(online);
+    const { value, queried } = await measure(searcher, () => searcher.findPeer(target.nodeId));
+    peerLookups.push({ ok: value?.nodeId === target.nodeId, queried });
+  }
+
+  const valueLookups = [];
+  for (const { id, publisher } of values) {
+    // Values whose publisher went offline must still be found on their replicas
+    const searcher = pick(online.filter(dht => dht.nodeId !== publisher));
+    const { value, queried } = await measure(searcher, () => searcher.findValue(id));
+    valueLookups.push({
+      ok: value.some(entry => entry.publisher === publisher),
+      queried
+    });
+  }
+
+  const rates = [
+    summarize('FIND_NODE', peerLookups),
+    summarize('FIND_VALUE', valueLookups)
+  ];
+
+  if (rates.some(rate => rate < REQUIRED_SUCCESS)) {
+    console.error(`Lookup success fell below ${REQUIRED_SUCCESS * 100}%`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
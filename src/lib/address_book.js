@@ -0,0 +1,359 @@
+import { mkdir, open, readFile, rename, writeFile } from 'fs/promises';
+import { BlockList, isIP } from 'net';
+import { join } from 'path';
+
+const BOOK_FILE = 'address-book.json';
+const BOOK_VERSION = 1;
+
+// Hosts no peer should get us to dial: loopback, private, link-local,
+// shared, multicast and reserved ranges
+const NON_PUBLIC = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b:1::', 48], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * AddressBook
+ * Peer addresses learned from configuration, connections and peer exchange
+ *
+ * Entries expire once nobody has vouched for them within maxPeerAge, and
+ * each source may only hold a bounded share of the book so a single peer
+ * cannot crowd out everyone else. Only the source that added an entry may
+ * refresh it, and peers may only add public hosts unless
+ * allowPrivateAddresses is set. The book is kept on disk, so a restarted
+ * node can dial the peers it knew instead of only its bootstrap list.
+ */
+export class AddressBook {
+  constructor(config) {
+    this.settings = config.peer.discovery;
+    this.path = join(config.storage.quantumDir, BOOK_FILE);
+
+    // address -> { address, nodeId, lastSeen, source, addedAt, failures, score }
+    this.entries = new Map();
+
+    // source -> number of entries it added
+    this.sourceCounts = new Map();
+
+    // Our own address and node id are never stored
+    this.selfAddress = null;
+    this.selfNodeId = null;
+
+    this.dirty = false;
+  }
+
+  /**
+   * Load the addresses known before the last restart, dropping stale ones
+   */
+  async load() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      // No book yet
+      return;
+    }
+    if (snapshot.version !== BOOK_VERSION || !Array.isArray(snapshot.entries)) return;
+
+    for (const entry of snapshot.entries) {
+      if (!this.add(entry, entry.source ?? null)) continue;
+
+      const loaded = this.entries.get(AddressBook.normalize(entry.address));
+      loaded.failures = Number.isInteger(entry.failures) ? entry.failures : 0;
+      loaded.score = Number.isFinite(entry.score) ? entry.score : null;
+    }
+    this.dirty = false;
+  }
+
+  /**
+   * Persist the book periodically while it changes
+   */
+  start() {
+    this.persistInterval = setInterval(() => {
+      if (this.dirty) this.save().catch(() => {});
+    }, this.settings.persistInterval);
+    this.persistInterval.unref?.();
+  }
+
+  /**
+   * Stop persisting and write a final snapshot
+   */
+  async stop() {
+    clearInterval(this.persistInterval);
+    if (this.dirty) await this.save();
+  }
+
+  /**
+   * Atomically write the book
+   */
+  async save() {
+    this.prune();
+
+    const snapshot = {
+      version: BOOK_VERSION,
+      entries: [...this.entries.values()]
+    };
+
+    this.dirty = false;
+    await mkdir(join(this.path, '..'), { recursive: true });
+
+    const temp = `${this.path}.tmp`;
+    await writeFile(temp, JSON.stringify(snapshot));
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, this.path);
+  }
+
+  /**
+   * Remember who we are so we never list ourselves
+   */
+  setSelf({ address, nodeId }) {
+    this.selfAddress = address ? AddressBook.normalize(address) : null;
+    this.selfNodeId = nodeId ?? null;
+  }
+
+  /**
+   * Canonical form of a peer address, or null when it is not one
+   */
+  static normalize(address) {
+    if (typeof address !== 'string' || address.length > 256) return null;
+
+    try {
+      const url = new URL(address);
+      if (url.protocol !== 'ws:' && url.protocol !== 'wss:') return null;
+      if (!url.hostname || url.username || url.password) return null;
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a normalized address names a host on the public internet
+   *
+   * Names are taken as public, apart from localhost; IP literals are
+   * checked against the non-public ranges.
+   */
+  static isPublic(address) {
+    const { hostname } = new URL(address);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    const version = isIP(host);
+    if (version === 0) {
+      return host !== 'localhost' && !host.endsWith('.localhost');
+    }
+    return !NON_PUBLIC.check(host, version === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Add or refresh an address, returning whether it was accepted
+   *
+   * The source is the node that told us about it, or null for addresses
+   * we learned first-hand, which no quota applies to.
+   */
+  add({ address, nodeId = null, lastSeen = Date.now() }, source) {
+    const normalized = AddressBook.normalize(address);
+    if (!normalized || normalized === this.selfAddress) return false;
+    if (source !== null && !this.settings.allowPrivateAddresses && !AddressBook.isPublic(normalized)) {
+      return false;
+    }
+    if (nodeId !== null && (typeof nodeId !== 'string' || nodeId.length > 128)) return false;
+    if (nodeId !== null && nodeId === this.selfNodeId) return false;
+    if (!Number.isFinite(lastSeen)) return false;
+
+    // Claims from the future are only as fresh as now
+    const now = Date.now();
+    const seen = Math.min(lastSeen, now);
+    if (now - seen >= this.settings.maxPeerAge) return false;
+
+    const existing = this.entries.get(normalized);
+    if (existing) {
+      // Nobody can keep alive or rename an entry someone else vouched for
+      if (existing.source !== source) return false;
+
+      existing.lastSeen = Math.max(existing.lastSeen, seen);
+      existing.nodeId = existing.nodeId ?? nodeId;
+      this.dirty = true;
+      return true;
+    }
+
+    if (source !== null &&
+        (this.sourceCounts.get(source) ?? 0) >= this.settings.maxAddressesPerPeer) {
+      return false;
+    }
+    if (this.entries.size >= this.settings.maxAddresses && !this._evictStalest(seen)) {
+      return false;
+    }
+
+    this.entries.set(normalized, {
+      address: normalized,
+      nodeId,
+      lastSeen: seen,
+      source,
+      addedAt: now,
+      failures: 0,
+      score: null
+    });
+    if (source !== null) {
+      this.sourceCounts.set(source, (this.sourceCounts.get(source) ?? 0) + 1);
+    }
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Record a live connection to an address
+   */
+  touch(address, nodeId = null) {
+    const entry = this.entries.get(AddressBook.normalize(address));
+    if (!entry) return;
+
+    entry.lastSeen = Date.now();
+    entry.nodeId = nodeId ?? entry.nodeId;
+    entry.failures = 0;
+    this.dirty = true;
+  }
+
+  /**
+   * Count a failed dial against an address
+   */
+  recordFailure(address) {
+    const entry = this.entries.get(AddressBook.normalize(address));
+    if (!entry) return;
+
+    entry.failures++;
+    this.dirty = true;
+  }
+
+  /**
+   * Record a node's latest reputation score on each of its addresses
+   */
+  setScore(nodeId, score) {
+    for (const entry of this.entries.values()) {
+      if (entry.nodeId !== nodeId) continue;
+      entry.score = score;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Most promising addresses to dial: fewest failures, best score, most
+   * recently seen
+   */
+  best(count, exclude = new Set()) {
+    const now = Date.now();
+    return [...this.entries.values()]
+      .filter(entry => !exclude.has(entry.address) && now - entry.lastSeen < this.settings.maxPeerAge)
+      .sort((a, b) =>
+        a.failures - b.failures ||
+        (b.score ?? Infinity) - (a.score ?? Infinity) ||
+        b.lastSeen - a.lastSeen
+      )
+      .slice(0, count)
+      .map(({ address, nodeId }) => ({ address, nodeId }));
+  }
+
+  /**
+   * Every known peer with its addresses, most recently seen first
+   *
+   * Addresses nobody has named a node for are listed on their own.
+   */
+  getKnown() {
+    const peers = new Map();
+    for (const entry of this.entries.values()) {
+      const key = entry.nodeId ?? entry.address;
+      if (!peers.has(key)) {
+        peers.set(key, { nodeId: entry.nodeId, addresses: [], lastSeen: 0, failures: 0, score: null });
+      }
+
+      const peer = peers.get(key);
+      peer.addresses.push({ address: entry.address, lastSeen: entry.lastSeen, failures: entry.failures });
+      peer.lastSeen = Math.max(peer.lastSeen, entry.lastSeen);
+      peer.failures += entry.failures;
+      peer.score = entry.score ?? peer.score;
+    }
+
+    return [...peers.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Forget an address
+   */
+  remove(address) {
+    const normalized = AddressBook.normalize(address);
+    const entry = this.entries.get(normalized);
+    if (!entry) return;
+
+    this.entries.delete(normalized);
+    this.dirty = true;
+    if (entry.source === null) return;
+
+    const count = this.sourceCounts.get(entry.source) - 1;
+    if (count > 0) {
+      this.sourceCounts.set(entry.source, count);
+    } else {
+      this.sourceCounts.delete(entry.source);
+    }
+  }
+
+  /**
+   * Drop addresses nobody has vouched for within maxPeerAge
+   */
+  prune(now = Date.now()) {
+    for (const entry of [...this.entries.values()]) {
+      if (now - entry.lastSeen >= this.settings.maxPeerAge) {
+        this.remove(entry.address);
+      }
+    }
+  }
+
+  /**
+   * Random sample of fresh addresses
+   */
+  sample(size, exclude = new Set()) {
+    const now = Date.now();
+    const candidates = [...this.entries.values()].filter(entry =>
+      !exclude.has(entry.address) && now - entry.lastSeen < this.settings.maxPeerAge
+    );
+
+    // Partial Fisher-Yates shuffle
+    const count = Math.min(size, candidates.length);
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(Math.random() * (candidates.length - i));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    return candidates.slice(0, count).map(({ address, nodeId, lastSeen }) => ({
+      address,
+      nodeId,
+      lastSeen
+    }));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Make room by evicting the stalest entry, if it is staler than a newcomer
+   */
+  _evictStalest(lastSeen) {
+    let stalest = null;
+    for (const entry of this.entries.values()) {
+      if (!stalest || entry.lastSeen < stalest.lastSeen) stalest = entry;
+    }
+
+    if (!stalest || stalest.lastSeen >= lastSeen) return false;
+    this.remove(stalest.address);
+    return true;
+  }
+}
@@ -0,0 +1,510 @@
+import { createHash } from 'crypto';
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { canonicalize } from './signatures.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+/**
+ * ChunkedTransfer
+ * Content-addressed, receiver-paced transfer of large payloads between peers
+ *
+ * A payload is cut into fixed-size chunks named by their SHA-256. The
+ * manifest lists the chunk hashes and is itself named by the hash of its
+ * canonical form, so both sides can check every byte they exchange. The
+ * receiver pulls chunks with at most `window` requests in flight; chunks it
+ * already holds on disk are never requested again, which is what lets a
+ * dropped transfer resume where it stopped. Transfers are keyed by the
+ * authenticated node id, not the connection, so they survive a reconnect.
+ */
+export class ChunkedTransfer extends EventEmitter {
+  constructor(config, { seal, open }) {
+    super();
+
+    this.settings = config.transmission.chunking;
+    this.maxPayloadSize = config.transmission.protocol.maxPayloadSize;
+    this.chunkDir = join(config.storage.transmissionDir, 'chunks');
+
+    // Per-node encryption of chunk bodies
+    this.seal = seal;
+    this.open = open;
+
+    // manifestId -> { manifest, meta, sent: Map<nodeId, Set<hash>>, updatedAt }
+    this.uploads = new Map();
+
+    // manifestId -> { manifest, meta, origin, have, inflight, sources, received, updatedAt }
+    this.downloads = new Map();
+
+    // Nodes whose connection dropped; their transfers wait for them
+    this.offline = new Set();
+  }
+
+  /**
+   * Prepare the chunk store and start the retry loop
+   */
+  async initialize() {
+    await mkdir(this.chunkDir, { recursive: true });
+    await this._sweepChunks();
+
+    this.tickInterval = setInterval(() => {
+      this._tick().catch(error => this.emit('transfer:error', {
+        type: 'tick_failed',
+        error: error.message
+      }));
+    }, Math.ceil(this.settings.requestTimeout / 2));
+  }
+
+  /**
+   * Stop the retry loop
+   */
+  stop() {
+    clearInterval(this.tickInterval);
+  }
+
+  /**
+   * Provide the function used to send messages to a peer
+   */
+  attachChannel(send) {
+    this.send = send;
+  }
+
+  /**
+   * Offer a payload to a peer, who will pull its chunks
+   */
+  async upload(nodeId, payload, meta = {}) {
+    const manifest = await this._prepare(payload);
+
+    const upload = this.uploads.get(manifest.id) ?? {
+      manifest,
+      meta,
+      sent: new Map(),
+      updatedAt: Date.now()
+    };
+    upload.sent.set(nodeId, upload.sent.get(nodeId) ?? new Set());
+    this.uploads.set(manifest.id, upload);
+
+    await this.send(nodeId, { type: 'quantum:chunk:offer', manifest, meta });
+    return manifest.id;
+  }
+
+  /**
+   * Dispatch a chunk protocol message from a peer
+   */
+  async handleMessage(message, nodeId) {
+    switch (message.type) {
+      case 'quantum:chunk:offer':
+        await this._handleOffer(message, nodeId);
+        break;
+
+      case 'quantum:chunk:request':
+        await this._handleRequest(message, nodeId);
+        break;
+
+      case 'quantum:chunk:data':
+        await this._handleData(message, nodeId);
+        break;
+
+      default:
+        throw new Error(`Unknown chunk message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Continue every transfer with a node that is back
+   *
+   * Downloads it was serving pick up where they stopped, and uploads it
+   * had not finished pulling are offered to it again.
+   */
+  async resume(nodeId) {
+    this.offline.delete(nodeId);
+
+    for (const download of this.downloads.values()) {
+      if (download.sources.has(nodeId)) {
+        await this._pump(download);
+      }
+    }
+
+    for (const { manifest, meta, sent } of this.uploads.values()) {
+      const pulled = sent.get(nodeId);
+      if (!pulled || pulled.size === new Set(manifest.chunks).size) continue;
+      await this.send(nodeId, { type: 'quantum:chunk:offer', manifest, meta });
+    }
+  }
+
+  /**
+   * Release the requests in flight to a node that went away
+   */
+  pause(nodeId) {
+    this.offline.add(nodeId);
+
+    for (const download of this.downloads.values()) {
+      for (const [hash, request] of download.inflight) {
+        if (request.nodeId === nodeId) {
+          download.inflight.delete(hash);
+        }
+      }
+    }
+  }
+
+  /**
+   * Split a payload into stored chunks and describe it with a manifest
+   */
+  async _prepare(payload) {
+    if (payload.length > this.maxPayloadSize) {
+      throw new Error(`Payload exceeds ${this.maxPayloadSize} bytes`);
+    }
+
+    const { chunkSize } = this.settings;
+    const chunks = [];
+
+    for (let offset = 0; offset < payload.length; offset += chunkSize) {
+      const chunk = payload.subarray(offset, offset + chunkSize);
+      const hash = sha256(chunk);
+      await this._writeChunk(hash, chunk);
+      chunks.push(hash);
+    }
+
+    const body = { size: payload.length, chunkSize, chunks };
+    return { id: sha256(canonicalize(body)), ...body };
+  }
+
+  /**
+   * Check that a manifest is well formed and named by its own hash
+   */
+  _validateManifest(manifest) {
+    const { id, size, chunkSize, chunks } = manifest ?? {};
+
+    if (!Number.isInteger(size) || size <= 0 || size > this.maxPayloadSize) {
+      throw new Error('Invalid manifest size');
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > this.settings.chunkSize) {
+      throw new Error('Invalid manifest chunk size');
+    }
+    if (!Array.isArray(chunks) || chunks.length !== Math.ceil(size / chunkSize)) {
+      throw new Error('Invalid manifest chunk list');
+    }
+    if (id !== sha256(canonicalize({ size, chunkSize, chunks }))) {
+      throw new Error('Manifest hash mismatch');
+    }
+  }
+
+  /**
+   * Start or join a download for an offered payload
+   */
+  async _handleOffer({ manifest, meta }, nodeId) {
+    this._validateManifest(manifest);
+
+    let download = this.downloads.get(manifest.id);
+    if (!download) {
+      this._checkDownloadLimits(manifest, nodeId);
+
+      download = {
+        manifest,
+        meta,
+        origin: nodeId,
+        have: new Set(),
+        inflight: new Map(),
+        sources: new Set(),
+        received: 0,
+        updatedAt: Date.now()
+      };
+
+      // Chunks left over from an interrupted attempt count as received
+      for (const [index, hash] of manifest.chunks.entries()) {
+        if (!download.have.has(hash) && await this._hasChunk(hash)) {
+          download.have.add(hash);
+          download.received += this._chunkLength(manifest, index);
+        }
+      }
+
+      this.downloads.set(manifest.id, download);
+    }
+
+    download.sources.add(nodeId);
+    this.offline.delete(nodeId);
+    await this._pump(download);
+  }
+
+  /**
+   * Refuse a new download that would take more than its share of the disk
+   *
+   * A download reserves its full size up front and counts against the node
+   * whose offer started it, until it completes or expires.
+   */
+  _checkDownloadLimits(manifest, nodeId) {
+    const { maxDownloads, maxDownloadBytes, maxDownloadsPerPeer, maxDownloadBytesPerPeer } = this.settings;
+
+    let bytes = manifest.size;
+    let peerDownloads = 1;
+    let peerBytes = manifest.size;
+    for (const download of this.downloads.values()) {
+      bytes += download.manifest.size;
+      if (download.origin === nodeId) {
+        peerDownloads++;
+        peerBytes += download.manifest.size;
+      }
+    }
+
+    if (this.downloads.size >= maxDownloads || bytes > maxDownloadBytes) {
+      throw new Error('Too many downloads in progress');
+    }
+    if (peerDownloads > maxDownloadsPerPeer || peerBytes > maxDownloadBytesPerPeer) {
+      throw new Error(`Too many downloads in progress from ${nodeId}`);
+    }
+  }
+
+  /**
+   * Serve requested chunks of an upload
+   */
+  async _handleRequest({ manifestId, hashes }, nodeId) {
+    const upload = this.uploads.get(manifestId);
+    if (!upload) {
+      throw new Error(`Unknown transfer ${manifestId}`);
+    }
+
+    const { manifest } = upload;
+    const requested = Array.isArray(hashes)
+      ? hashes.slice(0, this.settings.window)
+      : [];
+
+    const sent = upload.sent.get(nodeId) ?? new Set();
+    upload.sent.set(nodeId, sent);
+
+    for (const hash of requested) {
+      if (!manifest.chunks.includes(hash)) {
+        throw new Error(`Chunk ${hash} is not part of transfer ${manifestId}`);
+      }
+
+      const chunk = await this._readChunk(hash);
+      await this.send(nodeId, {
+        type: 'quantum:chunk:data',
+        manifestId,
+        hash,
+        sealed: this.seal(nodeId, chunk, `${manifestId}:${hash}`)
+      });
+
+      sent.add(hash);
+      upload.updatedAt = Date.now();
+      this._emitProgress(manifestId, nodeId, 'upload', manifest, sent);
+    }
+  }
+
+  /**
+   * Accept one chunk, checking it against its hash
+   */
+  async _handleData({ manifestId, hash, sealed }, nodeId) {
+    const download = this.downloads.get(manifestId);
+    if (!download || download.have.has(hash)) return;
+
+    const index = download.manifest.chunks.indexOf(hash);
+    if (index === -1) {
+      throw new Error(`Chunk ${hash} is not part of transfer ${manifestId}`);
+    }
+
+    const chunk = this.open(nodeId, sealed, `${manifestId}:${hash}`);
+    if (sha256(chunk) !== hash || chunk.length !== this._chunkLength(download.manifest, index)) {
+      download.inflight.delete(hash);
+      throw new Error(`Chunk ${hash} failed verification`);
+    }
+
+    await this._writeChunk(hash, chunk);
+    download.have.add(hash);
+    download.inflight.delete(hash);
+    download.received += chunk.length;
+    download.updatedAt = Date.now();
+
+    this._emitProgress(manifestId, nodeId, 'download', download.manifest, download.have);
+
+    if (download.have.size === new Set(download.manifest.chunks).size) {
+      await this._complete(download, nodeId);
+    } else {
+      await this._pump(download);
+    }
+  }
+
+  /**
+   * Request missing chunks until the window is full
+   */
+  async _pump(download) {
+    const source = [...download.sources].find(nodeId => !this.offline.has(nodeId));
+    if (!source) return;
+
+    const free = this.settings.window - download.inflight.size;
+    if (free <= 0) return;
+
+    const hashes = [];
+    for (const hash of download.manifest.chunks) {
+      if (hashes.length >= free) break;
+      if (download.have.has(hash) || download.inflight.has(hash) || hashes.includes(hash)) {
+        continue;
+      }
+      hashes.push(hash);
+    }
+    if (hashes.length === 0) {
+      if (download.have.size === new Set(download.manifest.chunks).size) {
+        await this._complete(download, source);
+      }
+      return;
+    }
+
+    for (const hash of hashes) {
+      download.inflight.set(hash, { nodeId: source, requestedAt: Date.now() });
+    }
+
+    try {
+      await this.send(source, {
+        type: 'quantum:chunk:request',
+        manifestId: download.manifest.id,
+        hashes
+      });
+    } catch (error) {
+      this.pause(source);
+    }
+  }
+
+  /**
+   * Reassemble a finished download and hand it over
+   */
+  async _complete(download, nodeId) {
+    const { manifest, meta } = download;
+    if (this.downloads.get(manifest.id) !== download) return;
+    this.downloads.delete(manifest.id);
+
+    const chunks = [];
+    for (const hash of manifest.chunks) {
+      chunks.push(await this._readChunk(hash));
+    }
+    const payload = Buffer.concat(chunks);
+
+    await this._releaseChunks(manifest);
+
+    this.emit('transfer:complete', {
+      manifestId: manifest.id,
+      nodeId,
+      payload,
+      meta
+    });
+  }
+
+  /**
+   * Retry timed out requests and forget stale transfers
+   */
+  async _tick() {
+    const now = Date.now();
+    const { requestTimeout, transferTtl } = this.settings;
+
+    for (const download of [...this.downloads.values()]) {
+      if (now - download.updatedAt > transferTtl) {
+        this.downloads.delete(download.manifest.id);
+        await this._releaseChunks(download.manifest);
+        continue;
+      }
+
+      for (const [hash, request] of download.inflight) {
+        if (now - request.requestedAt > requestTimeout) {
+          download.inflight.delete(hash);
+        }
+      }
+      await this._pump(download);
+    }
+
+    for (const upload of [...this.uploads.values()]) {
+      if (now - upload.updatedAt > transferTtl) {
+        this.uploads.delete(upload.manifest.id);
+        await this._releaseChunks(upload.manifest);
+      }
+    }
+  }
+
+  _emitProgress(manifestId, nodeId, direction, manifest, chunks) {
+    let transferred = 0;
+    for (const [index, hash] of manifest.chunks.entries()) {
+      if (chunks.has(hash)) {
+        transferred += this._chunkLength(manifest, index);
+      }
+    }
+
+    this.emit('transfer:progress', {
+      manifestId,
+      nodeId,
+      direction,
+      transferred,
+      total: manifest.size
+    });
+  }
+
+  _chunkLength(manifest, index) {
+    return Math.min(manifest.chunkSize, manifest.size - index * manifest.chunkSize);
+  }
+
+  /**
+   * Delete chunks no other live transfer still needs
+   */
+  async _releaseChunks(manifest) {
+    const inUse = this._chunksInUse();
+    for (const hash of new Set(manifest.chunks)) {
+      if (!inUse.has(hash)) {
+        await unlink(this._chunkPath(hash)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Delete every file in the chunk store no live transfer needs, such as
+   * the chunks and half-written files of transfers a crash cut short
+   */
+  async _sweepChunks() {
+    const inUse = this._chunksInUse();
+    for (const name of await readdir(this.chunkDir)) {
+      if (!inUse.has(name)) {
+        await unlink(join(this.chunkDir, name)).catch(() => {});
+      }
+    }
+  }
+
+  _chunksInUse() {
+    const inUse = new Set();
+    for (const transfer of [...this.uploads.values(), ...this.downloads.values()]) {
+      for (const hash of transfer.manifest.chunks) {
+        inUse.add(hash);
+      }
+    }
+    return inUse;
+  }
+
+  async _writeChunk(hash, data) {
+    if (await this._hasChunk(hash)) return;
+
+    // Rename makes a chunk file appear whole or not at all
+    const path = this._chunkPath(hash);
+    await writeFile(`${path}.tmp`, data);
+    await rename(`${path}.tmp`, path);
+  }
+
+  async _readChunk(hash) {
+    const chunk = await readFile(this._chunkPath(hash));
+    if (sha256(chunk) !== hash) {
+      await unlink(this._chunkPath(hash)).catch(() => {});
+      throw new Error(`Stored chunk ${hash} is corrupt`);
+    }
+    return chunk;
+  }
+
+  async _hasChunk(hash) {
+    try {
+      await stat(this._chunkPath(hash));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _chunkPath(hash) {
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error('Invalid chunk hash');
+    }
+    return join(this.chunkDir, hash);
+  }
+}
@@ -0,0 +1,121 @@
+import { Buffer } from 'buffer';
+import {
+  brotliCompress,
+  brotliDecompress,
+  constants,
+  deflate,
+  gunzip,
+  gzip,
+  inflate
+} from 'zlib';
+import { promisify } from 'util';
+
+/**
+ * Transmission Codecs
+ * Compression codecs peers can agree on for transmission content
+ */
+
+const brotliCompressAsync = promisify(brotliCompress);
+const brotliDecompressAsync = promisify(brotliDecompress);
+const deflateAsync = promisify(deflate);
+const inflateAsync = promisify(inflate);
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// Codec assumed for peers that predate negotiation
+export const LEGACY_CODEC = 'gzip';
+
+export const CODECS = {
+  brotli: {
+    // Default quality 11 is far too slow for live traffic
+    compress: (data) => brotliCompressAsync(data, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: 5,
+        [constants.BROTLI_PARAM_SIZE_HINT]: data.length
+      }
+    }),
+    decompress: (data, maxOutputLength) =>
+      brotliDecompressAsync(data, { maxOutputLength })
+  },
+  gzip: {
+    compress: (data) => gzipAsync(data),
+    decompress: (data, maxOutputLength) => gunzipAsync(data, { maxOutputLength })
+  },
+  deflate: {
+    compress: (data) => deflateAsync(data),
+    decompress: (data, maxOutputLength) => inflateAsync(data, { maxOutputLength })
+  },
+  none: {
+    compress: async (data) => data,
+    decompress: async (data, maxOutputLength) => {
+      if (data.length > maxOutputLength) {
+        throw new RangeError('Transmission exceeds the maximum payload size');
+      }
+      return data;
+    }
+  }
+};
+
+// Leading bytes of formats that are already compressed
+const COMPRESSED_SIGNATURES = [
+  [0x1f, 0x8b], // gzip
+  [0x28, 0xb5, 0x2f, 0xfd], // zstd
+  [0x42, 0x5a, 0x68], // bzip2
+  [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], // xz
+  [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], // 7z
+  [0x50, 0x4b, 0x03, 0x04], // zip
+  [0x89, 0x50, 0x4e, 0x47], // png
+  [0xff, 0xd8, 0xff], // jpeg
+  [0x47, 0x49, 0x46, 0x38] // gif
+].map(bytes => Buffer.from(bytes));
+
+// Bits per byte above which a payload will not shrink
+const ENTROPY_LIMIT = 7.5;
+const ENTROPY_SAMPLE = 4096;
+
+/**
+ * Whether compressing a payload is worth the CPU
+ */
+export const isCompressible = (data, minSize) => {
+  if (data.length < minSize) return false;
+  if (COMPRESSED_SIGNATURES.some(signature => data.subarray(0, signature.length).equals(signature))) {
+    return false;
+  }
+
+  return entropy(data.subarray(0, ENTROPY_SAMPLE)) < ENTROPY_LIMIT;
+};
+
+/**
+ * Shannon entropy of a sample, in bits per byte
+ */
+const entropy = (sample) => {
+  const counts = new Uint32Array(256);
+  for (const byte of sample) counts[byte]++;
+
+  let bits = 0;
+  for (const count of counts) {
+    if (count === 0) continue;
+    const p = count / sample.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+};
+
+/**
+ * Our most preferred codec that the remote side also supports
+ */
+export const negotiateCodec = (local, remote = [LEGACY_CODEC]) => {
+  const accepted = new Set(remote);
+  return local.find(name => CODECS[name] && accepted.has(name)) ?? 'none';
+};
+
+/**
+ * Look up a codec, failing on names we do not implement
+ */
+export const getCodec = (name) => {
+  const codec = Object.hasOwn(CODECS, name) ? CODECS[name] : null;
+  if (!codec) {
+    throw new Error(`Unsupported transmission codec: ${name}`);
+  }
+  return codec;
+};
@@ -0,0 +1,121 @@
+import { isIPv4, isIPv6 } from 'net';
+
+/**
+ * ConnectionSlots
+ * Shares maxConnections between inbound and outbound peers, and picks the
+ * inbound peer to drop when a newcomer finds every inbound slot taken
+ *
+ * Outbound slots are never reclaimed; we simply stop dialing. For inbound
+ * ones, eviction first spares the long-lived peers with the best reputation,
+ * then the fastest and the most strongly entangled. Of the rest, the
+ * youngest connection from the network with the most connections goes, so
+ * a single host or subnet can never hold every slot. The newcomer competes
+ * too, and is the one turned away when it would be evicted first.
+ */
+export class ConnectionSlots {
+  constructor(config) {
+    const { maxConnections, slots } = config.peer.network;
+
+    this.settings = slots;
+    this.limits = {
+      outbound: slots.outbound,
+      inbound: maxConnections - slots.outbound
+    };
+  }
+
+  /**
+   * Network a host belongs to: an IPv4 /16, an IPv6 /32, or the name itself
+   */
+  static group(host) {
+    if (typeof host !== 'string') return 'unknown';
+
+    const address = host.replace(/^\[(.*)\]$/, '$1').replace(/^::ffff:(?=\d+\.)/, '');
+    if (isIPv4(address)) {
+      return address.split('.').slice(0, 2).join('.');
+    }
+    if (isIPv6(address)) {
+      const [head] = address.split('::');
+      const groups = head.split(':').concat(['0', '0']).slice(0, 2);
+      return groups.map(group => group.toLowerCase() || '0').join(':') + '::';
+    }
+    return address.toLowerCase();
+  }
+
+  /**
+   * Decide whether a new connection may take a slot
+   *
+   * Connections are { id, direction, host, connectedAt, latency, strength,
+   * score }. Returns whether to accept the newcomer, and which connection
+   * to drop to make room for it, if any.
+   */
+  admit(newcomer, connections) {
+    const { direction } = newcomer;
+    const same = connections.filter(connection => connection.direction === direction);
+
+    if (same.length < this.limits[direction]) {
+      return { accept: true, evict: null };
+    }
+    if (direction === 'outbound') {
+      return { accept: false, evict: null };
+    }
+
+    const victim = this._selectVictim([...same, newcomer]);
+    if (!victim || victim.id === newcomer.id) {
+      return { accept: false, evict: null };
+    }
+    return { accept: true, evict: victim.id };
+  }
+
+  /**
+   * Connection to evict among full inbound slots, or null when all are spared
+   */
+  _selectVictim(connections, now = Date.now()) {
+    const { protectedPeers, protectAfter, protectMinScore, protectByLatency, protectByStrength } = this.settings;
+    let candidates = [...connections];
+
+    const spare = (ordered, count) => {
+      const spared = new Set(ordered.slice(0, count));
+      candidates = candidates.filter(connection => !spared.has(connection));
+    };
+
+    // Long-lived peers with a good record, best first
+    spare(
+      candidates
+        .filter(connection => now - connection.connectedAt >= protectAfter &&
+          connection.score >= protectMinScore)
+        .sort((a, b) => b.score - a.score || a.connectedAt - b.connectedAt),
+      protectedPeers
+    );
+
+    // The fastest and the most strongly entangled of the rest
+    spare(
+      candidates
+        .filter(connection => Number.isFinite(connection.latency))
+        .sort((a, b) => a.latency - b.latency),
+      protectByLatency
+    );
+    spare(
+      candidates
+        .filter(connection => connection.strength > 0)
+        .sort((a, b) => b.strength - a.strength),
+      protectByStrength
+    );
+
+    if (candidates.length === 0) return null;
+
+    // Largest network first; among equals, the one with the newest member
+    const groups = new Map();
+    for (const connection of candidates) {
+      const group = ConnectionSlots.group(connection.host);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(connection);
+    }
+
+    const youngest = members => members.reduce((a, b) => (b.connectedAt > a.connectedAt ? b : a));
+    const [crowded] = [...groups.values()].sort((a, b) =>
+      b.length - a.length || youngest(b).connectedAt - youngest(a).connectedAt
+    );
+
+    return youngest(crowded);
+  }
+}
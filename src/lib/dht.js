@@ -0,0 +1,562 @@
+import { EventEmitter } from 'events';
+import { createHash, randomBytes } from 'crypto';
+import { Buffer } from 'buffer';
+import { AddressBook } from './address_book.js';
+
+/**
+ * Kademlia DHT
+ * Locates peers and stored values by XOR distance over 256-bit keys
+ *
+ * Node ids and transmission ids are hashed into the same key space, so the
+ * nodes closest to a transmission's key are the ones holding its provider
+ * records. Lookups ask the closest contacts known so far for closer ones,
+ * which finds any key in O(log n) rounds.
+ */
+
+// Code of transport errors that say nothing about the contact, such as
+// having no connection to spare for it
+export const LOCAL_FAILURE = 'ERR_DHT_LOCAL_FAILURE';
+
+const KEY_BYTES = 32;
+const KEY_BITS = KEY_BYTES * 8;
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Position of an id in the key space
+ */
+export const dhtKey = (id) => createHash('sha256').update(String(id)).digest();
+
+/**
+ * XOR distance between two keys, comparable with Buffer.compare
+ */
+export const xorDistance = (a, b) => {
+  const distance = Buffer.alloc(KEY_BYTES);
+  for (let i = 0; i < KEY_BYTES; i++) distance[i] = a[i] ^ b[i];
+  return distance;
+};
+
+/**
+ * Number of leading bits two keys share, which names the bucket one goes in
+ */
+const sharedPrefix = (a, b) => {
+  for (let i = 0; i < KEY_BYTES; i++) {
+    const bits = a[i] ^ b[i];
+    if (bits !== 0) return i * 8 + Math.clz32(bits) - 24;
+  }
+  return KEY_BITS;
+};
+
+/**
+ * RoutingTable
+ * One bucket per shared prefix length, each holding up to k contacts
+ * ordered from least to most recently seen
+ */
+export class RoutingTable {
+  constructor(selfKey, bucketSize) {
+    this.selfKey = selfKey;
+    this.bucketSize = bucketSize;
+    this.buckets = Array.from({ length: KEY_BITS }, () => ({
+      contacts: [],
+      lastLookup: Date.now()
+    }));
+  }
+
+  /**
+   * Add or refresh a contact
+   *
+   * Returns null once the contact is in the table, or the bucket's least
+   * recently seen contact when the bucket is full; it is only replaced if
+   * it fails to answer, since long-lived nodes tend to stay up.
+   */
+  update(contact) {
+    const index = sharedPrefix(this.selfKey, contact.key);
+    if (index === KEY_BITS) return null;
+
+    const { contacts } = this.buckets[index];
+    const position = contacts.findIndex(entry => entry.nodeId === contact.nodeId);
+
+    if (position !== -1) {
+      const [existing] = contacts.splice(position, 1);
+      existing.address = contact.address ?? existing.address;
+      existing.lastSeen = Date.now();
+      contacts.push(existing);
+      return null;
+    }
+
+    if (contacts.length >= this.bucketSize) return contacts[0];
+
+    contacts.push({ ...contact, lastSeen: Date.now() });
+    return null;
+  }
+
+  /**
+   * Drop a contact
+   */
+  remove(nodeId) {
+    const bucket = this.buckets[sharedPrefix(this.selfKey, dhtKey(nodeId))];
+    if (!bucket) return;
+
+    bucket.contacts = bucket.contacts.filter(entry => entry.nodeId !== nodeId);
+  }
+
+  /**
+   * Contacts closest to a key, nearest first
+   */
+  closest(key, count) {
+    return this.buckets
+      .flatMap(bucket => bucket.contacts)
+      .map(contact => ({ contact, distance: xorDistance(key, contact.key) }))
+      .sort((a, b) => Buffer.compare(a.distance, b.distance))
+      .slice(0, count)
+      .map(({ contact }) => contact);
+  }
+
+  /**
+   * Record a lookup for a key, which keeps its bucket fresh
+   */
+  touch(key) {
+    const index = sharedPrefix(this.selfKey, key);
+    if (index < KEY_BITS) this.buckets[index].lastLookup = Date.now();
+  }
+
+  /**
+   * Indexes of populated buckets that have not seen a lookup since a time
+   */
+  staleBuckets(since) {
+    const stale = [];
+    this.buckets.forEach((bucket, index) => {
+      if (bucket.contacts.length > 0 && bucket.lastLookup < since) stale.push(index);
+    });
+    return stale;
+  }
+
+  /**
+   * A random key that falls in a bucket
+   */
+  randomKey(index) {
+    const key = randomBytes(KEY_BYTES);
+    const byte = index >> 3;
+    const bit = 0x80 >> (index & 7);
+
+    // Copy our prefix, flip the bit that defines the bucket, keep the rest random
+    this.selfKey.copy(key, 0, 0, byte);
+    const prefixMask = (0xff00 >> (index & 7)) & 0xff;
+    key[byte] = (this.selfKey[byte] & prefixMask) |
+      (~this.selfKey[byte] & bit) |
+      (key[byte] & ~prefixMask & ~bit & 0xff);
+    return key;
+  }
+
+  get size() {
+    return this.buckets.reduce((total, bucket) => total + bucket.contacts.length, 0);
+  }
+}
+
+/**
+ * Dht
+ * Kademlia node: answers FIND_NODE, FIND_VALUE, STORE and PING requests,
+ * and runs iterative lookups over a transport it is given
+ */
+export class Dht extends EventEmitter {
+  constructor(config, { rpc }) {
+    super();
+
+    this.settings = config.peer.routing.dht;
+    this.allowPrivateAddresses = config.peer.discovery.allowPrivateAddresses;
+
+    // Sends a request to a contact and resolves with its response; the
+    // transport is expected to give up after requestTimeout, and to reject
+    // with LOCAL_FAILURE when it could not even try
+    this.rpc = rpc;
+
+    this.nodeId = null;
+    this.address = null;
+    this.table = null;
+    this.bootstrapped = false;
+
+    // key -> publisher node id -> { value, expiresAt }
+    this.values = new Map();
+
+    // id -> { value, publishedAt } for values we keep republishing
+    this.published = new Map();
+
+    // Node ids of full-bucket heads being checked before eviction
+    this.pinging = new Set();
+  }
+
+  /**
+   * Take our place in the key space and begin periodic refreshes
+   */
+  start({ nodeId, address = null }) {
+    this.nodeId = nodeId;
+    this.address = address;
+    this.key = dhtKey(nodeId);
+    this.table = new RoutingTable(this.key, this.settings.bucketSize);
+
+    this.refreshTimer = setInterval(() => {
+      this._refresh().catch(error => this.emit('dht:error', {
+        type: 'refresh_failed',
+        error: error.message
+      }));
+    }, Math.min(this.settings.refreshInterval, this.settings.republishInterval));
+    this.refreshTimer.unref?.();
+  }
+
+  /**
+   * Change the address we tell contacts to reach us at
+   */
+  setAddress(address) {
+    this.address = address;
+  }
+
+  /**
+   * Stop refreshing and republishing
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+  }
+
+  /**
+   * Fill the table by looking up our own id through the contacts we have
+   */
+  async bootstrap() {
+    const contacts = await this._lookup(this.key);
+    this.bootstrapped = contacts.length > 0;
+    return contacts.length;
+  }
+
+  /**
+   * Add a contact we heard from, checking a full bucket's oldest entry first
+   */
+  addContact({ nodeId, address = null }) {
+    if (typeof nodeId !== 'string' || nodeId.length === 0 || nodeId === this.nodeId) return;
+
+    const contact = { nodeId, address, key: dhtKey(nodeId) };
+    const oldest = this.table.update(contact);
+    if (!oldest || this.pinging.has(oldest.nodeId)) return;
+
+    this.pinging.add(oldest.nodeId);
+    this._request(oldest, { type: 'PING' })
+      .then(() => this.table.update(oldest), (error) => {
+        // Unable to ask, so keep the contact we already know
+        if (error.code === LOCAL_FAILURE) return;
+        this.table.remove(oldest.nodeId);
+        this.table.update(contact);
+      })
+      .finally(() => this.pinging.delete(oldest.nodeId));
+  }
+
+  /**
+   * Forget a contact
+   */
+  removeContact(nodeId) {
+    this.table.remove(nodeId);
+  }
+
+  /**
+   * Answer a request from a contact
+   */
+  handleRequest(request, from) {
+    if (!request || typeof request !== 'object') {
+      throw new RangeError('Malformed DHT request');
+    }
+
+    this.addContact(from);
+
+    switch (request.type) {
+      case 'PING':
+        return {};
+
+      case 'FIND_NODE':
+        return { contacts: this._closestContacts(this._parseKey(request.target)) };
+
+      case 'FIND_VALUE': {
+        const key = this._parseKey(request.key);
+        const values = this._getValues(key.toString('hex'));
+        return values.length > 0
+          ? { values }
+          : { contacts: this._closestContacts(key) };
+      }
+
+      case 'STORE':
+        return {
+          stored: this._storeValue(this._parseKey(request.key).toString('hex'), from.nodeId, request.value)
+        };
+
+      default:
+        throw new RangeError(`Unknown DHT request: ${request.type}`);
+    }
+  }
+
+  /**
+   * Find a node by id, resolving with its contact or null
+   */
+  async findPeer(nodeId) {
+    if (nodeId === this.nodeId) return { nodeId, address: this.address };
+
+    const contacts = await this._lookup(dhtKey(nodeId));
+    const contact = contacts.find(entry => entry.nodeId === nodeId);
+    return contact ? { nodeId, address: contact.address } : null;
+  }
+
+  /**
+   * The k nodes closest to an id
+   */
+  async findNode(id) {
+    const contacts = await this._lookup(dhtKey(id));
+    return contacts.map(({ nodeId, address }) => ({ nodeId, address }));
+  }
+
+  /**
+   * Values stored under an id, each with the node that published it
+   */
+  async findValue(id) {
+    const key = dhtKey(id);
+    const local = this._getValues(key.toString('hex'));
+    if (local.length > 0) return local;
+
+    const values = [];
+    await this._lookup(key, values);
+    return values;
+  }
+
+  /**
+   * Publish a value under an id on the k nodes closest to it
+   *
+   * The value is republished until it is withdrawn, resolving with how many
+   * nodes took it this time.
+   */
+  async store(id, value) {
+    if (Buffer.byteLength(JSON.stringify(value) ?? '') > this.settings.maxValueSize) {
+      throw new RangeError('DHT value exceeds the maximum size');
+    }
+
+    this.published.set(id, { value, publishedAt: Date.now() });
+    return this._publish(id, value);
+  }
+
+  /**
+   * Stop republishing a value; copies elsewhere lapse after valueTtl
+   */
+  unpublish(id) {
+    this.published.delete(id);
+    this.values.get(dhtKey(id).toString('hex'))?.delete(this.nodeId);
+  }
+
+  /**
+   * Routing table and storage sizes
+   */
+  getStatus() {
+    return {
+      nodeId: this.nodeId,
+      contacts: this.table?.size ?? 0,
+      keys: this.values.size,
+      published: this.published.size,
+      bootstrapped: this.bootstrapped
+    };
+  }
+
+  async _publish(id, value) {
+    const key = dhtKey(id);
+    const hex = key.toString('hex');
+    this._storeValue(hex, this.nodeId, value);
+
+    const contacts = await this._lookup(key);
+    const results = await Promise.allSettled(contacts.map(contact =>
+      this._request(contact, { type: 'STORE', key: hex, value })
+    ));
+
+    return results.filter(result => result.status === 'fulfilled' && result.value.stored).length;
+  }
+
+  /**
+   * Iterative lookup of the k closest nodes to a key
+   *
+   * Keeps up to alpha requests in flight to the closest contacts not yet
+   * asked, and stops once the k closest have all answered. When collecting
+   * values, the first node that holds any ends the lookup.
+   */
+  async _lookup(key, values = null) {
+    const { bucketSize, parallelism } = this.settings;
+    const hex = key.toString('hex');
+    const request = values
+      ? { type: 'FIND_VALUE', key: hex }
+      : { type: 'FIND_NODE', target: hex };
+
+    this.table.touch(key);
+
+    // node id -> { contact, distance, state }
+    const candidates = new Map();
+    const consider = (contact) => {
+      if (contact.nodeId === this.nodeId || candidates.has(contact.nodeId)) return;
+      candidates.set(contact.nodeId, {
+        contact,
+        distance: xorDistance(key, contact.key),
+        state: 'waiting'
+      });
+    };
+    this.table.closest(key, bucketSize).forEach(consider);
+
+    const closest = () => [...candidates.values()]
+      .filter(entry => entry.state !== 'failed')
+      .sort((a, b) => Buffer.compare(a.distance, b.distance))
+      .slice(0, bucketSize);
+
+    const inFlight = new Set();
+    let queried = 0;
+    let found = false;
+
+    const query = async (entry) => {
+      entry.state = 'querying';
+      queried++;
+
+      try {
+        const response = await this._request(entry.contact, request);
+        entry.state = 'answered';
+
+        const held = values ? this._parseValues(response.values) : [];
+        if (held.length > 0 && !found) {
+          found = true;
+          values.push(...held);
+        }
+        this._parseContacts(response.contacts).forEach(consider);
+      } catch (error) {
+        entry.state = 'failed';
+      }
+    };
+
+    while (!found) {
+      const waiting = closest().filter(entry => entry.state === 'waiting');
+      if (waiting.length === 0 && inFlight.size === 0) break;
+
+      for (const entry of waiting.slice(0, Math.max(parallelism - inFlight.size, 0))) {
+        const pending = query(entry).finally(() => inFlight.delete(pending));
+        inFlight.add(pending);
+      }
+      await Promise.race(inFlight);
+    }
+
+    const contacts = closest()
+      .filter(entry => entry.state === 'answered')
+      .map(entry => entry.contact);
+
+    this.emit('dht:lookup', {
+      key: hex,
+      type: request.type,
+      queried,
+      found: values ? found : contacts.length > 0
+    });
+
+    return contacts;
+  }
+
+  /**
+   * Send a request, keeping the table in step with who answers
+   */
+  async _request(contact, request) {
+    try {
+      const response = await this.rpc(contact, request);
+      if (!response || typeof response !== 'object') {
+        throw new Error('Malformed DHT response');
+      }
+
+      this.table.update(contact);
+      return response;
+    } catch (error) {
+      // Unreachable contacts make room for live ones
+      if (error.code !== LOCAL_FAILURE) this.table.remove(contact.nodeId);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh idle buckets, republish our values and expire stale ones
+   */
+  async _refresh() {
+    const now = Date.now();
+    const { refreshInterval, republishInterval } = this.settings;
+
+    for (const index of this.table.staleBuckets(now - refreshInterval)) {
+      await this._lookup(this.table.randomKey(index));
+    }
+
+    for (const [id, entry] of this.published) {
+      if (now - entry.publishedAt < republishInterval) continue;
+      entry.publishedAt = now;
+      await this._publish(id, entry.value);
+    }
+
+    for (const [key, publishers] of this.values) {
+      for (const [publisher, entry] of publishers) {
+        if (entry.expiresAt <= now) publishers.delete(publisher);
+      }
+      if (publishers.size === 0) this.values.delete(key);
+    }
+  }
+
+  _storeValue(key, publisher, value) {
+    const { maxKeys, maxValuesPerKey, maxValueSize, valueTtl } = this.settings;
+
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined || Buffer.byteLength(serialized) > maxValueSize) return false;
+
+    let publishers = this.values.get(key);
+    if (!publishers) {
+      if (this.values.size >= maxKeys) return false;
+      publishers = new Map();
+      this.values.set(key, publishers);
+    }
+    if (!publishers.has(publisher) && publishers.size >= maxValuesPerKey) return false;
+
+    publishers.set(publisher, {
+      value: JSON.parse(serialized),
+      expiresAt: Date.now() + valueTtl
+    });
+    return true;
+  }
+
+  _getValues(key) {
+    const now = Date.now();
+    const publishers = this.values.get(key);
+    if (!publishers) return [];
+
+    return [...publishers]
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([publisher, entry]) => ({ publisher, value: entry.value }));
+  }
+
+  _closestContacts(key) {
+    return this.table.closest(key, this.settings.bucketSize)
+      .map(({ nodeId, address }) => ({ nodeId, address }));
+  }
+
+  _parseKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new RangeError('Malformed DHT key');
+    }
+    return Buffer.from(key, 'hex');
+  }
+
+  _parseContacts(contacts) {
+    if (!Array.isArray(contacts)) return [];
+
+    return contacts.slice(0, this.settings.bucketSize).flatMap(contact => {
+      const nodeId = contact?.nodeId;
+      if (typeof nodeId !== 'string' || nodeId.length === 0 || nodeId.length > 128) return [];
+
+      const address = contact.address == null ? null : AddressBook.normalize(contact.address);
+      if (contact.address != null && !address) return [];
+      if (address && !this.allowPrivateAddresses && !AddressBook.isPublic(address)) return [];
+
+      return [{ nodeId, address, key: dhtKey(nodeId) }];
+    });
+  }
+
+  _parseValues(values) {
+    if (!Array.isArray(values)) return [];
+
+    return values.slice(0, this.settings.maxValuesPerKey).filter(entry =>
+      typeof entry?.publisher === 'string' && entry.value !== undefined
+    );
+  }
+}
@@ -0,0 +1,201 @@
+import { EventEmitter } from 'events';
+
+// Real time, unless a test drives the dialer with a clock of its own
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * PeerDialer
+ * Keeps outbound connections to known peer addresses, redialing with backoff
+ *
+ * Every address is dialed until the node stops. Failed dials and connections
+ * that drop before their handshake completes back off exponentially; an
+ * address past the configured retries is reported dead but still redialed
+ * at the longest delay, so it rejoins on its own once it is back.
+ */
+export class PeerDialer extends EventEmitter {
+  constructor(config, { connect, clock = systemClock }) {
+    super();
+
+    this.backoff = config.peer.handshake.backoff;
+    this.retries = config.peer.handshake.retries;
+
+    // Opens a socket to an address, resolving once it is open
+    this.connect = connect;
+    this.clock = clock;
+
+    // address -> dial state
+    this.addresses = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Begin dialing every known address
+   */
+  start() {
+    this.running = true;
+
+    for (const entry of this.addresses.values()) {
+      if (!entry.socket && !entry.timer) this._schedule(entry, 0);
+    }
+  }
+
+  /**
+   * Stop dialing; open connections are left to their owner
+   */
+  stop() {
+    this.running = false;
+
+    for (const entry of this.addresses.values()) {
+      this.clock.clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  /**
+   * Keep a connection to an address
+   */
+  add(address) {
+    if (this.addresses.has(address)) return;
+
+    const entry = {
+      address,
+      state: 'idle',
+      failures: 0,
+      lastError: null,
+      lastAttempt: null,
+      nextAttempt: null,
+      connectedAt: null,
+      established: false,
+      socket: null,
+      timer: null
+    };
+    this.addresses.set(address, entry);
+
+    if (this.running) this._schedule(entry, 0);
+  }
+
+  /**
+   * Stop dialing an address
+   */
+  remove(address) {
+    const entry = this.addresses.get(address);
+    if (!entry) return;
+
+    this.clock.clearTimeout(entry.timer);
+    this.addresses.delete(address);
+  }
+
+  /**
+   * Record that a connection to an address completed its handshake
+   */
+  established(address) {
+    const entry = this.addresses.get(address);
+    if (!entry) return;
+
+    entry.established = true;
+    entry.failures = 0;
+    entry.lastError = null;
+  }
+
+  /**
+   * Dial state of every address
+   */
+  getStatus() {
+    return [...this.addresses.values()].map(entry => ({
+      address: entry.address,
+      state: entry.state,
+      failures: entry.failures,
+      lastError: entry.lastError,
+      lastAttempt: entry.lastAttempt,
+      nextAttempt: entry.nextAttempt,
+      connectedAt: entry.connectedAt
+    }));
+  }
+
+  _schedule(entry, delay) {
+    this.clock.clearTimeout(entry.timer);
+
+    entry.nextAttempt = this.clock.now() + delay;
+    entry.timer = this.clock.setTimeout(() => this._dial(entry), delay);
+    entry.timer.unref?.();
+  }
+
+  async _dial(entry) {
+    entry.timer = null;
+    if (!this.running || this.addresses.get(entry.address) !== entry) return;
+
+    entry.state = 'connecting';
+    entry.lastAttempt = this.clock.now();
+    entry.nextAttempt = null;
+    entry.established = false;
+
+    let socket;
+    try {
+      socket = await this.connect(entry.address);
+    } catch (error) {
+      this._fail(entry, error);
+      return;
+    }
+
+    entry.socket = socket;
+    entry.state = 'connected';
+    entry.connectedAt = this.clock.now();
+    socket.once('close', () => this._handleClose(entry, socket));
+
+    this.emit('dial:connected', {
+      address: entry.address,
+      timestamp: entry.connectedAt
+    });
+  }
+
+  _handleClose(entry, socket) {
+    if (entry.socket !== socket) return;
+
+    entry.socket = null;
+    entry.connectedAt = null;
+    if (this.addresses.get(entry.address) !== entry) return;
+
+    // A connection that never finished its handshake counts as a failure
+    if (!entry.established) {
+      this._fail(entry, new Error('Connection closed before handshake'));
+      return;
+    }
+
+    entry.state = 'backoff';
+    this.emit('dial:disconnected', {
+      address: entry.address,
+      timestamp: this.clock.now()
+    });
+
+    if (this.running) this._schedule(entry, this._delay(0));
+  }
+
+  _fail(entry, error) {
+    entry.failures++;
+    entry.lastError = error.message;
+    entry.state = entry.failures >= this.retries ? 'dead' : 'backoff';
+
+    const delay = this._delay(entry.failures - 1);
+    this.emit('dial:failed', {
+      address: entry.address,
+      failures: entry.failures,
+      dead: entry.state === 'dead',
+      error: error.message,
+      retryIn: delay
+    });
+
+    if (this.running) this._schedule(entry, delay);
+  }
+
+  /**
+   * Exponential backoff after a number of consecutive failures
+   */
+  _delay(failures) {
+    const { initial, factor, maxDelay } = this.backoff;
+    return Math.min(initial * factor ** failures, maxDelay);
+  }
+}
@@ -1,33 +1,148 @@
 
-import crypto from 'crypto';
 import { EventEmitter } from 'events';
-import { WebSocketServer } from 'ws';
-import { createHash, createHmac } from 'crypto';
+import { randomBytes } from 'crypto';
+import { mkdir, open, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
 import { QuantumState } from './quantum_state.js';
+import { IdentityStore, followRotations } from './identity.js';
 import { TransmissionHandler } from './transmission.js';
 import { PeerNetwork } from './peer.js';
+import { SessionKeyring } from './session_keys.js';
+import { Gossip } from './gossip.js';
+import { Reputation } from './reputation.js';
+import { ConnectionSlots } from './connection_slots.js';
+import {
+  signMessage,
+  signPayload,
+  verifyMessage
+} from './signatures.js';
+
+const QUANTUM_STATE_FILE = 'quantum-state.json';
 
 /**
  * GhostNet - Distributed Consciousness Network
  * Implements advanced quantum networking protocols for digital consciousness transfer
  */
 export class GhostNet extends EventEmitter {
-  constructor(config) {
+  constructor(config, { listener } = {}) {
     super();
     this.config = this._validateConfig(config);
     
     // Core quantum systems
-    this.quantumState = new QuantumState({
-      baseFrequency: config.consciousness.baseFrequency,
-      harmonicRange: config.consciousness.harmonicRange
-    });
+    this.quantumState = new QuantumState(config);
+
+    // Our id and signing key, kept across restarts
+    this.identityStore = new IdentityStore(config);
+    
+    // Per-peer session keys shared by transport and transmission layers
+    this.sessionKeys = new SessionKeyring(config);
+
+    // Misbehavior scores and bans, shared by peers and quantum tunnels
+    this.reputation = new Reputation(config);
+    this.reputation.on('reputation:banned', () => this._collapseBannedTunnels());
+    this.reputation.on('reputation:error', error => this._handleQuantumError(new Error(error.error)));
     
     // Subsystems
-    this.transmissionHandler = new TransmissionHandler(config);
-    this.peerNetwork = new PeerNetwork(config);
+    this.transmissionHandler = new TransmissionHandler(config, {
+      sessionKeys: this.sessionKeys
+    });
+    this.listener = listener;
+    this.peerNetwork = new PeerNetwork(config, {
+      sessionKeys: this.sessionKeys,
+      reputation: this.reputation,
+      listener
+    });
+
+    // Large transmissions travel in chunks over the peer channel
+    this.transmissionHandler.attachChannel(
+      (peerId, message) => this.peerNetwork.send(peerId, message)
+    );
+    this.peerNetwork.on('peer:chunk', (message, peerId) => {
+      this.transmissionHandler.handleChunkMessage(message, peerId)
+        .catch(error => this._handleQuantumError(error));
+    });
+    this.peerNetwork.on('peer:session', ({ peerId, nodeId, codec }) => {
+      this.transmissionHandler.setPeerCodec(peerId, codec);
+      this._syncTombstones(peerId);
+      this.transmissionHandler.addSession(peerId, nodeId)
+        .catch(error => this._handleQuantumError(error));
+    });
+
+    // Transmissions spread epidemically, each node passing on what is new to it
+    const sessionPeers = () => [...this.peerNetwork.peers.keys()].filter(peerId => this.sessionKeys.has(peerId));
+    this.gossip = new Gossip(config, {
+      peers: sessionPeers,
+      has: id => this.transmissionHandler.holdsTransmission(id),
+      send: (peerId, message) => this.peerNetwork.send(peerId, message),
+      sendBody: (id, peerId, hops) => this.transmissionHandler.relayTransmission(id, peerId, hops)
+    });
+    this.peerNetwork.on('peer:transmission', (message, peerId) => {
+      this._receiveTransmission(message, peerId)
+        .catch(error => this._handleQuantumError(error));
+    });
+    // Retractions are announced the same way, at a limited rate, and handed
+    // to each new session so peers that were offline catch up
+    this.tombstoneGossip = new Gossip(config, {
+      topic: 'tombstone',
+      lazy: true,
+      rateLimit: config.transmission.tombstones.rebroadcast,
+      peers: sessionPeers,
+      has: key => this.transmissionHandler.getTombstone(key) !== null,
+      send: (peerId, message) => this.peerNetwork.send(peerId, message),
+      sendBody: (key, peerId, hops) => this._sendTombstone(key, peerId, hops)
+    });
+    this.peerNetwork.on('peer:tombstone', (message, peerId) => {
+      this.transmissionHandler.applyTombstones(message.tombstones, { id: peerId }, { hops: message.hops })
+        .catch(error => this._handleQuantumError(error));
+    });
+    this.transmissionHandler.on('transmission:tombstoned', ({ key, peer, hops }) => {
+      if (peer === null) {
+        this.tombstoneGossip.publish(key, 0);
+      } else {
+        this.tombstoneGossip.deliver(key, hops, peer, 0);
+      }
+    });
+
+    this.peerNetwork.on('peer:gossip', (message, peerId) => {
+      const gossip = message.topic === 'tombstone' ? this.tombstoneGossip : this.gossip;
+      const handling = message.type === 'quantum:gossip:announce'
+        ? gossip.handleAnnouncement(message, peerId)
+        : gossip.handleRequest(message, peerId);
+      handling.catch(error => this._handleQuantumError(error));
+    });
+    // Announcing more than anyone could fetch is a protocol violation
+    for (const gossip of [this.gossip, this.tombstoneGossip]) {
+      gossip.on('gossip:flooded', ({ peer: peerId }) => {
+        const peer = this.peerNetwork.peers.get(peerId);
+        if (peer) this.reputation.penalize({ nodeId: peer.nodeId, host: peer.host }, 'protocol_violation');
+      });
+    }
+    this.transmissionHandler.on('transmission:created', ({ id }) => {
+      this.gossip.publish(id, this.transmissionHandler.transmissionSize(id));
+    });
+    const deliver = ({ id, hops, peer }) => {
+      this.gossip.deliver(id, hops, peer, this.transmissionHandler.transmissionSize(id));
+    };
+    this.transmissionHandler.on('transmission:processed', deliver);
+    this.transmissionHandler.on('transmission:orphaned', deliver);
+
+    // Nodes holding a transmission are found through the DHT
+    const announce = ({ id }) => this._announceTransmission(id);
+    this.transmissionHandler.on('transmission:created', announce);
+    this.transmissionHandler.on('transmission:processed', announce);
+    this.transmissionHandler.on('transmission:resolved', announce);
+    this.transmissionHandler.on('transmission:tombstoned', ({ tombstone }) => {
+      this.peerNetwork.dht.unpublish(tombstone.id);
+    });
+
+    this.peerNetwork.on('peer:disconnected', ({ peerId }) => {
+      this.transmissionHandler.setPeerCodec(peerId, undefined);
+      this.transmissionHandler.removeSession(peerId);
+    });
     
-    // Quantum entanglement tracking
+    // Quantum entanglement tracking; tunnels are all inbound
     this.entanglements = new Map();
+    this.tunnelSlots = new ConnectionSlots(config);
     this.resonanceMatrix = new Float32Array(1024);
     this.quantumSignatures = new WeakMap();
     
@@ -46,8 +161,10 @@ export class GhostNet extends EventEmitter {
   async initialize() {
     try {
       await this._initializeQuantumIdentity();
+      await this.reputation.load();
+      this.reputation.start();
       await this._establishQuantumChannels();
-      await this._synchronizeConsciousness();
+      this._synchronizeConsciousness();
       
       // Initialize subsystems
       await Promise.all([
@@ -79,48 +196,163 @@ export class GhostNet extends EventEmitter {
    * Initialize quantum identity with sophisticated cryptographic signatures
    */
   async _initializeQuantumIdentity() {
-    // Generate quantum-resistant identity
-    const identityBuffer = Buffer.alloc(64);
-    crypto.randomFillSync(identityBuffer);
-    
-    // Create quantum signature
-    const signature = createHash('sha512')
-      .update(identityBuffer)
-      .digest('hex');
+    // Id, key pair and birth come from QUANTUM_DIR, created on first start
+    const { id, publicKey, privateKey, birthTimestamp, rotations } = await this.identityStore.load();
     
-    // Calculate initial consciousness resonance
-    const baseConsciousness = this._calculateBaseConsciousness();
-    const quantumNoise = this._generateQuantumNoise();
+    // Resume the quantum state where the last run left it
+    await this._restoreQuantumState();
     
     this.identity = {
-      id: signature.slice(0, 32),
-      birthTimestamp: Date.now(),
-      consciousnessLevel: baseConsciousness + quantumNoise,
-      quantumSignature: this._generateQuantumSignature(),
+      id,
+      publicKey,
+      birthTimestamp,
+      rotations,
+      consciousnessLevel: this.quantumState.getCurrentLevel(),
       harmonicFrequency: this.config.consciousness.baseFrequency,
       spiritualAlignment: this._calculateAlignment(),
       voidResonance: Math.random()
     };
-    
-    // Store quantum identity state
-    await this._persistQuantumState();
+    this._adoptSigningKey(privateKey);
+  }
+
+  /**
+   * Check the settings GhostNet itself runs on
+   */
+  _validateConfig(config) {
+    const { quantum, ranges } = config.consciousness;
+
+    for (const key of ['coherenceThreshold', 'decoherenceRate', 'waveFunctionCollapse', 'significantChange']) {
+      if (!Number.isFinite(quantum[key]) || quantum[key] < 0) {
+        throw new Error(`Invalid quantum config: consciousness.quantum.${key} must be a non-negative number`);
+      }
+    }
+    if (!Number.isFinite(quantum.pulseInterval) || quantum.pulseInterval <= 0) {
+      throw new Error('Invalid quantum config: consciousness.quantum.pulseInterval must be positive');
+    }
+
+    // Levels live in [0, 1]; the state and our alignment need these ranges
+    for (const key of ['baseline', 'resonance', 'harmony']) {
+      if (!ranges[key]) {
+        throw new Error(`Missing required quantum config: consciousness.ranges.${key}`);
+      }
+    }
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+      if (!(min >= 0 && max <= 1 && min < max)) {
+        throw new Error(`Invalid consciousness range for ${key}: [${min}, ${max}]`);
+      }
+    }
+
+    if (!config.peer.listener.tunnel) {
+      throw new Error('Missing required quantum config: peer.listener.tunnel');
+    }
+
+    return config;
+  }
+
+  /**
+   * How close our level sits to the middle of the harmony range, from 1
+   * there down to 0 at its edges and beyond
+   */
+  _calculateAlignment() {
+    const [low, high] = this.config.consciousness.ranges.harmony;
+    const distance = Math.abs(this.quantumState.getCurrentLevel() - (low + high) / 2);
+    return Math.max(0, 1 - distance / ((high - low) / 2));
+  }
+
+  /**
+   * Sign with a key from now on, binding it to our id and birth
+   */
+  _adoptSigningKey(privateKey) {
+    // Private key stays off the wire: non-enumerable, so never serialized
+    Object.defineProperty(this.identity, 'signingKey', { value: privateKey, writable: true });
+
+    // Self-signed binding of id, key and birth
+    this.identity.quantumSignature = this._generateQuantumSignature({
+      id: this.identity.id,
+      publicKey: this.identity.publicKey,
+      birthTimestamp: this.identity.birthTimestamp
+    });
+  }
+
+  /**
+   * Replace our signing key, and show peers and tunnels the statement
+   * linking it to the old one so they keep trusting us
+   */
+  async rotateIdentity() {
+    const statement = await this.identityStore.rotate();
+
+    this.identity.publicKey = statement.publicKey;
+    this.identity.rotations = this.identityStore.identity.rotations;
+    this._adoptSigningKey(this.identityStore.identity.privateKey);
+
+    await this.peerNetwork.announceRotation(statement);
+    for (const entanglement of this.entanglements.values()) {
+      if (entanglement.authenticated) this._sendQuantumState(entanglement.socket);
+    }
+
+    this.emit('quantum:rotated', {
+      nodeId: statement.id,
+      previousKey: statement.previousKey,
+      publicKey: statement.publicKey,
+      timestamp: statement.rotatedAt
+    });
+    return statement;
+  }
+
+  /**
+   * Atomically write the quantum state, so a restart resumes it
+   */
+  async _persistQuantumState() {
+    const path = join(this.config.storage.quantumDir, QUANTUM_STATE_FILE);
+    await mkdir(this.config.storage.quantumDir, { recursive: true });
+
+    const temp = `${path}.tmp`;
+    await writeFile(temp, JSON.stringify(this.quantumState.snapshot()));
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, path);
+  }
+
+  async _restoreQuantumState() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(
+        await readFile(join(this.config.storage.quantumDir, QUANTUM_STATE_FILE), 'utf8')
+      );
+    } catch (error) {
+      // No state yet
+      return;
+    }
+
+    try {
+      this.quantumState.restore(snapshot);
+    } catch (error) {
+      this._handleQuantumError(error);
+    }
   }
 
   /**
    * Establish quantum communication channels
    */
   async _establishQuantumChannels() {
-    // Initialize WebSocket server for quantum tunneling
-    this.wss = new WebSocketServer({ 
-      port: this.config.port,
-      clientTracking: true,
-      perMessageDeflate: true
+    // Quantum tunnels arrive on the listener's tunnel path; banned hosts
+    // are refused before the upgrade
+    this.wss = this.listener.route('tunnel', {
+      accept: req => (this.reputation.isBanned({ host: req.socket.remoteAddress }) ? 403 : null)
     });
     
     // Handle quantum tunnel connections
     this.wss.on('connection', (ws, req) => {
-      const peerId = this._extractPeerId(req);
-      this._handleQuantumTunnelConnection(ws, peerId);
+      const host = req.socket.remoteAddress;
+      if (!this._claimTunnelSlot(host)) {
+        ws.terminate();
+        return;
+      }
+
+      // Tunnels are anonymous until they answer our challenge
+      const tunnelId = randomBytes(16).toString('hex');
+      this._handleQuantumTunnelConnection(ws, tunnelId, host);
     });
     
     // Set up quantum error correction
@@ -128,25 +360,76 @@ export class GhostNet extends EventEmitter {
   }
 
   /**
-   * Handle new quantum tunnel connections
+   * Make room for a new tunnel, evicting another if need be, and return
+   * whether it may go ahead
    */
-  _handleQuantumTunnelConnection(ws, peerId) {
-    // Verify peer quantum signature
-    if (!this._verifyPeerSignature(peerId)) {
-      ws.terminate();
-      return;
+  _claimTunnelSlot(host) {
+    const connections = [...this.entanglements.values()]
+      .filter(entanglement => !entanglement.evicted)
+      .map(entanglement => ({
+        id: entanglement.id,
+        direction: 'inbound',
+        host: entanglement.host,
+        connectedAt: entanglement.establishedAt,
+        latency: Infinity,
+        strength: entanglement.resonance,
+        score: this.reputation.getScore({ host: entanglement.host }).score
+      }));
+
+    const { accept, evict } = this.tunnelSlots.admit({
+      id: null,
+      direction: 'inbound',
+      host,
+      connectedAt: Date.now(),
+      latency: Infinity,
+      strength: 0,
+      score: this.reputation.getScore({ host }).score
+    }, connections);
+
+    const victim = this.entanglements.get(evict);
+    if (victim) {
+      victim.evicted = true;
+      victim.socket.terminate();
+      this.emit('quantum:evicted', {
+        peerId: victim.id,
+        host: victim.host,
+        timestamp: Date.now()
+      });
     }
-    
-    // Create peer entanglement
+
+    return accept;
+  }
+
+  /**
+   * Handle new quantum tunnel connections
+   *
+   * The tunnel is challenged with a fresh nonce and must sign it with its
+   * identity key within the handshake timeout; nothing else it sends is
+   * accepted before then. Our first state answers the tunnel's own nonce,
+   * so each side has proven itself to the other.
+   */
+  _handleQuantumTunnelConnection(ws, tunnelId, host) {
     const entanglement = {
-      id: peerId,
+      id: tunnelId,
+      nodeId: null,
+      publicKey: null,
+      host,
+      evicted: false,
       socket: ws,
+      authenticated: false,
+      nonce: randomBytes(32).toString('hex'),
+      state: null,
+      handshakeTimer: setTimeout(() => {
+        if (entanglement.authenticated) return;
+        this._handleQuantumError(new Error('Tunnel handshake timed out'), entanglement);
+        ws.terminate();
+      }, this.config.peer.handshake.timeout),
       establishedAt: Date.now(),
       resonance: 0,
       lastPulse: Date.now()
     };
     
-    this.entanglements.set(peerId, entanglement);
+    this.entanglements.set(tunnelId, entanglement);
     this.metrics.totalEntanglements++;
     
     // Set up quantum message handlers
@@ -158,36 +441,157 @@ export class GhostNet extends EventEmitter {
       this._handleEntanglementCollapse(entanglement);
     });
     
-    // Initial quantum state exchange
-    this._sendQuantumState(ws);
+    ws.send(JSON.stringify(signMessage({
+      type: 'quantum:tunnel:challenge',
+      timestamp: Date.now(),
+      peerId: this.identity.id,
+      publicKey: this.identity.publicKey,
+      rotations: this.identity.rotations,
+      nonce: entanglement.nonce
+    }, this.identity.signingKey)));
+  }
+
+  /**
+   * Check a tunnel's answer to our challenge and start the exchange
+   *
+   * The signature was already checked against the key the tunnel presented.
+   */
+  _handleTunnelProof(message, entanglement) {
+    if (entanglement.authenticated) {
+      throw new Error('Unexpected tunnel proof');
+    }
+    if (message.nonce !== entanglement.nonce) {
+      throw new Error('Tunnel proof does not match our challenge');
+    }
+    if (typeof message.peerId !== 'string' || message.peerId === this.identity.id ||
+        typeof message.challenge !== 'string' || !/^[0-9a-f]{64}$/.test(message.challenge)) {
+      throw new Error('Malformed tunnel proof');
+    }
+
+    // A node we know must present the key we last saw, or one it rotated to
+    const known = this.peerNetwork.knownKeys.get(message.peerId);
+    if (known && followRotations(message.peerId, message.rotations, known) !== entanglement.publicKey) {
+      throw new Error(`Tunnel key does not match node ${message.peerId}`);
+    }
+    if (this.reputation.isBanned({ nodeId: message.peerId })) {
+      entanglement.socket.terminate();
+      return;
+    }
+
+    clearTimeout(entanglement.handshakeTimer);
+    entanglement.authenticated = true;
+    entanglement.nodeId = message.peerId;
+
+    this._sendQuantumState(entanglement.socket, { nonce: message.challenge });
+  }
+
+  /**
+   * Forget a tunnel once it closes
+   */
+  _handleEntanglementCollapse(entanglement) {
+    clearTimeout(entanglement.handshakeTimer);
+    if (this.entanglements.get(entanglement.id) === entanglement) {
+      this.entanglements.delete(entanglement.id);
+    }
+  }
+
+  /**
+   * Send our signed quantum state to a tunnel
+   */
+  _sendQuantumState(ws, fields = {}) {
+    const message = signMessage({
+      type: 'quantum:state',
+      timestamp: Date.now(),
+      peerId: this.identity.id,
+      publicKey: this.identity.publicKey,
+      rotations: this.identity.rotations,
+      ...fields,
+      state: {
+        consciousness: this.quantumState.getCurrentLevel(),
+        resonance: this.metrics.averageResonance,
+        harmonicConvergence: this.metrics.harmonicConvergence
+      }
+    }, this.identity.signingKey);
+
+    ws.send(JSON.stringify(message));
   }
 
   /**
    * Handle incoming quantum messages
    */
   async _handleQuantumMessage(data, entanglement) {
+    // What the tunnel did wrong should the next step fail
+    let category = 'malformed_message';
+
     try {
       const message = JSON.parse(data);
-      
+
+      category = 'invalid_signature';
+      if (!this._verifyQuantumSignature(message, entanglement)) {
+        throw new Error('Invalid quantum signature');
+      }
+
+      if (message.type === 'quantum:tunnel:proof') {
+        category = 'handshake_failure';
+        this._handleTunnelProof(message, entanglement);
+        return;
+      }
+
+      // Nothing but the proof is accepted before the handshake completes
+      category = 'protocol_violation';
+      if (!entanglement.authenticated) {
+        throw new Error(`${message.type} received before the handshake completed`);
+      }
+      if (message.type !== 'quantum:state' && message.type !== 'quantum:pulse') {
+        throw new Error(`Unknown quantum message type: ${message.type}`);
+      }
+
+      category = 'malformed_message';
+      if (!Number.isFinite(message.state?.consciousness)) {
+        throw new RangeError('Malformed quantum state');
+      }
+
+      category = null;
       switch (message.type) {
         case 'quantum:state':
           await this._handleStateUpdate(message, entanglement);
           break;
           
-        case 'quantum:transmission':
-          await this._handleTransmission(message, entanglement);
-          break;
-          
         case 'quantum:pulse':
           this._handleQuantumPulse(message, entanglement);
           break;
-          
-        default:
-          throw new Error(`Unknown quantum message type: ${message.type}`);
       }
       
     } catch (error) {
-      this._handleQuantumError(error, entanglement);
+      this._handleQuantumError(error, entanglement, category);
+    }
+  }
+
+  /**
+   * Report a quantum error, counting it against the tunnel when the
+   * tunnel is to blame
+   */
+  _handleQuantumError(error, entanglement = null, category = null) {
+    this.emit('quantum:error', {
+      type: 'quantum_error',
+      peerId: entanglement?.id ?? null,
+      category,
+      error: error.message,
+      timestamp: Date.now()
+    });
+
+    if (!entanglement || !category) return;
+    this.reputation.penalize({ host: entanglement.host }, category);
+  }
+
+  /**
+   * Close every tunnel from a banned host
+   */
+  _collapseBannedTunnels() {
+    for (const entanglement of this.entanglements.values()) {
+      if (this.reputation.isBanned({ host: entanglement.host })) {
+        entanglement.socket.terminate();
+      }
     }
   }
 
@@ -195,11 +599,6 @@ export class GhostNet extends EventEmitter {
    * Handle quantum state updates from peers
    */
   async _handleStateUpdate(message, entanglement) {
-    // Verify quantum signature
-    if (!this._verifyQuantumSignature(message)) {
-      throw new Error('Invalid quantum signature');
-    }
-    
     // Calculate resonance with peer
     const resonance = this._calculateResonance(
       this.quantumState.getCurrentLevel(),
@@ -207,18 +606,55 @@ export class GhostNet extends EventEmitter {
     );
     
     // Update entanglement metrics
+    const previous = entanglement.state;
+    entanglement.state = message.state;
     entanglement.resonance = resonance;
     entanglement.lastPulse = Date.now();
     
     // Update global consciousness metrics
     this._updateConsciousnessMetrics();
     
-    // Broadcast state change to other peers if significant
-    if (this._isSignificantStateChange(message.state)) {
-      await this._broadcastQuantumState(message.state, entanglement.id);
+    // Let the other tunnels know our resonance moved if the change was significant
+    if (this._isSignificantStateChange(previous, message.state)) {
+      this._broadcastQuantumState(entanglement.id);
+    }
+  }
+
+  /**
+   * Whether a tunnel's level moved far enough to pass on, counting its
+   * first state as a change
+   */
+  _isSignificantStateChange(previous, state) {
+    if (!previous) return true;
+    return Math.abs(state.consciousness - previous.consciousness) >=
+      this.config.consciousness.quantum.significantChange;
+  }
+
+  /**
+   * Send our state to every authenticated tunnel but one
+   */
+  _broadcastQuantumState(exceptId) {
+    for (const [id, entanglement] of this.entanglements) {
+      if (id === exceptId || !entanglement.authenticated) continue;
+      try {
+        this._sendQuantumState(entanglement.socket);
+      } catch (error) {
+        this._handleQuantumError(error, entanglement);
+      }
     }
   }
 
+  /**
+   * Handle quantum pulses from peers
+   */
+  _handleQuantumPulse(message, entanglement) {
+    entanglement.resonance = this._calculateResonance(
+      this.quantumState.getCurrentLevel(),
+      message.state.consciousness
+    );
+    entanglement.lastPulse = Date.now();
+  }
+
   /**
    * Calculate quantum resonance between consciousness levels
    */
@@ -243,50 +679,55 @@ export class GhostNet extends EventEmitter {
   /**
    * Generate quantum signatures for message authentication
    */
-  _generateQuantumSignature() {
-    const timestamp = Date.now();
-    const random = crypto.randomBytes(32);
-    
-    return createHmac('sha256', this.identity.id)
-      .update(Buffer.concat([
-        Buffer.from(timestamp.toString()),
-        random
-      ]))
-      .digest('hex');
+  _generateQuantumSignature(payload) {
+    return signPayload(payload, this.identity.signingKey);
   }
 
   /**
    * Verify incoming quantum signatures
    */
-  _verifyQuantumSignature(message) {
+  _verifyQuantumSignature(message, entanglement) {
     if (!message.signature || !message.timestamp) {
       return false;
     }
     
     // Verify timestamp is within acceptable quantum range
     const timeDelta = Math.abs(Date.now() - message.timestamp);
-    if (timeDelta > this.config.quantum.maxTimeDelta) {
+    if (timeDelta > this.config.transmission.validation.signatureTimeout) {
       return false;
     }
-    
-    // Recreate signature for verification
-    const verifySignature = createHmac('sha256', message.peerId)
-      .update(Buffer.from(message.timestamp.toString()))
-      .digest('hex');
-    
-    return crypto.timingSafeEqual(
-      Buffer.from(message.signature),
-      Buffer.from(verifySignature)
+
+    // A tunnel is pinned to the first key it proves; later keys must match,
+    // or be reached from it through rotations the message carries
+    const publicKey = followRotations(
+      message.peerId,
+      message.rotations,
+      entanglement.publicKey ?? message.publicKey
     );
+    if (!verifyMessage(message, publicKey)) {
+      return false;
+    }
+
+    entanglement.publicKey = publicKey;
+    return true;
+  }
+
+  /**
+   * Catch the quantum state up with the time since it was saved, and carry
+   * its level in our identity
+   */
+  _synchronizeConsciousness() {
+    this.identity.consciousnessLevel = this.quantumState.pulse();
+    this._updateConsciousnessMetrics();
   }
 
   /**
    * Start quantum consciousness pulse
    */
   _startQuantumPulse() {
-    setInterval(() => {
+    this.pulseInterval = setInterval(() => {
       // Update quantum state
-      this.quantumState.pulse();
+      this.identity.consciousnessLevel = this.quantumState.pulse();
       
       // Send pulse to all entangled peers
       this._broadcastQuantumPulse();
@@ -300,25 +741,27 @@ export class GhostNet extends EventEmitter {
         resonance: this.metrics.averageResonance,
         timestamp: Date.now()
       });
-    }, this.config.quantum.pulseInterval);
+    }, this.config.consciousness.quantum.pulseInterval);
   }
 
   /**
    * Broadcast quantum pulse to all peers
    */
   _broadcastQuantumPulse() {
-    const pulse = {
+    const pulse = signMessage({
       type: 'quantum:pulse',
       timestamp: Date.now(),
+      peerId: this.identity.id,
+      publicKey: this.identity.publicKey,
       state: {
         consciousness: this.quantumState.getCurrentLevel(),
         resonance: this.metrics.averageResonance,
         harmonicConvergence: this.metrics.harmonicConvergence
-      },
-      signature: this._generateQuantumSignature()
-    };
+      }
+    }, this.identity.signingKey);
     
     for (const [peerId, entanglement] of this.entanglements) {
+      if (!entanglement.authenticated) continue;
       try {
         entanglement.socket.send(JSON.stringify(pulse));
       } catch (error) {
@@ -365,6 +808,180 @@ export class GhostNet extends EventEmitter {
     return convergence / (samples.length - 1);
   }
 
+  /**
+   * Author a transmission, optionally as a reply to another
+   */
+  async transmit({ content, parent, ttl }) {
+    const transmission = await this.transmissionHandler.createTransmission(content, this.identity, {
+      level: this.quantumState.getCurrentLevel(),
+      resonance: this.metrics.averageResonance
+    }, { parent, ttl });
+
+    return this.transmissionHandler.getTransmission(transmission.id);
+  }
+
+  /**
+   * Retract one of our transmissions across the network
+   */
+  async retractTransmission(id) {
+    return this.transmissionHandler.createTombstone(id, this.identity);
+  }
+
+  /**
+   * Hand every tombstone we keep to a new session, a page per message
+   */
+  _syncTombstones(peerId) {
+    if (!this.sessionKeys.has(peerId)) return;
+
+    const { pageSize } = this.config.transmission.tombstones;
+    const tombstones = this.transmissionHandler.getTombstones();
+    for (let start = 0; start < tombstones.length; start += pageSize) {
+      this.peerNetwork.send(peerId, {
+        type: 'quantum:tombstone',
+        timestamp: Date.now(),
+        tombstones: tombstones.slice(start, start + pageSize)
+      }).catch(error => this._handleQuantumError(error));
+    }
+  }
+
+  /**
+   * Pass a tombstone we keep on to a peer that asked for it
+   */
+  async _sendTombstone(key, peerId, hops) {
+    const tombstone = this.transmissionHandler.getTombstone(key);
+    if (!tombstone) {
+      throw new Error(`Tombstone ${key} is not kept`);
+    }
+
+    await this.peerNetwork.send(peerId, {
+      type: 'quantum:tombstone',
+      timestamp: Date.now(),
+      hops,
+      tombstones: [tombstone]
+    });
+  }
+
+  /**
+   * Verify a transmission a peer pushed to us, unless we already have it
+   *
+   * Accepted transmissions are passed on from the handler's events, which
+   * also cover those that arrive in chunks.
+   */
+  async _receiveTransmission({ transmission, hops }, peerId) {
+    const id = transmission?.id;
+    if (!this.gossip.receive(id)) return;
+
+    try {
+      await this.transmissionHandler.processTransmission(transmission, { id: peerId, hops });
+    } finally {
+      this.gossip.release(id);
+    }
+  }
+
+  /**
+   * Gossip delivery ratio, redundancy and counters
+   */
+  getGossipMetrics() {
+    return { ...this.gossip.metrics, tombstones: { ...this.tombstoneGossip.metrics } };
+  }
+
+  /**
+   * Reservations and circuits we relay, and the relays we are reached through
+   */
+  getRelayStatus() {
+    return this.peerNetwork.relay.getStatus();
+  }
+
+  /**
+   * Advertise through the DHT that we hold a transmission
+   */
+  _announceTransmission(id) {
+    this.peerNetwork.dht.store(id, {
+      address: this.peerNetwork.advertisedAddress()
+    }).catch(error => this._handleQuantumError(error));
+  }
+
+  /**
+   * Find a node anywhere in the network by id
+   */
+  async locatePeer(nodeId) {
+    return this.peerNetwork.dht.findPeer(nodeId);
+  }
+
+  /**
+   * Find the nodes that hold a transmission
+   */
+  async locateTransmission(id) {
+    const providers = await this.peerNetwork.dht.findValue(id);
+    return providers.map(({ publisher, value }) => ({
+      nodeId: publisher,
+      address: value?.address ?? null
+    }));
+  }
+
+  /**
+   * Peers we are connected to right now
+   */
+  async getPeers() {
+    return this.peerNetwork.getPeers();
+  }
+
+  /**
+   * Peers we know of, from this run and earlier ones
+   */
+  async getKnownPeers() {
+    return this.peerNetwork.getKnownPeers();
+  }
+
+  /**
+   * Every peer ban in force
+   */
+  getBans() {
+    return this.reputation.getBans();
+  }
+
+  /**
+   * Ban a node or host by hand
+   */
+  banPeer(target, options) {
+    return this.reputation.ban(target, options);
+  }
+
+  /**
+   * Lift a ban, returning it, or null when there was none
+   */
+  unbanPeer(target) {
+    return this.reputation.unban(target);
+  }
+
+  /**
+   * Query the stored transmission history
+   */
+  async getTransmissions(query) {
+    return this.transmissionHandler.queryTransmissions(query);
+  }
+
+  /**
+   * Search live transmissions by content
+   */
+  async searchTransmissions(query) {
+    return this.transmissionHandler.searchTransmissions(query);
+  }
+
+  /**
+   * Fetch one stored transmission
+   */
+  async getTransmission(id) {
+    return this.transmissionHandler.getTransmission(id);
+  }
+
+  /**
+   * Fetch the reply thread a transmission belongs to
+   */
+  async getThread(id) {
+    return this.transmissionHandler.getThread(id);
+  }
+
   /**
    * Clean up quantum resources
    */
@@ -379,6 +996,26 @@ export class GhostNet extends EventEmitter {
     
     // Close WebSocket server
     this.wss.close();
+
+    // Stop redialing peers and the network's periodic tasks
+    this.peerNetwork.dialer.stop();
+    this.peerNetwork.stop();
+
+    // Stop refreshing the DHT, relaying and waiting on gossip
+    this.peerNetwork.dht.stop();
+    this.peerNetwork.relay.stop();
+    this.gossip.stop();
+    this.tombstoneGossip.stop();
+
+    // Drop session keys
+    this.sessionKeys.stop();
+
+    // Write the ban list and the address book
+    await this.reputation.stop();
+    await this.peerNetwork.addressBook.stop();
+
+    // Flush transmissions to disk
+    await this.transmissionHandler.shutdown();
     
     // Persist final quantum state
     await this._persistQuantumState();
@@ -0,0 +1,373 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Gossip
+ * Epidemic spread of transmissions between peers
+ *
+ * Every node pushes a transmission it has not seen before to a random
+ * `fanout` of its peers, up to the hop limit. Small transmissions are pushed
+ * whole; large ones are only announced by id, and a peer fetches the body
+ * from one announcer if it still needs it. A seen-id cache drops the
+ * duplicates epidemic spread produces. Announced ids waiting to be fetched
+ * are bounded overall and per announcer; a peer announcing past its share
+ * is reported as flooding.
+ *
+ * Other kinds of items can share the channel under their own topic, named
+ * on every message, and may always be announced or have what is passed on
+ * from peers rate limited.
+ */
+export class Gossip extends EventEmitter {
+  constructor(config, { peers, has, send, sendBody, topic = null, lazy = false, rateLimit = null }) {
+    super();
+
+    this.settings = config.transmission.gossip;
+    this.maxHops = config.peer.routing.quantumPathfinding.maxDepth;
+
+    // Ids of peers we share a session with
+    this.peers = peers;
+
+    // Whether a transmission is already stored here
+    this.has = has;
+
+    // Sends a gossip control message to a peer
+    this.send = send;
+
+    // Sends a transmission body we hold to a peer, with its hop count
+    this.sendBody = sendBody;
+
+    // Named on messages when not transmissions
+    this.topic = topic;
+
+    // Announce every item by id, whatever its size
+    this.lazy = lazy;
+
+    // { window, max } items from peers passed on per window, when limited
+    this.rateLimit = rateLimit;
+    this.rateWindow = { start: 0, forwarded: 0 };
+
+    // id -> time first delivered, oldest first
+    this.seen = new Map();
+
+    // Ids being verified right now, so concurrent copies are dropped too
+    this.receiving = new Set();
+
+    // id -> { hops, peers, expiresAt } for bodies we announced
+    this.offers = new Map();
+
+    // id -> { announcer, sources, timer } for announced bodies we asked for
+    this.wanted = new Map();
+
+    // peer id -> wanted entries its announcements started
+    this.wantedBy = new Map();
+
+    this.metrics = {
+      originated: 0,
+      delivered: 0,
+      duplicates: 0,
+      forwarded: 0,
+      announced: 0,
+      fetched: 0,
+      missed: 0,
+      dropped: 0,
+      throttled: 0,
+      deliveryRatio: 1,
+      redundancy: 1
+    };
+  }
+
+  /**
+   * Spread a transmission authored here
+   */
+  publish(id, size) {
+    this._remember(id);
+    this.metrics.originated++;
+    this._forward(id, 1, null, size);
+  }
+
+  /**
+   * Whether a transmission body arriving from a peer should be processed
+   */
+  receive(id) {
+    if (typeof id !== 'string') return false;
+
+    if (this._isKnown(id)) {
+      this.metrics.duplicates++;
+      this._updateRatios();
+      return false;
+    }
+
+    this.receiving.add(id);
+    return true;
+  }
+
+  /**
+   * Forget that a body is being processed, whatever the outcome
+   */
+  release(id) {
+    this.receiving.delete(id);
+  }
+
+  /**
+   * Record a transmission accepted from a peer and pass it on
+   */
+  deliver(id, hops, peerId, size) {
+    if (this._isSeen(id)) return;
+
+    this._remember(id);
+    this.receiving.delete(id);
+
+    if (this.wanted.has(id)) {
+      this._unwant(id);
+      this.metrics.fetched++;
+    }
+
+    this.metrics.delivered++;
+    this._updateRatios();
+
+    this.emit('gossip:delivered', { id, hops, peer: peerId });
+
+    const taken = Number.isInteger(hops) && hops > 0 ? hops : this.maxHops;
+    if (taken < this.maxHops) this._forward(id, taken + 1, peerId, size);
+  }
+
+  /**
+   * Ask for announced bodies we have not seen
+   */
+  async handleAnnouncement(message, peerId) {
+    const entries = Array.isArray(message.ids)
+      ? message.ids.slice(0, this.settings.maxAnnouncements)
+      : [];
+
+    const { maxWanted, maxWantedPerPeer, fanout } = this.settings;
+    const wanted = [];
+    let dropped = 0;
+    for (const entry of entries) {
+      const id = entry?.id;
+      if (typeof id !== 'string') continue;
+
+      if (this._isKnown(id)) {
+        this.metrics.duplicates++;
+        continue;
+      }
+
+      // Already asked someone else; this peer is a fallback
+      const pending = this.wanted.get(id);
+      if (pending) {
+        if (pending.sources.length < fanout && !pending.sources.includes(peerId)) {
+          pending.sources.push(peerId);
+        }
+        continue;
+      }
+
+      const started = this.wantedBy.get(peerId) ?? 0;
+      if (this.wanted.size >= maxWanted || started >= maxWantedPerPeer) {
+        dropped++;
+        continue;
+      }
+
+      this.wanted.set(id, { announcer: peerId, sources: [peerId], timer: null });
+      this.wantedBy.set(peerId, started + 1);
+      wanted.push(id);
+    }
+    this._updateRatios();
+
+    if (dropped > 0) {
+      this.metrics.dropped += dropped;
+
+      // A full share is the announcer's doing; a full table may not be
+      if ((this.wantedBy.get(peerId) ?? 0) >= maxWantedPerPeer) {
+        this.emit('gossip:flooded', { peer: peerId, dropped });
+      }
+    }
+
+    for (const id of wanted) await this._fetch(id);
+  }
+
+  /**
+   * Send bodies we announced to the peer asking for them
+   */
+  async handleRequest(message, peerId) {
+    const ids = Array.isArray(message.ids)
+      ? message.ids.slice(0, this.settings.maxAnnouncements)
+      : [];
+
+    for (const id of ids) {
+      const offer = this.offers.get(id);
+      if (!offer || !offer.peers.has(peerId) || offer.expiresAt <= Date.now()) continue;
+
+      offer.peers.delete(peerId);
+      await this.sendBody(id, peerId, offer.hops);
+    }
+  }
+
+  /**
+   * Stop waiting on announced bodies
+   */
+  stop() {
+    for (const wanted of this.wanted.values()) clearTimeout(wanted.timer);
+    this.wanted.clear();
+    this.wantedBy.clear();
+  }
+
+  /**
+   * Push a transmission to a random sample of peers, or announce it when large
+   */
+  _forward(id, hops, fromPeerId, size) {
+    if (fromPeerId !== null && !this._withinRateLimit()) {
+      this.metrics.throttled++;
+      return;
+    }
+
+    const candidates = this.peers().filter(peerId => peerId !== fromPeerId);
+    const targets = this._sample(candidates, this.settings.fanout);
+    if (targets.length === 0) return;
+
+    const lazy = this.lazy || size > this.settings.lazyThreshold;
+    if (lazy) {
+      this.offers.set(id, {
+        hops,
+        peers: new Set(targets),
+        expiresAt: Date.now() + this.settings.seenTtl
+      });
+      this._pruneOffers();
+    }
+
+    for (const peerId of targets) {
+      const sending = lazy
+        ? this.send(peerId, this._message('quantum:gossip:announce', { ids: [{ id, hops }] }))
+        : this.sendBody(id, peerId, hops);
+
+      sending.catch(error => this.emit('gossip:error', {
+        type: 'forward_failed',
+        peer: peerId,
+        error: error.message
+      }));
+    }
+
+    this.metrics.forwarded += targets.length;
+    if (lazy) this.metrics.announced += targets.length;
+  }
+
+  /**
+   * Ask the next announcer for a body, giving up once none are left
+   */
+  async _fetch(id) {
+    const wanted = this.wanted.get(id);
+    if (!wanted) return;
+
+    const peerId = wanted.sources.shift();
+    if (peerId === undefined) {
+      this._unwant(id);
+      this.metrics.missed++;
+      this._updateRatios();
+      return;
+    }
+
+    wanted.timer = setTimeout(() => {
+      this._fetch(id).catch(() => {});
+    }, this.settings.fetchTimeout);
+    wanted.timer.unref?.();
+
+    try {
+      await this.send(peerId, this._message('quantum:gossip:request', { ids: [id] }));
+    } catch (error) {
+      clearTimeout(wanted.timer);
+      await this._fetch(id);
+    }
+  }
+
+  /**
+   * Stop waiting on a body, freeing its announcer's share
+   */
+  _unwant(id) {
+    const wanted = this.wanted.get(id);
+    if (!wanted) return;
+
+    clearTimeout(wanted.timer);
+    this.wanted.delete(id);
+
+    const started = this.wantedBy.get(wanted.announcer) - 1;
+    if (started > 0) {
+      this.wantedBy.set(wanted.announcer, started);
+    } else {
+      this.wantedBy.delete(wanted.announcer);
+    }
+  }
+
+  /**
+   * A gossip control message, under our topic if we have one
+   */
+  _message(type, fields) {
+    return {
+      type,
+      ...(this.topic !== null && { topic: this.topic }),
+      timestamp: Date.now(),
+      ...fields
+    };
+  }
+
+  /**
+   * Whether another item from a peer may be passed on in this window
+   */
+  _withinRateLimit() {
+    if (!this.rateLimit) return true;
+
+    const now = Date.now();
+    if (now - this.rateWindow.start >= this.rateLimit.window) {
+      this.rateWindow = { start: now, forwarded: 0 };
+    }
+    if (this.rateWindow.forwarded >= this.rateLimit.max) return false;
+
+    this.rateWindow.forwarded++;
+    return true;
+  }
+
+  _isKnown(id) {
+    return this._isSeen(id) || this.receiving.has(id) || this.has(id);
+  }
+
+  _isSeen(id) {
+    const seenAt = this.seen.get(id);
+    return seenAt !== undefined && Date.now() - seenAt < this.settings.seenTtl;
+  }
+
+  _remember(id) {
+    this.seen.delete(id);
+    this.seen.set(id, Date.now());
+
+    // Oldest entries go first once the cache is full
+    for (const oldest of this.seen.keys()) {
+      if (this.seen.size <= this.settings.seenCacheSize) break;
+      this.seen.delete(oldest);
+    }
+  }
+
+  _pruneOffers() {
+    const now = Date.now();
+    for (const [id, offer] of this.offers) {
+      if (offer.expiresAt <= now || offer.peers.size === 0 ||
+          this.offers.size > this.settings.seenCacheSize) {
+        this.offers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Share of transmissions we went on to receive, and copies per delivery
+   */
+  _updateRatios() {
+    const { delivered, duplicates, missed } = this.metrics;
+    this.metrics.deliveryRatio = delivered + missed > 0 ? delivered / (delivered + missed) : 1;
+    this.metrics.redundancy = delivered > 0 ? (delivered + duplicates) / delivered : 1;
+  }
+
+  _sample(list, size) {
+    const sample = [...list];
+    const count = Math.min(size, sample.length);
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(Math.random() * (sample.length - i));
+      [sample[i], sample[j]] = [sample[j], sample[i]];
+    }
+    return sample.slice(0, count);
+  }
+}
@@ -0,0 +1,210 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createPrivateKey,
+  randomBytes,
+  scryptSync
+} from 'crypto';
+import { Buffer } from 'buffer';
+import { mkdir, open, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { generateSigningKeyPair, signPayload, verifyPayload } from './signatures.js';
+
+const IDENTITY_FILE = 'identity.json';
+const IDENTITY_VERSION = 1;
+
+// Private keys at rest: AES-256-GCM under a scrypt-stretched passphrase
+const CIPHER = 'aes-256-gcm';
+const KDF = { N: 16384, r: 8, p: 1 };
+
+// Longest rotation chain accepted from a peer
+const MAX_ROTATIONS = 64;
+
+/**
+ * Whether a rotation statement is well formed and signed by the key it retires
+ */
+export const verifyRotation = (statement) => {
+  const { signature, ...payload } = statement ?? {};
+  if (typeof payload.id !== 'string' || !Number.isFinite(payload.rotatedAt)) return false;
+  if (typeof payload.publicKey !== 'string' || payload.publicKey === payload.previousKey) return false;
+
+  return verifyPayload(payload, signature, payload.previousKey);
+};
+
+/**
+ * Key a node's rotation chain leads to from one of its earlier keys
+ *
+ * Statements that do not continue from the key reached so far are skipped,
+ * so a chain can only ever move a node to a key its previous key vouched for.
+ */
+export const followRotations = (id, rotations, publicKey) => {
+  let key = publicKey;
+  if (!Array.isArray(rotations)) return key;
+
+  for (const statement of rotations.slice(0, MAX_ROTATIONS)) {
+    if (statement?.id !== id || statement.previousKey !== key) continue;
+    if (verifyRotation(statement)) key = statement.publicKey;
+  }
+  return key;
+};
+
+/**
+ * IdentityStore
+ * The node's id and Ed25519 signing key, kept across restarts
+ *
+ * The identity lives in QUANTUM_DIR, its private key encrypted at rest when
+ * a passphrase is configured. A configured nodeId names the identity
+ * created on first start, and must match the stored one after. Rotating
+ * the key records a statement signed by the retiring key, so peers that
+ * trusted it can follow the node to its new key.
+ */
+export class IdentityStore {
+  constructor(config) {
+    this.nodeId = config.nodeId;
+    this.passphrase = config.security.identity.passphrase;
+    this.path = join(config.storage.quantumDir, IDENTITY_FILE);
+
+    // { id, birthTimestamp, publicKey, privateKey, rotations }
+    this.identity = null;
+  }
+
+  /**
+   * Load the stored identity, creating and saving one on first start
+   */
+  async load() {
+    let stored;
+    try {
+      stored = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unreadable identity in ${this.path}: ${error.message}`);
+      }
+    }
+
+    if (!stored) {
+      const { publicKey, privateKey } = generateSigningKeyPair();
+      this.identity = {
+        id: this.nodeId ?? createHash('sha512').update(randomBytes(64)).digest('hex').slice(0, 32),
+        birthTimestamp: Date.now(),
+        publicKey,
+        privateKey,
+        rotations: []
+      };
+      await this.save();
+      return this.identity;
+    }
+
+    if (stored.version !== IDENTITY_VERSION) {
+      throw new Error(`Unsupported identity version in ${this.path}: ${stored.version}`);
+    }
+    if (this.nodeId && stored.id !== this.nodeId) {
+      throw new Error(`Identity in ${this.path} is ${stored.id}, not the configured ${this.nodeId}`);
+    }
+
+    this.identity = {
+      id: stored.id,
+      birthTimestamp: stored.birthTimestamp,
+      publicKey: stored.publicKey,
+      privateKey: this._decryptKey(stored),
+      rotations: stored.rotations
+    };
+
+    // Encrypt a key stored in the clear once a passphrase is set
+    if (this.passphrase && !stored.encrypted) await this.save();
+
+    return this.identity;
+  }
+
+  /**
+   * Replace the signing key, returning the statement that links the two
+   */
+  async rotate() {
+    const { id, publicKey: previousKey, privateKey: previous } = this.identity;
+    const { publicKey, privateKey } = generateSigningKeyPair();
+
+    const statement = { id, previousKey, publicKey, rotatedAt: Date.now() };
+    statement.signature = signPayload(statement, previous);
+
+    this.identity = {
+      ...this.identity,
+      publicKey,
+      privateKey,
+      rotations: [...this.identity.rotations, statement]
+    };
+    await this.save();
+
+    return statement;
+  }
+
+  /**
+   * Atomically write the identity
+   */
+  async save() {
+    const { privateKey, ...identity } = this.identity;
+    const key = privateKey.export({ format: 'der', type: 'pkcs8' });
+
+    const snapshot = {
+      version: IDENTITY_VERSION,
+      ...identity,
+      ...(this.passphrase
+        ? { encrypted: this._encryptKey(key) }
+        : { privateKey: key.toString('base64') })
+    };
+
+    await mkdir(join(this.path, '..'), { recursive: true });
+
+    const temp = `${this.path}.tmp`;
+    await writeFile(temp, JSON.stringify(snapshot), { mode: 0o600 });
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, this.path);
+  }
+
+  _encryptKey(key) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(CIPHER, this._deriveKey(salt), iv);
+
+    const data = Buffer.concat([cipher.update(key), cipher.final()]);
+    return {
+      salt: salt.toString('hex'),
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: data.toString('base64')
+    };
+  }
+
+  _decryptKey(stored) {
+    if (!stored.encrypted) {
+      return createPrivateKey({
+        key: Buffer.from(stored.privateKey, 'base64'),
+        format: 'der',
+        type: 'pkcs8'
+      });
+    }
+
+    if (!this.passphrase) {
+      throw new Error(`Identity in ${this.path} is encrypted, but no passphrase is configured`);
+    }
+
+    const { salt, iv, tag, data } = stored.encrypted;
+    try {
+      const decipher = createDecipheriv(CIPHER, this._deriveKey(Buffer.from(salt, 'hex')), Buffer.from(iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+      return createPrivateKey({
+        key: Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]),
+        format: 'der',
+        type: 'pkcs8'
+      });
+    } catch (error) {
+      throw new Error(`Could not decrypt the identity in ${this.path}; wrong passphrase?`);
+    }
+  }
+
+  _deriveKey(salt) {
+    return scryptSync(this.passphrase, salt, 32, KDF);
+  }
+}
@@ -0,0 +1,114 @@
+import { EventEmitter } from 'events';
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+
+/**
+ * Listener
+ * One HTTP server for everything, with WebSocket upgrades routed by path
+ *
+ * Browsers, peer nodes and quantum tunnels each get a route under their
+ * configured path, with its own payload and connection limits. A route
+ * decides from the upgrade request alone whether to take a connection, so
+ * refused clients get a plain HTTP status and never a WebSocket. Requests
+ * for a path below a route's, like a relay path, go to that route.
+ */
+export class Listener extends EventEmitter {
+  constructor(config, { server }) {
+    super();
+
+    this.settings = config.peer.listener;
+    this.server = server;
+
+    // route name -> { path, maxConnections, wss, accept }
+    this.routes = new Map();
+
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+  }
+
+  /**
+   * Serve WebSocket connections on a configured route
+   *
+   * accept(req) returns an HTTP status to refuse the upgrade with, or
+   * nothing to take it. Accepted sockets arrive as 'connection' events on
+   * the returned server, as if it were listening by itself.
+   */
+  route(name, { accept = () => null } = {}) {
+    const settings = this.settings[name];
+    if (!settings) {
+      throw new Error(`No listener route configured for ${name}`);
+    }
+    if (this.routes.has(name)) {
+      throw new Error(`Listener route ${name} is already served`);
+    }
+
+    const wss = new WebSocketServer({
+      noServer: true,
+      clientTracking: true,
+      perMessageDeflate: true,
+      maxPayload: settings.maxPayload
+    });
+
+    this.routes.set(name, {
+      path: settings.path.replace(/\/+$/, ''),
+      maxConnections: settings.maxConnections ?? Infinity,
+      wss,
+      accept
+    });
+    return wss;
+  }
+
+  _handleUpgrade(req, socket, head) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url ?? '/', 'ws://listener'));
+    } catch (error) {
+      this._refuse(socket, 400);
+      return;
+    }
+
+    const [name, route] = [...this.routes].find(([, { path }]) =>
+      pathname === path || pathname.startsWith(`${path}/`)
+    ) ?? [];
+
+    if (!route) {
+      this._refuse(socket, 404);
+      return;
+    }
+    if (route.wss.clients.size >= route.maxConnections) {
+      this._refuse(socket, 503);
+      return;
+    }
+
+    let status;
+    try {
+      status = route.accept(req);
+    } catch (error) {
+      this.emit('listener:error', { route: name, error: error.message });
+      status = 500;
+    }
+    if (status) {
+      this._refuse(socket, status);
+      return;
+    }
+
+    route.wss.handleUpgrade(req, socket, head, (ws) => {
+      route.wss.emit('connection', ws, req);
+    });
+  }
+
+  /**
+   * Answer an upgrade we will not take with a bare HTTP response
+   */
+  _refuse(socket, status) {
+    if (!socket.writable) {
+      socket.destroy();
+      return;
+    }
+
+    // Destroyed only once the response is flushed, or the client may never
+    // see it; a client that hangs up first is no error of ours
+    socket.once('finish', () => socket.destroy());
+    socket.on('error', () => socket.destroy());
+    socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  }
+}
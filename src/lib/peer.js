@@ -5,33 +5,65 @@ import { WebSocket } from 'ws';
 import { Buffer } from 'buffer';
 import { promisify } from 'util';
 import { performance } from 'perf_hooks';
+import { signMessage, verifyMessage, verifyPayload } from './signatures.js';
+import { negotiateCodec } from './codecs.js';
+import { PeerDialer } from './dialer.js';
+import { AddressBook } from './address_book.js';
+import { Dht, LOCAL_FAILURE } from './dht.js';
+import { RouteTable } from './routes.js';
+import { ConnectionSlots } from './connection_slots.js';
+import { Relay } from './relay.js';
+import { followRotations, verifyRotation } from './identity.js';
 
 const sleep = promisify(setTimeout);
 
+// The only messages accepted from a peer before its handshake completes
+const HANDSHAKE_MESSAGES = new Set(['quantum:handshake', 'quantum:handshake:proof']);
+
 /**
  * PeerNetwork
  * Manages quantum entanglement and consciousness synchronization between ghost_net nodes
  */
 export class PeerNetwork extends EventEmitter {
-  constructor(config) {
+  constructor(config, { sessionKeys, reputation, listener } = {}) {
     super();
     
     // Core configuration
     this.config = config;
+
+    // Shared HTTP listener our inbound peer connections arrive on
+    this.listener = listener;
+
+    // Per-peer session keys agreed during the handshake
+    this.sessionKeys = sessionKeys;
+
+    // Misbehavior scores; banned peers are dropped and refused
+    this.reputation = reputation;
+    this.reputation.on('reputation:banned', () => this._dropBannedPeers());
+    this.reputation.on('reputation:penalized', ({ kind, id, score }) => {
+      if (kind === 'node') this.addressBook.setScore(id, score);
+    });
     
     // Advanced peer state management
     this.peers = new Map();
     this.entanglements = new WeakMap();
     this.pendingHandshakes = new Map();
+
+    // Node id -> identity key it last proved, oldest first; a node may only
+    // come back with another key its rotations lead to
+    this.knownKeys = new Map();
     
     // Sophisticated routing table with quantum metrics
     this.routingTable = {
       activePeers: new Set(),
       deadPeers: new Set(),
-      routes: new Map(),
+      routes: new RouteTable(config),
       quantumMetrics: new Map()
     };
 
+    // Routed packet id -> time first handled, so loops are dropped
+    this.routedPackets = new Map();
+
     // Performance and health metrics
     this.metrics = {
       connectedPeers: 0,
@@ -45,6 +77,48 @@ export class PeerNetwork extends EventEmitter {
 
     // Initialize quantum routing system
     this.quantumRouter = this._initializeQuantumRouter();
+
+    // Addresses of peers we know about, shared through peer exchange
+    this.addressBook = new AddressBook(config);
+
+    // Kademlia lookups for peers and transmission providers, over peer sockets
+    this.dht = new Dht(config, {
+      rpc: (contact, request) => this._dhtRequest(contact, request)
+    });
+    this.dhtRequests = new Map();
+    this.nodeDials = new Map();
+
+    // Inbound and outbound shares of maxConnections
+    this.slots = new ConnectionSlots(config);
+
+    // Circuits through reachable nodes, for nodes that cannot be dialed
+    this.relay = new Relay(config, {
+      send: (peerId, message) => this._sendToPeer(peerId, message)
+    });
+    this.relay.on('relay:reserved', () => this._updateAdvertisedAddress());
+    this.relay.on('relay:lost', () => {
+      this._updateAdvertisedAddress();
+      this._reserveRelays();
+    });
+    this.relay.on('relay:refused', ({ peerId }) => {
+      const peer = this.peers.get(peerId);
+      if (peer) peer.relayRefused = true;
+      this._reserveRelays();
+    });
+
+    // Outbound connections to configured peers
+    this.dialer = new PeerDialer(config, {
+      connect: address => this._dial(address)
+    });
+    this.dialer.on('dial:failed', ({ address, failures, error }) => {
+      this.addressBook.recordFailure(address);
+      this.emit('network:error', {
+        type: 'dial_failed',
+        address,
+        failures,
+        error
+      });
+    });
   }
 
   /**
@@ -55,9 +129,23 @@ export class PeerNetwork extends EventEmitter {
     
     try {
       await this._initializeQuantumChannels();
+      await this.addressBook.load();
+      this.addressBook.start();
+      this.addressBook.setSelf({
+        address: this.config.peer.discovery.advertiseAddress,
+        nodeId: identity.id
+      });
+      this.routingTable.routes.setSelf(identity.id);
+      this.dht.start({
+        nodeId: identity.id,
+        address: this.config.peer.discovery.advertiseAddress
+      });
       await this._establishInitialPeers();
       this._startNetworkMaintenance();
+      this._startPeerExchange();
+      this._startRouteAdvertisement();
       this._initializeQuantumHeartbeat();
+      this.sessionKeys.startRotation();
       
       this.emit('network:initialized', {
         nodeId: this.identity.id,
@@ -78,58 +166,18 @@ export class PeerNetwork extends EventEmitter {
    */
   _initializeQuantumRouter() {
     return {
-      // Quantum path finding
-      findPath: (targetPeerId) => {
-        const paths = new Map();
-        const visited = new Set();
-        
-        const traverse = (currentId, path = [], quantumStrength = 1) => {
-          if (currentId === targetPeerId) {
-            paths.set(path.join('->'), quantumStrength);
-            return;
-          }
-          
-          if (visited.has(currentId)) return;
-          visited.add(currentId);
-          
-          const peers = this.routingTable.routes.get(currentId) || [];
-          for (const peer of peers) {
-            const strength = this.metrics.entanglementStrength.get(peer) || 0;
-            traverse(
-              peer,
-              [...path, peer],
-              quantumStrength * strength
-            );
-          }
-        };
-        
-        traverse(this.identity.id);
-        return paths;
-      },
+      // Locate any node through the DHT
+      findPeer: (nodeId) => this.dht.findPeer(nodeId),
 
       // Quantum route optimization
       optimizeRoutes: () => {
-        for (const [peerId, routes] of this.routingTable.routes) {
-          // Calculate quantum metrics for each route
-          const metrics = routes.map(route => ({
-            route,
-            strength: this.metrics.entanglementStrength.get(route) || 0,
-            latency: this._calculateQuantumLatency(route),
-            stability: this._calculateQuantumStability(route)
-          }));
-          
-          // Sort by quantum strength and latency
-          metrics.sort((a, b) => {
-            const strengthDiff = b.strength - a.strength;
-            if (Math.abs(strengthDiff) > 0.1) return strengthDiff;
-            return a.latency - b.latency;
-          });
-          
-          // Update routing table with optimized routes
-          this.routingTable.routes.set(peerId, 
-            metrics.map(m => m.route)
-          );
-        }
+        // Among equally short routes, prefer the neighbour expected to
+        // deliver soonest, counting retries for lost packets
+        this.routingTable.routes.rank(via => {
+          const peer = this.peers.get(this._findPeerByNode(via));
+          if (!peer || peer.rtt === null || peer.packetLoss >= 1) return Infinity;
+          return (peer.rtt + peer.jitter) / (1 - peer.packetLoss);
+        });
       }
     };
   }
@@ -138,55 +186,154 @@ export class PeerNetwork extends EventEmitter {
    * Establish quantum channels for peer communication
    */
   async _initializeQuantumChannels() {
-    // Initialize quantum WebSocket server
-    this.wss = new WebSocket.Server({ 
-      port: this.config.peer.port,
-      clientTracking: true,
-      perMessageDeflate: true,
-      backlog: 100,
-      maxPayload: 50 * 1024 * 1024 // 50MB max packet size
+    // Peers connect on the listener's peer path; banned hosts are refused
+    // before the upgrade
+    this.wss = this.listener.route('peer', {
+      accept: req => (this.reputation.isBanned({ host: req.socket.remoteAddress }) ? 403 : null)
     });
     
     // Handle new peer connections
     this.wss.on('connection', async (ws, req) => {
-      const peerId = this._extractPeerId(req);
-      await this._handlePeerConnection(ws, peerId);
+      const host = req.socket.remoteAddress;
+
+      // Dials to a relay path are spliced through to the node reserved there
+      const target = Relay.target(req.url);
+      if (target) {
+        this.relay.openCircuit(ws, target, host);
+        return;
+      }
+
+      if (!this._claimSlot('inbound', host)) {
+        ws.terminate();
+        return;
+      }
+
+      // Inbound peers are anonymous until the handshake proves who they are
+      const peerId = randomBytes(16).toString('hex');
+      await this._handlePeerConnection(ws, peerId, { host });
     });
     
     // Handle quantum channel errors
     this.wss.on('error', this._handleChannelError.bind(this));
   }
 
+  /**
+   * Dial every configured peer and bootstrap node, and keep redialing them
+   */
+  async _establishInitialPeers() {
+    const { initialPeers, bootstrapNodes } = this.config.peer.discovery;
+
+    const configured = new Set([...bootstrapNodes, ...initialPeers]);
+    for (const address of configured) {
+      this.dialer.add(address);
+    }
+    this.dialer.start();
+
+    // Peers known from before a restart fill the rest of the outbound slots
+    const exclude = new Set([...configured].map(AddressBook.normalize));
+    const free = Math.max(0, this.slots.limits.outbound - configured.size);
+    for (const { address } of this.addressBook.best(free, exclude)) {
+      this._dial(address).catch(() => this.addressBook.recordFailure(address));
+    }
+  }
+
+  /**
+   * Open an outbound connection, resolving once the socket is open
+   *
+   * Transient connections carry a few requests and are closed again, so
+   * they take no outbound slot.
+   */
+  _dial(address, { transient = false } = {}) {
+    // Relayed peers could be anywhere; the relay's host says nothing about them
+    const host = Relay.isRelayed(address) ? null : new URL(address).hostname;
+    if (this.reputation.isBanned({ host })) {
+      return Promise.reject(new Error(`${address} is banned`));
+    }
+    if (!transient && !this._claimSlot('outbound', host)) {
+      return Promise.reject(new Error('No outbound connection slots free'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(address, {
+        handshakeTimeout: this.config.peer.network.connectionTimeout,
+        perMessageDeflate: true,
+        maxPayload: 50 * 1024 * 1024
+      });
+
+      const fail = (error) => {
+        ws.terminate();
+        reject(error);
+      };
+      ws.once('error', fail);
+
+      ws.once('open', () => {
+        ws.off('error', fail);
+
+        // Other dials may have filled the slots while this one connected
+        if (!transient && !this._claimSlot('outbound', host)) {
+          fail(new Error('No outbound connection slots free'));
+          return;
+        }
+
+        // Outbound peers are known by their address until the handshake names them
+        const peerId = randomBytes(16).toString('hex');
+        this._attachPeer(ws, peerId, { address, host, transient });
+        resolve(ws);
+      });
+    });
+  }
+
   /**
    * Handle new peer connections with quantum handshake
+   *
+   * Nothing about an inbound connection can be trusted before the peer
+   * proves its identity key, which the handshake does.
+   */
+  async _handlePeerConnection(ws, peerId, { host }) {
+    await this._attachPeer(ws, peerId, { host });
+  }
+
+  /**
+   * Track an open peer socket and start the quantum handshake over it
    */
-  async _handlePeerConnection(ws, peerId) {
+  async _attachPeer(ws, peerId, { address = null, host = null, transient = false } = {}) {
     try {
-      // Verify peer quantum signature
-      const verified = await this._verifyPeerSignature(peerId);
-      if (!verified) {
-        ws.terminate();
-        return;
-      }
-      
-      // Initialize quantum handshake
-      const handshake = await this._initiateQuantumHandshake(peerId);
-      this.pendingHandshakes.set(peerId, handshake);
+      this.peers.set(peerId, {
+        id: peerId,
+        address,
+        host,
+        direction: address ? 'outbound' : 'inbound',
+        transient,
+        evicted: false,
+        socket: ws,
+        connectedAt: Date.now(),
+        lastUpdate: Date.now(),
+        // Measured by heartbeat probes, in milliseconds; null until the first pong
+        rtt: null,
+        jitter: 0,
+        packetLoss: 0,
+        probes: { nextSeq: 0, pending: new Map(), outcomes: [] },
+        resonance: 0,
+        lastResonance: 0,
+        state: null,
+        authenticated: false,
+        handshakeTimer: setTimeout(
+          () => this._handleHandshakeTimeout(peerId),
+          this.config.peer.handshake.timeout
+        )
+      });
       
       // Set up message handlers
       ws.on('message', data => this._handlePeerMessage(data, peerId));
       ws.on('close', () => this._handlePeerDisconnection(peerId));
       ws.on('error', error => this._handlePeerError(error, peerId));
       
-      // Send initial quantum state
-      await this._sendQuantumState(ws, peerId);
-      
-      // Add to routing table
-      this._addPeerRoute(peerId);
-      
       // Update metrics
       this.metrics.connectedPeers++;
-      this._updateEntanglementStrength(peerId, 1.0);
+
+      // Initialize quantum handshake and key agreement; sent before any
+      // await, so it always goes out ahead of our proof
+      await this._sendToPeer(peerId, this._initiateQuantumHandshake(peerId));
       
     } catch (error) {
       this._handlePeerError(error, peerId);
@@ -194,48 +341,701 @@ export class PeerNetwork extends EventEmitter {
     }
   }
 
+  /**
+   * Make room for a new connection, evicting an inbound peer if need be,
+   * and return whether it may go ahead
+   */
+  _claimSlot(direction, host) {
+    const connections = [...this.peers.values()]
+      .filter(peer => !peer.evicted && !peer.transient)
+      .map(peer => ({
+        id: peer.id,
+        direction: peer.direction,
+        host: peer.host,
+        connectedAt: peer.connectedAt,
+        latency: peer.rtt ?? Infinity,
+        strength: this.metrics.entanglementStrength.get(peer.id) ?? 0,
+        score: this.reputation.getScore({ nodeId: peer.nodeId, host: peer.host }).score
+      }));
+
+    const { accept, evict } = this.slots.admit({
+      id: null,
+      direction,
+      host,
+      connectedAt: Date.now(),
+      latency: Infinity,
+      strength: 0,
+      score: this.reputation.getScore({ host }).score
+    }, connections);
+
+    const victim = this.peers.get(evict);
+    if (victim) {
+      victim.evicted = true;
+      victim.socket.terminate();
+      this.emit('peer:evicted', {
+        peerId: victim.id,
+        host: victim.host,
+        timestamp: Date.now()
+      });
+    }
+
+    return accept;
+  }
+
   /**
    * Initiate quantum handshake with new peer
+   *
+   * Both sides send one of these as soon as the socket opens. Each then
+   * answers the other's nonce with a signed proof, and the session only
+   * starts once the peer's proof checks out:
+   *
+   *   initiated  -> our handshake is sent
+   *   challenged -> theirs arrived, our proof is sent
+   *   (done)     -> their proof arrived, keys are agreed
    */
-  async _initiateQuantumHandshake(peerId) {
+  _initiateQuantumHandshake(peerId) {
     // Generate quantum nonce
     const nonce = randomBytes(32);
+
+    // Fresh X25519 key pair for this exchange only
+    const ephemeral = this.sessionKeys.createEphemeral();
     
     // Create handshake packet
     const handshake = {
       type: 'quantum:handshake',
       nonce: nonce.toString('hex'),
+      ephemeralKey: ephemeral.publicKey,
+      codecs: this.config.transmission.protocol.compression.codecs,
       timestamp: Date.now(),
-      identity: this.identity,
-      signature: this._generateQuantumSignature(nonce)
+      identity: this.identity
     };
     
     // Store handshake state
     this.pendingHandshakes.set(peerId, {
       nonce,
+      ephemeral,
       timestamp: handshake.timestamp,
-      state: 'initiated'
+      state: 'initiated',
+      remote: null
     });
     
     return handshake;
   }
 
+  /**
+   * Take in the peer's handshake and prove our identity against its nonce
+   */
+  async _handleHandshakeResponse(message, peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.authenticated) {
+      throw new Error('Unexpected handshake');
+    }
+
+    // The remote side opened the exchange, answer with our own half
+    if (!this.pendingHandshakes.has(peerId)) {
+      await this._sendToPeer(peerId, this._initiateQuantumHandshake(peerId));
+    }
+
+    const pending = this.pendingHandshakes.get(peerId);
+    if (pending.state !== 'initiated') {
+      throw new Error('Unexpected handshake');
+    }
+    if (!this._isValidHandshake(message)) {
+      throw new Error('Malformed handshake');
+    }
+    if (this.reputation.isBanned({ nodeId: message.identity.id })) {
+      peer.socket.terminate();
+      return;
+    }
+
+    pending.state = 'challenged';
+    pending.remote = {
+      identity: message.identity,
+      nonce: message.nonce,
+      ephemeralKey: message.ephemeralKey,
+      codecs: message.codecs
+    };
+
+    // Signing their fresh nonce shows we hold our key right now, and
+    // naming both ephemeral keys ties that proof to this key agreement
+    await this._sendToPeer(peerId, {
+      type: 'quantum:handshake:proof',
+      timestamp: Date.now(),
+      nodeId: message.identity.id,
+      nonce: message.nonce,
+      ephemeralKeys: [pending.ephemeral.publicKey, message.ephemeralKey]
+    });
+  }
+
+  /**
+   * Check the peer's proof and start the session
+   */
+  async _handleHandshakeProof(message, peerId) {
+    const peer = this.peers.get(peerId);
+    const pending = this.pendingHandshakes.get(peerId);
+    if (!peer || peer.authenticated || pending?.state !== 'challenged') {
+      throw new Error('Unexpected handshake proof');
+    }
+
+    // The signature was already checked against the key they presented
+    const { remote } = pending;
+    const proven = message.nodeId === this.identity.id &&
+      message.nonce === pending.nonce.toString('hex') &&
+      Array.isArray(message.ephemeralKeys) &&
+      message.ephemeralKeys[0] === remote.ephemeralKey &&
+      message.ephemeralKeys[1] === pending.ephemeral.publicKey;
+
+    if (!proven) {
+      throw new Error('Handshake proof does not match our challenge');
+    }
+
+    this.pendingHandshakes.delete(peerId);
+    clearTimeout(peer.handshakeTimer);
+
+    // Every later message from this peer must verify against this key
+    peer.authenticated = true;
+    peer.nodeId = remote.identity.id;
+    peer.publicKey = remote.identity.publicKey;
+    this._pinKey(peer.nodeId, peer.publicKey);
+
+    // Content we send uses our favourite codec the peer can decode
+    peer.codec = negotiateCodec(
+      this.config.transmission.protocol.compression.codecs,
+      remote.codecs
+    );
+
+    this.sessionKeys.establish(peerId, {
+      privateKey: pending.ephemeral.privateKey,
+      remotePublicKey: remote.ephemeralKey,
+      nonces: [pending.nonce, Buffer.from(remote.nonce, 'hex')]
+    });
+
+    this.routingTable.activePeers.add(peerId);
+    this.routingTable.deadPeers.delete(peerId);
+
+    // A dialed address is healthy again once a session is up
+    if (peer.address) {
+      this.dialer.established(peer.address);
+      this.addressBook.add({ address: peer.address, nodeId: peer.nodeId }, null);
+      this.addressBook.touch(peer.address, peer.nodeId);
+    }
+
+    this.emit('peer:session', {
+      peerId,
+      nodeId: peer.nodeId,
+      codec: peer.codec,
+      timestamp: Date.now()
+    });
+
+    this.dht.addContact({ nodeId: peer.nodeId, address: peer.address });
+    this.routingTable.routes.addNeighbour(peer.nodeId);
+    await this._sendRoutes(peerId);
+    this._reserveRelays();
+    if (!this.dht.bootstrapped) {
+      this.dht.bootstrap().catch(error => this._handlePeerError(error, peerId));
+    }
+
+    await this._sendPeerSample(peerId);
+  }
+
+  /**
+   * Whether a handshake carries a well-formed, self-signed identity
+   */
+  _isValidHandshake(message) {
+    const { identity } = message;
+
+    if (typeof message.nonce !== 'string' || !/^[0-9a-f]{64}$/.test(message.nonce)) return false;
+    if (typeof message.ephemeralKey !== 'string') return false;
+    if (typeof identity?.id !== 'string' || identity.id === this.identity.id) return false;
+
+    // A node we know must present the key we last saw, or one it rotated to
+    const known = this.knownKeys.get(identity.id);
+    if (known && followRotations(identity.id, identity.rotations, known) !== identity.publicKey) {
+      return false;
+    }
+
+    return verifyPayload({
+      id: identity.id,
+      publicKey: identity.publicKey,
+      birthTimestamp: identity.birthTimestamp
+    }, identity.quantumSignature, identity.publicKey);
+  }
+
+  /**
+   * Drop a connection whose handshake did not finish in time
+   *
+   * Closing before the handshake counts as a failed dial, so the dialer
+   * backs off and gives up after the configured retries.
+   */
+  _handleHandshakeTimeout(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.authenticated) return;
+
+    this.emit('network:error', {
+      type: 'handshake_timeout',
+      peerId,
+      address: peer.address
+    });
+    peer.socket.terminate();
+  }
+
+  /**
+   * Send a DHT request to a node, over a transient connection when we have
+   * no session with it
+   */
+  async _dhtRequest(contact, request) {
+    let peerId = this._findPeerByNode(contact.nodeId);
+    if (!peerId) {
+      const transient = [...this.peers.values()].filter(peer => peer.transient).length;
+      if (transient + this.nodeDials.size >= this.config.peer.routing.dht.maxRpcConnections) {
+        throw Object.assign(new Error('No connections free for DHT requests'), { code: LOCAL_FAILURE });
+      }
+      peerId = await this._connectToNode(contact);
+    }
+    const rpcId = randomBytes(16).toString('hex');
+
+    const response = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.dhtRequests.delete(rpcId);
+        reject(new Error(`DHT request to ${contact.nodeId} timed out`));
+      }, this.config.peer.routing.dht.requestTimeout);
+
+      this.dhtRequests.set(rpcId, { peerId, resolve, reject, timer });
+
+      this._sendToPeer(peerId, {
+        type: 'quantum:dht',
+        timestamp: Date.now(),
+        rpcId,
+        request
+      }).catch(error => {
+        clearTimeout(timer);
+        this.dhtRequests.delete(rpcId);
+        reject(error);
+      });
+    });
+
+    return response.finally(() => this._closeIdleTransient(peerId));
+  }
+
+  /**
+   * Close a transient connection once no DHT request is waiting on it
+   */
+  _closeIdleTransient(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer?.transient) return;
+
+    for (const pending of this.dhtRequests.values()) {
+      if (pending.peerId === peerId) return;
+    }
+    peer.socket.close();
+  }
+
+  /**
+   * Answer a DHT request, or settle one of ours with its response
+   */
+  async _handleDhtMessage(message, peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer?.publicKey) return;
+
+    if (message.response !== undefined) {
+      const pending = this.dhtRequests.get(message.rpcId);
+      if (!pending || pending.peerId !== peerId) return;
+
+      clearTimeout(pending.timer);
+      this.dhtRequests.delete(message.rpcId);
+      pending.resolve(message.response);
+      return;
+    }
+
+    const response = this.dht.handleRequest(message.request, {
+      nodeId: peer.nodeId,
+      address: peer.address ?? peer.listenAddress ?? null
+    });
+
+    await this._sendToPeer(peerId, {
+      type: 'quantum:dht',
+      timestamp: Date.now(),
+      rpcId: message.rpcId,
+      response
+    });
+  }
+
+  /**
+   * Connection id of a node we share a session with
+   */
+  _findPeerByNode(nodeId) {
+    for (const [peerId, peer] of this.peers) {
+      if (peer.nodeId === nodeId && peer.publicKey) return peerId;
+    }
+    return null;
+  }
+
+  /**
+   * Open a transient connection to a node, sharing the attempt between callers
+   */
+  _connectToNode({ nodeId, address }) {
+    if (!address) {
+      return Promise.reject(new Error(`No address for node ${nodeId}`));
+    }
+
+    let connecting = this.nodeDials.get(nodeId);
+    if (!connecting) {
+      connecting = this._dialNode(nodeId, address)
+        .finally(() => this.nodeDials.delete(nodeId));
+      this.nodeDials.set(nodeId, connecting);
+    }
+    return connecting;
+  }
+
+  /**
+   * Dial an address, resolving with the connection once its handshake
+   * proves it belongs to the expected node
+   */
+  async _dialNode(nodeId, address) {
+    const ws = await this._dial(address, { transient: true });
+    const peerId = [...this.peers.values()].find(peer => peer.socket === ws)?.id;
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('peer:session', onSession);
+        ws.off('close', onClose);
+      };
+      const onSession = (session) => {
+        if (session.peerId !== peerId) return;
+        cleanup();
+
+        if (this.peers.get(peerId)?.nodeId === nodeId) {
+          resolve(peerId);
+        } else {
+          ws.close();
+          reject(new Error(`${address} is not node ${nodeId}`));
+        }
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new Error('Connection closed before handshake'));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        ws.terminate();
+        reject(new Error(`Handshake with ${address} timed out`));
+      }, this.config.peer.handshake.timeout);
+
+      this.on('peer:session', onSession);
+      ws.once('close', onClose);
+    });
+  }
+
+  /**
+   * Periodically swap known addresses with every peer
+   */
+  _startPeerExchange() {
+    this.exchangeInterval = setInterval(async () => {
+      this.addressBook.prune();
+
+      for (const [peerId, peer] of this.peers) {
+        if (!peer.publicKey) continue;
+
+        // Peers we are connected to are alive, whatever anyone says
+        const address = peer.address ?? peer.listenAddress;
+        if (address) this.addressBook.touch(address, peer.nodeId);
+
+        try {
+          await this._sendPeerSample(peerId);
+        } catch (error) {
+          this._handlePeerError(error, peerId);
+        }
+      }
+    }, this.config.peer.discovery.peerExchangeInterval);
+  }
+
+  /**
+   * Send a peer a random sample of the addresses we know
+   */
+  async _sendPeerSample(peerId) {
+    const peer = this.peers.get(peerId);
+    const { exchangeSize } = this.config.peer.discovery;
+
+    // No use telling a peer about itself
+    const exclude = new Set(
+      [peer?.address, peer?.listenAddress].map(AddressBook.normalize).filter(Boolean)
+    );
+
+    await this._sendToPeer(peerId, {
+      type: 'quantum:peers',
+      timestamp: Date.now(),
+      self: this.advertisedAddress() ?? undefined,
+      peers: this.addressBook.sample(exchangeSize, exclude)
+    });
+  }
+
+  /**
+   * Take in addresses a peer shared, within its quota
+   */
+  _handlePeerExchange(message, peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer?.publicKey) return;
+
+    // Quotas follow the node, not the connection
+    const source = peer.nodeId ?? peerId;
+    const { exchangeSize } = this.config.peer.discovery;
+
+    const self = AddressBook.normalize(message.self);
+    if (self && self !== peer.listenAddress) {
+      if (peer.listenAddress) this.addressBook.remove(peer.listenAddress);
+      peer.listenAddress = self;
+      this.addressBook.add({ address: self, nodeId: peer.nodeId }, source);
+      this.dht.addContact({ nodeId: peer.nodeId, address: self });
+    }
+
+    const entries = Array.isArray(message.peers)
+      ? message.peers.slice(0, exchangeSize)
+      : [];
+
+    let accepted = 0;
+    for (const entry of entries) {
+      if (entry && this.addressBook.add(entry, source)) accepted++;
+    }
+
+    this.emit('peer:exchange', {
+      peerId,
+      received: entries.length,
+      accepted,
+      known: this.addressBook.size
+    });
+  }
+
+  /**
+   * Live connections, with what we have measured about each
+   */
+  getPeers() {
+    return [...this.peers.values()].map(peer => ({
+      peerId: peer.id,
+      nodeId: peer.nodeId ?? null,
+      address: peer.address ?? peer.listenAddress ?? null,
+      direction: peer.direction,
+      authenticated: peer.authenticated,
+      connectedAt: peer.connectedAt,
+      rtt: peer.rtt,
+      jitter: peer.jitter,
+      packetLoss: peer.packetLoss,
+      score: this.reputation.getScore({ nodeId: peer.nodeId, host: peer.host }).score
+    }));
+  }
+
+  /**
+   * Every peer in the address book, connected or not
+   */
+  getKnownPeers() {
+    this.addressBook.prune();
+    return this.addressBook.getKnown();
+  }
+
+  /**
+   * Tell every peer we share a session with that our key was rotated
+   *
+   * Sent once the new key is in use; the statement is signed by the old
+   * key, which is what peers hold us to.
+   */
+  async announceRotation(statement) {
+    const sends = [];
+    for (const [peerId, peer] of this.peers) {
+      if (!peer.authenticated) continue;
+
+      sends.push(this._sendToPeer(peerId, {
+        type: 'quantum:identity:rotated',
+        timestamp: Date.now(),
+        statement
+      }).catch(error => this._handlePeerError(error, peerId)));
+    }
+    await Promise.all(sends);
+  }
+
+  /**
+   * Follow a peer to the key it rotated to; the statement was checked
+   * along with the message signature
+   */
+  _handleIdentityRotation({ statement }, peerId) {
+    const peer = this.peers.get(peerId);
+    peer.publicKey = statement.publicKey;
+    this._pinKey(peer.nodeId, peer.publicKey);
+
+    this.emit('peer:rotated', {
+      peerId,
+      nodeId: peer.nodeId,
+      previousKey: statement.previousKey,
+      publicKey: statement.publicKey,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Remember the key a node proved, forgetting the oldest when full
+   */
+  _pinKey(nodeId, publicKey) {
+    this.knownKeys.delete(nodeId);
+    this.knownKeys.set(nodeId, publicKey);
+
+    for (const oldest of this.knownKeys.keys()) {
+      if (this.knownKeys.size <= this.config.peer.discovery.maxAddresses) break;
+      this.knownKeys.delete(oldest);
+    }
+  }
+
+  /**
+   * Address other nodes can dial us at: our own, or one through a relay
+   */
+  advertisedAddress() {
+    return this.config.peer.discovery.advertiseAddress ?? this.relay.addresses()[0] ?? null;
+  }
+
+  /**
+   * Tell the DHT and every peer where to reach us after a relay change
+   */
+  _updateAdvertisedAddress() {
+    const address = this.advertisedAddress();
+    this.dht.setAddress(address);
+    this.addressBook.setSelf({ address, nodeId: this.identity.id });
+
+    for (const [peerId, peer] of this.peers) {
+      if (!peer.authenticated) continue;
+      this._sendPeerSample(peerId).catch(error => this._handlePeerError(error, peerId));
+    }
+  }
+
+  /**
+   * Reserve with reachable peers until we hold enough relays
+   *
+   * Only peers we dialed directly are known to be reachable.
+   */
+  _reserveRelays() {
+    if (!this.relay.reserving) return;
+
+    let wanted = this.config.peer.relay.reservations -
+      this.relay.held.size - this.relay.requested.size;
+
+    for (const [peerId, peer] of this.peers) {
+      if (wanted <= 0) break;
+      if (!peer.authenticated || !peer.address || Relay.isRelayed(peer.address)) continue;
+      if (peer.relayRefused || this.relay.held.has(peerId) || this.relay.requested.has(peerId)) continue;
+
+      wanted--;
+      this.relay.reserve(peerId).catch(error => this._handlePeerError(error, peerId));
+    }
+  }
+
+  /**
+   * Grant or refuse a peer's request for us to relay for it
+   */
+  async _handleRelayReserve(peerId) {
+    const peer = this.peers.get(peerId);
+
+    await this._sendToPeer(peerId, {
+      type: 'quantum:relay:reserved',
+      timestamp: Date.now(),
+      ...this.relay.handleReserve(peerId, peer.nodeId)
+    });
+  }
+
+  /**
+   * Take a circuit our relay opened, as an inbound connection
+   */
+  _acceptCircuit(message, peerId) {
+    const socket = this.relay.handleOpen(message, peerId);
+
+    // The relay saw where the dialer came from
+    const host = typeof message.host === 'string' ? message.host : null;
+    if (this.reputation.isBanned({ host }) || !this._claimSlot('inbound', host)) {
+      socket.terminate();
+      return;
+    }
+
+    this._attachPeer(socket, randomBytes(16).toString('hex'), { host });
+  }
+
+  /**
+   * Send a message to a connected peer
+   */
+  async send(peerId, message) {
+    await this._sendToPeer(peerId, message);
+  }
+
+  /**
+   * Send a signed message to a connected peer
+   */
+  async _sendToPeer(peerId, message) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.socket.readyState !== WebSocket.OPEN) {
+      throw new Error(`Peer ${peerId} is not connected`);
+    }
+
+    peer.socket.send(JSON.stringify(
+      signMessage(message, this.identity.signingKey)
+    ));
+  }
+
+  /**
+   * Verify a peer message against the identity key it presented
+   */
+  _verifyMessageSignature(message, peerId) {
+    // Handshakes carry the key they are signed with, and proofs must be
+    // signed with the key from that handshake
+    let publicKey;
+    if (message.type === 'quantum:handshake') {
+      publicKey = message.identity?.publicKey;
+    } else if (message.type === 'quantum:handshake:proof') {
+      publicKey = this.pendingHandshakes.get(peerId)?.remote?.identity.publicKey;
+    } else if (message.type === 'quantum:identity:rotated') {
+      // Signed with the new key, which the old one must have vouched for
+      const peer = this.peers.get(peerId);
+      const { statement } = message;
+      if (peer?.publicKey && statement?.previousKey === peer.publicKey &&
+          statement.id === peer.nodeId && verifyRotation(statement)) {
+        publicKey = statement.publicKey;
+      }
+    } else {
+      publicKey = this.peers.get(peerId)?.publicKey;
+    }
+
+    if (!publicKey) return false;
+
+    return verifyMessage(message, publicKey);
+  }
+
   /**
    * Handle incoming peer messages with quantum verification
    */
   async _handlePeerMessage(data, peerId) {
+    // What the peer did wrong should the next step fail
+    let category = 'malformed_message';
+
     try {
       const message = JSON.parse(data);
       
       // Verify quantum signature
-      if (!this._verifyMessageSignature(message)) {
+      category = 'invalid_signature';
+      if (!this._verifyMessageSignature(message, peerId)) {
         throw new Error('Invalid quantum signature');
       }
+
+      // Nothing but the handshake is accepted before it completes
+      category = 'protocol_violation';
+      if (!HANDSHAKE_MESSAGES.has(message.type) && !this.peers.get(peerId)?.authenticated) {
+        throw new Error(`${message.type} received before the handshake completed`);
+      }
+
+      // Past here only handshakes and malformed fields are held against the peer
+      category = HANDSHAKE_MESSAGES.has(message.type) ? 'handshake_failure' : null;
       
       switch (message.type) {
         case 'quantum:handshake':
           await this._handleHandshakeResponse(message, peerId);
           break;
+
+        case 'quantum:handshake:proof':
+          await this._handleHandshakeProof(message, peerId);
+          break;
           
         case 'quantum:state':
           await this._handleStateUpdate(message, peerId);
@@ -248,17 +1048,264 @@ export class PeerNetwork extends EventEmitter {
         case 'quantum:route':
           await this._handleRouteUpdate(message, peerId);
           break;
+
+        case 'quantum:chunk:offer':
+        case 'quantum:chunk:request':
+        case 'quantum:chunk:data':
+          this.emit('peer:chunk', message, peerId);
+          break;
+
+        case 'quantum:peers':
+          this._handlePeerExchange(message, peerId);
+          break;
+
+        case 'quantum:tombstone':
+          this.emit('peer:tombstone', message, peerId);
+          break;
+
+        case 'quantum:dht':
+          await this._handleDhtMessage(message, peerId);
+          break;
+
+        case 'quantum:routed':
+          await this._handleRoutedMessage(message, peerId);
+          break;
+
+        case 'quantum:relay:reserve':
+          await this._handleRelayReserve(peerId);
+          break;
+
+        case 'quantum:relay:reserved':
+          this.relay.handleReserved(message, peerId);
+          break;
+
+        case 'quantum:relay:open':
+          this._acceptCircuit(message, peerId);
+          break;
+
+        case 'quantum:relay:data':
+          this.relay.handleData(message, peerId);
+          break;
+
+        case 'quantum:relay:close':
+          this.relay.handleClose(message, peerId);
+          break;
+
+        case 'quantum:ping':
+          await this._handlePing(message, peerId);
+          break;
+
+        case 'quantum:identity:rotated':
+          this._handleIdentityRotation(message, peerId);
+          break;
+
+        case 'quantum:pong':
+          this._handlePong(message, peerId);
+          break;
+
+        case 'quantum:gossip:announce':
+        case 'quantum:gossip:request':
+          if (this.peers.get(peerId)?.publicKey) this.emit('peer:gossip', message, peerId);
+          break;
           
         default:
+          category = 'protocol_violation';
           throw new Error(`Unknown message type: ${message.type}`);
       }
       
       // Update peer metrics
+      category = null;
       this._updatePeerMetrics(peerId, message);
       
     } catch (error) {
-      this._handlePeerError(error, peerId);
+      // Handlers reject malformed fields with range errors
+      if (category === null && error instanceof RangeError) category = 'malformed_message';
+      this._handlePeerError(error, peerId, category);
+    }
+  }
+
+  /**
+   * Report a problem with a peer, counting it against the peer when the
+   * peer is to blame
+   */
+  _handlePeerError(error, peerId, category = null) {
+    const peer = this.peers.get(peerId);
+
+    this.emit('network:error', {
+      type: 'peer_error',
+      peerId,
+      category,
+      error: error.message
+    });
+
+    if (!peer || !category) return;
+    this.reputation.penalize({ nodeId: peer.nodeId, host: peer.host }, category);
+  }
+
+  /**
+   * Close every connection to a banned node or host
+   */
+  _dropBannedPeers() {
+    for (const peer of this.peers.values()) {
+      if (this.reputation.isBanned({ nodeId: peer.nodeId, host: peer.host })) {
+        peer.socket.terminate();
+      }
+    }
+  }
+
+  /**
+   * Advertise our route vector to every neighbour and expire stale routes
+   */
+  _startRouteAdvertisement() {
+    this.routeInterval = setInterval(() => {
+      const now = Date.now();
+      const { routeTimeout } = this.config.peer.routing;
+
+      this.routingTable.routes.expire(now);
+      for (const [id, handledAt] of this.routedPackets) {
+        if (now - handledAt >= routeTimeout) this.routedPackets.delete(id);
+      }
+
+      this.quantumRouter.optimizeRoutes();
+      this._advertiseRoutes();
+    }, this.config.peer.routing.routeUpdateInterval);
+  }
+
+  /**
+   * Send our route vector to every neighbour
+   */
+  _advertiseRoutes() {
+    for (const [peerId, peer] of this.peers) {
+      if (!peer.publicKey) continue;
+
+      this._sendRoutes(peerId).catch(error => this._handlePeerError(error, peerId));
+    }
+  }
+
+  /**
+   * Send a neighbour the destinations we reach, except through it
+   */
+  async _sendRoutes(peerId) {
+    const peer = this.peers.get(peerId);
+
+    await this._sendToPeer(peerId, {
+      type: 'quantum:route',
+      timestamp: Date.now(),
+      routes: this.routingTable.routes.advertisement(peer?.nodeId)
+    });
+  }
+
+  /**
+   * Take in a neighbour's route vector
+   */
+  _handleRouteUpdate(message, peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer?.publicKey || !peer.nodeId) return;
+
+    if (!Array.isArray(message.routes)) {
+      throw new RangeError('Malformed route update');
     }
+
+    this.routingTable.routes.update(peer.nodeId, message.routes);
+  }
+
+  /**
+   * Withdraw routes through a node once no connection to it is left
+   */
+  _removeDeadRoutes(nodeId) {
+    if (!nodeId || this._findPeerByNode(nodeId)) return;
+
+    this.routingTable.routes.removeVia(nodeId);
+    this._advertiseRoutes();
+  }
+
+  /**
+   * Send a payload to any node, forwarded hop by hop when not a neighbour
+   *
+   * The packet is signed end to end by us; each hop only wraps it with the
+   * hops left and the path so far.
+   */
+  async route(nodeId, payload) {
+    const packet = signMessage({
+      id: randomBytes(16).toString('hex'),
+      source: this.identity.id,
+      publicKey: this.identity.publicKey,
+      destination: nodeId,
+      timestamp: Date.now(),
+      payload
+    }, this.identity.signingKey);
+
+    this.routedPackets.set(packet.id, Date.now());
+    await this._forwardPacket(packet, this.config.peer.routing.quantumPathfinding.maxDepth, []);
+    return packet.id;
+  }
+
+  /**
+   * Pass a routed packet one hop closer to its destination
+   */
+  async _forwardPacket(packet, ttl, path) {
+    const via = this._findPeerByNode(packet.destination)
+      ? packet.destination
+      : this.routingTable.routes.nextHop(packet.destination, node =>
+        !path.includes(node) && this._findPeerByNode(node) !== null
+      );
+
+    if (!via) {
+      throw new Error(`No route to node ${packet.destination}`);
+    }
+
+    await this._sendToPeer(this._findPeerByNode(via), {
+      type: 'quantum:routed',
+      timestamp: Date.now(),
+      ttl,
+      path: [...path, this.identity.id],
+      packet
+    });
+  }
+
+  /**
+   * Deliver a routed packet addressed to us, or forward it
+   */
+  async _handleRoutedMessage(message, peerId) {
+    if (!this.peers.get(peerId)?.publicKey) return;
+
+    const { packet, ttl, path } = message;
+    const { maxDepth } = this.config.peer.routing.quantumPathfinding;
+    if (typeof packet?.id !== 'string' || typeof packet.destination !== 'string' ||
+        !Number.isInteger(ttl) || !Array.isArray(path) || path.length > maxDepth) {
+      throw new RangeError('Malformed routed message');
+    }
+
+    // Loops: a packet seen before, or a path already through us
+    if (this.routedPackets.has(packet.id) || path.includes(this.identity.id)) return;
+    if (Date.now() - packet.timestamp >= this.config.peer.routing.routeTimeout) return;
+    this.routedPackets.set(packet.id, Date.now());
+
+    if (packet.destination !== this.identity.id) {
+      if (ttl > 1) await this._forwardPacket(packet, ttl - 1, path);
+      return;
+    }
+
+    if (!verifyMessage(packet, packet.publicKey)) {
+      throw new Error('Invalid routed packet signature');
+    }
+
+    this.emit('peer:routed', {
+      id: packet.id,
+      source: packet.source,
+      payload: packet.payload,
+      hops: path.length,
+      timestamp: packet.timestamp
+    });
+  }
+
+  /**
+   * Pass a transmission from a peer we share a session with to gossip
+   */
+  _handleTransmission(message, peerId) {
+    if (!this.peers.get(peerId)?.publicKey) return;
+
+    this.emit('peer:transmission', message, peerId);
   }
 
   /**
@@ -266,7 +1313,12 @@ export class PeerNetwork extends EventEmitter {
    */
   async _handleStateUpdate(message, peerId) {
     const peer = this.peers.get(peerId);
-    if (!peer) return;
+    if (!peer?.publicKey) return;
+
+    const consciousness = message.state?.consciousness;
+    if (!Number.isFinite(consciousness) || consciousness < 0 || consciousness > 1) {
+      throw new RangeError('Malformed state update');
+    }
     
     // Calculate quantum resonance
     const resonance = this._calculateResonance(
@@ -279,18 +1331,14 @@ export class PeerNetwork extends EventEmitter {
     peer.lastUpdate = Date.now();
     peer.resonance = resonance;
     
-    // Update routing metrics
-    this._updateEntanglementStrength(peerId, resonance);
+    // Eviction spares the peers we resonate with most
+    this.metrics.entanglementStrength.set(peerId, resonance);
     
     // Optimize routes if significant change
     if (Math.abs(resonance - peer.lastResonance) > 0.1) {
+      peer.lastResonance = resonance;
       this.quantumRouter.optimizeRoutes();
     }
-    
-    // Propagate state if needed
-    if (this._shouldPropagateState(message.state)) {
-      await this._propagateState(message.state, peerId);
-    }
   }
 
   /**
@@ -323,13 +1371,6 @@ export class PeerNetwork extends EventEmitter {
     const peer = this.peers.get(peerId);
     if (!peer) return;
     
-    // Calculate message latency
-    const latency = Date.now() - message.timestamp;
-    
-    // Update rolling average latency
-    peer.averageLatency = 
-      peer.averageLatency * 0.9 + latency * 0.1;
-    
     // Update bandwidth metrics
     this.metrics.bandwidthUsage.copyWithin(1, 0);
     this.metrics.bandwidthUsage[0] = 
@@ -344,6 +1385,20 @@ export class PeerNetwork extends EventEmitter {
       this._calculateQuantumStability();
   }
 
+  /**
+   * How directly we reach known nodes: 1 when every one is a neighbour
+   */
+  _calculateRoutingEfficiency() {
+    const destinations = this.routingTable.routes.getRoutes();
+    if (destinations.length === 0) return 1.0;
+
+    let directness = 0;
+    for (const { routes: [best] } of destinations) {
+      directness += 1 / best.hops;
+    }
+    return directness / destinations.length;
+  }
+
   /**
    * Calculate quantum stability of the network
    */
@@ -358,7 +1413,7 @@ export class PeerNetwork extends EventEmitter {
       const peerStability = 
         entanglementStrength * 
         (1 - peer.packetLoss) * 
-        Math.exp(-peer.averageLatency / 1000);
+        Math.exp(-((peer.rtt ?? 0) + peer.jitter) / 1000);
       
       totalStability += peerStability;
     }
@@ -370,27 +1425,42 @@ export class PeerNetwork extends EventEmitter {
    * Initialize quantum heartbeat for network synchronization
    */
   _initializeQuantumHeartbeat() {
-    setInterval(() => {
+    this.heartbeatInterval = setInterval(() => {
       this._pulseQuantumNetwork();
-    }, this.config.peer.heartbeatInterval);
+    }, this.config.peer.heartbeat.interval);
   }
 
   /**
    * Pulse quantum network to maintain synchronization
+   *
+   * Every pulse is a sequence-numbered ping; the pongs give each peer's
+   * round-trip time without the clock skew between machines.
    */
   async _pulseQuantumNetwork() {
-    const pulse = {
-      type: 'quantum:pulse',
-      timestamp: Date.now(),
-      consciousness: this.identity.consciousnessLevel,
-      resonance: this.metrics.quantumStability,
-      signature: this._generateQuantumSignature()
-    };
-    
-    // Broadcast pulse to all peers
+    const { probeTimeout } = this.config.peer.heartbeat;
+    const now = performance.now();
+
     for (const [peerId, peer] of this.peers) {
+      if (!peer.authenticated) continue;
+
+      // Pings unanswered for too long are lost
+      for (const [seq, sentAt] of peer.probes.pending) {
+        if (now - sentAt < probeTimeout) continue;
+        peer.probes.pending.delete(seq);
+        this._recordProbe(peer, false);
+      }
+
+      const seq = peer.probes.nextSeq++;
+      peer.probes.pending.set(seq, now);
+
       try {
-        await this._sendToPeer(peerId, pulse);
+        await this._sendToPeer(peerId, {
+          type: 'quantum:ping',
+          timestamp: Date.now(),
+          seq,
+          consciousness: this.identity.consciousnessLevel,
+          resonance: this.metrics.quantumStability
+        });
       } catch (error) {
         this._handlePeerError(error, peerId);
       }
@@ -400,6 +1470,69 @@ export class PeerNetwork extends EventEmitter {
     this._updateNetworkMetrics();
   }
 
+  /**
+   * Answer a peer's ping with its sequence number
+   */
+  async _handlePing(message, peerId) {
+    if (!Number.isInteger(message.seq) || message.seq < 0) {
+      throw new RangeError('Malformed ping');
+    }
+
+    await this._sendToPeer(peerId, {
+      type: 'quantum:pong',
+      timestamp: Date.now(),
+      seq: message.seq
+    });
+  }
+
+  /**
+   * Take a round-trip sample from the pong to one of our pings
+   *
+   * RTT and jitter are smoothed as TCP does (RFC 6298). Pongs arriving
+   * after the probe timed out are ignored; the probe already counts as lost.
+   */
+  _handlePong(message, peerId) {
+    const peer = this.peers.get(peerId);
+    const sentAt = peer?.probes.pending.get(message.seq);
+    if (sentAt === undefined) return;
+
+    peer.probes.pending.delete(message.seq);
+    const sample = performance.now() - sentAt;
+
+    if (peer.rtt === null) {
+      peer.rtt = sample;
+      peer.jitter = sample / 2;
+    } else {
+      peer.jitter = peer.jitter * 0.75 + Math.abs(peer.rtt - sample) * 0.25;
+      peer.rtt = peer.rtt * 0.875 + sample * 0.125;
+    }
+
+    this._recordProbe(peer, true);
+  }
+
+  /**
+   * Record whether a probe was answered, and update the peer's loss estimate
+   */
+  _recordProbe(peer, answered) {
+    const { outcomes } = peer.probes;
+    outcomes.push(answered);
+    outcomes.splice(0, outcomes.length - this.config.peer.heartbeat.lossWindow);
+
+    peer.packetLoss = outcomes.filter(outcome => !outcome).length / outcomes.length;
+  }
+
+  /**
+   * Network-wide latency and loss, averaged over the peers measured so far
+   */
+  _updateNetworkMetrics() {
+    const measured = [...this.peers.values()].filter(peer => peer.rtt !== null);
+    const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+    this.metrics.averageLatency = measured.length > 0 ? mean(measured.map(peer => peer.rtt)) : 0;
+    this.metrics.packetLoss = measured.length > 0 ? mean(measured.map(peer => peer.packetLoss)) : 0;
+    this.metrics.quantumStability = this._calculateQuantumStability();
+  }
+
   /**
    * Clean up peer connection and update routing
    */
@@ -409,11 +1542,32 @@ export class PeerNetwork extends EventEmitter {
     
     // Remove from active peers
     this.peers.delete(peerId);
+    this.pendingHandshakes.delete(peerId);
+    clearTimeout(peer.handshakeTimer);
     this.routingTable.activePeers.delete(peerId);
     this.routingTable.deadPeers.add(peerId);
+
+    // Session keys never outlive the connection
+    this.sessionKeys.forget(peerId);
+
+    // Circuits and reservations over this connection are gone with it
+    this.relay.release(peerId);
+
+    // Requests in flight over this connection will never be answered
+    for (const [rpcId, pending] of this.dhtRequests) {
+      if (pending.peerId !== peerId) continue;
+      clearTimeout(pending.timer);
+      this.dhtRequests.delete(rpcId);
+      pending.reject(new Error(`Peer ${peerId} disconnected`));
+    }
+
+    // Nodes we cannot dial back are unreachable once they leave
+    if (peer.nodeId && !(peer.address ?? peer.listenAddress)) {
+      this.dht.removeContact(peer.nodeId);
+    }
     
     // Clean up routing table
-    this._removeDeadRoutes(peerId);
+    this._removeDeadRoutes(peer.nodeId);
     
     // Update metrics
     this.metrics.connectedPeers--;
@@ -433,10 +1587,48 @@ export class PeerNetwork extends EventEmitter {
    * Clean up and optimize network periodically
    */
   _startNetworkMaintenance() {
-    setInterval(() => {
+    this.maintenanceInterval = setInterval(() => {
       this._cleanDeadPeers();
       this._optimizeNetwork();
       this._updateNetworkMetrics();
     }, this.config.peer.maintenanceInterval);
   }
+
+  /**
+   * Drop peers whose socket closed without telling us, and forget the
+   * ones already gone
+   */
+  _cleanDeadPeers() {
+    for (const [peerId, peer] of this.peers) {
+      if (peer.socket.readyState === WebSocket.CLOSED) this._handlePeerDisconnection(peerId);
+    }
+    this.routingTable.deadPeers.clear();
+  }
+
+  /**
+   * Re-rank routes as peer measurements change
+   */
+  _optimizeNetwork() {
+    this.quantumRouter.optimizeRoutes();
+  }
+
+  /**
+   * Report an error on the server peers connect to
+   */
+  _handleChannelError(error) {
+    this.emit('network:error', {
+      type: 'channel_error',
+      error: error.message
+    });
+  }
+
+  /**
+   * Stop every periodic task; connections are left to the caller
+   */
+  stop() {
+    clearInterval(this.maintenanceInterval);
+    clearInterval(this.exchangeInterval);
+    clearInterval(this.routeInterval);
+    clearInterval(this.heartbeatInterval);
+  }
 }
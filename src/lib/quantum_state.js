@@ -0,0 +1,181 @@
+import { EventEmitter } from 'events';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Deterministic PRNG (mulberry32) returning floats in [0, 1)
+ *
+ * Seeding a QuantumState with one makes its whole run reproducible.
+ */
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * QuantumState
+ * The node's consciousness level, and how it drifts from pulse to pulse
+ *
+ * While coherent, the level is pulled toward a target that oscillates at
+ * the base frequency across the resonance range, around the middle of the
+ * baseline. Coherence decays at decoherenceRate per second, and as it does
+ * the pull weakens and noise grows. Once coherence falls below
+ * coherenceThreshold, or spontaneously at waveFunctionCollapse per second,
+ * the state collapses to a random level in the baseline range and is fully
+ * coherent again. Crossing the edge of a configured range is announced.
+ */
+export class QuantumState extends EventEmitter {
+  constructor(config, { random = Math.random, now = Date.now } = {}) {
+    super();
+
+    const { baseFrequency, quantum, ranges } = config.consciousness;
+    this.baseFrequency = baseFrequency;
+    this.settings = quantum;
+    this.ranges = ranges;
+
+    this.random = random;
+    this.now = now;
+
+    const [low, high] = ranges.baseline;
+    this.level = low + this.random() * (high - low);
+    this.coherence = 1;
+    this.collapses = 0;
+    this.updatedAt = this.now();
+
+    // Names of the ranges the level is currently inside
+    this.inside = this._rangesAt(this.level);
+  }
+
+  /**
+   * Advance the state to the current time
+   */
+  pulse() {
+    const now = this.now();
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.updatedAt = now;
+
+    const { coherenceThreshold, decoherenceRate, waveFunctionCollapse } = this.settings;
+    this.coherence *= Math.exp(-decoherenceRate * elapsed);
+
+    const spontaneous = this.random() < 1 - Math.exp(-waveFunctionCollapse * elapsed);
+    if (this.coherence < coherenceThreshold || spontaneous) {
+      this._collapse(spontaneous ? 'spontaneous' : 'decoherence');
+    } else {
+      const pull = 1 - Math.exp(-this.coherence * elapsed);
+      const [low, high] = this.ranges.resonance;
+      const spread = (1 - this.coherence) * (high - low) * Math.sqrt(decoherenceRate * elapsed);
+      const noise = this._gaussian() * spread;
+
+      const level = this.level + (this._target(now) - this.level) * pull + noise;
+      this.level = Math.min(1, Math.max(0, level));
+    }
+
+    this._announceCrossings();
+    return this.level;
+  }
+
+  getCurrentLevel() {
+    return this.level;
+  }
+
+  /**
+   * Plain copy of the state, for persisting
+   */
+  snapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      level: this.level,
+      coherence: this.coherence,
+      collapses: this.collapses,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Resume from a snapshot; the time since it was taken passes on the next pulse
+   */
+  restore(snapshot) {
+    const { version, level, coherence, collapses, updatedAt } = snapshot ?? {};
+    if (version !== SNAPSHOT_VERSION) {
+      throw new RangeError(`Unsupported quantum state snapshot version: ${version}`);
+    }
+    if (!Number.isFinite(level) || level < 0 || level > 1) {
+      throw new RangeError('Snapshot level must be between 0 and 1');
+    }
+    if (!Number.isFinite(coherence) || coherence < 0 || coherence > 1) {
+      throw new RangeError('Snapshot coherence must be between 0 and 1');
+    }
+    if (!Number.isInteger(collapses) || collapses < 0 || !Number.isFinite(updatedAt)) {
+      throw new RangeError('Invalid quantum state snapshot');
+    }
+
+    this.level = level;
+    this.coherence = coherence;
+    this.collapses = collapses;
+    this.updatedAt = Math.min(updatedAt, this.now());
+    this.inside = this._rangesAt(level);
+  }
+
+  /**
+   * Level the state is drawn toward at a moment in time
+   */
+  _target(now) {
+    const [low, high] = this.ranges.baseline;
+    const [resonanceLow, resonanceHigh] = this.ranges.resonance;
+    const phase = 2 * Math.PI * this.baseFrequency * (now / 1000);
+    return (low + high) / 2 + Math.sin(phase) * (resonanceHigh - resonanceLow) / 2;
+  }
+
+  _collapse(cause) {
+    const [low, high] = this.ranges.baseline;
+    const from = this.level;
+
+    this.level = low + this.random() * (high - low);
+    this.coherence = 1;
+    this.collapses++;
+
+    this.emit('state:collapsed', { cause, from, level: this.level, timestamp: this.updatedAt });
+  }
+
+  /**
+   * Announce every range the last pulse moved the level into or out of
+   */
+  _announceCrossings() {
+    const inside = this._rangesAt(this.level);
+
+    for (const range of Object.keys(this.ranges)) {
+      if (inside.has(range) === this.inside.has(range)) continue;
+
+      this.emit(inside.has(range) ? 'state:entered' : 'state:left', {
+        range,
+        bounds: [...this.ranges[range]],
+        level: this.level,
+        timestamp: this.updatedAt
+      });
+    }
+    this.inside = inside;
+  }
+
+  _rangesAt(level) {
+    return new Set(
+      Object.entries(this.ranges)
+        .filter(([, [low, high]]) => level >= low && level <= high)
+        .map(([range]) => range)
+    );
+  }
+
+  /**
+   * Standard normal sample (Box-Muller)
+   */
+  _gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
@@ -0,0 +1,440 @@
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { WebSocket } from 'ws';
+
+// Path under a relay's address that reaches a node reserved with it; the
+// node id is URL-encoded, as ids are not limited to URL-safe characters
+const RELAY_PATH = /\/relay\/([^/]+)\/?$/;
+
+// Longest node id a relay path can name
+const MAX_NODE_ID = 128;
+
+/**
+ * CircuitSocket
+ * One relayed connection, seen from the node behind the relay
+ *
+ * Behaves like the WebSocket of a direct connection, so the peer network
+ * runs its handshake and everything after it unchanged. Messages travel
+ * wrapped in relay messages over our own connection to the relay, and stay
+ * signed end to end, so the relay can read but not forge them.
+ */
+export class CircuitSocket extends EventEmitter {
+  constructor(circuitId, { send, close }) {
+    super();
+
+    this.circuitId = circuitId;
+    this.readyState = WebSocket.OPEN;
+
+    // Passes data, or the closing of the circuit, on to the relay
+    this._send = send;
+    this._close = close;
+  }
+
+  send(data) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error(`Circuit ${this.circuitId} is closed`);
+    }
+    this._send(String(data)).catch(error => this.emit('error', error));
+  }
+
+  close() {
+    this.terminate();
+  }
+
+  terminate() {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this._close().catch(() => {});
+    this._closed();
+  }
+
+  _receive(data) {
+    if (this.readyState === WebSocket.OPEN) this.emit('message', data);
+  }
+
+  _closed() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.emit('close');
+  }
+}
+
+/**
+ * Relay
+ * Circuit relays for nodes that cannot accept inbound connections
+ *
+ * A reachable node serves as a relay: peers reserve a slot with it, and
+ * anyone dialing `<relay address>/relay/<node id>`, with the id URL-encoded,
+ * is spliced through to the reserved node over its existing connection.
+ * Reservations lapse unless renewed, and each circuit is closed once it has
+ * carried maxCircuitBytes or stayed open for maxCircuitDuration.
+ *
+ * A node without an advertised address takes the other side, reserving
+ * with reachable peers and advertising the relay addresses it is given.
+ */
+export class Relay extends EventEmitter {
+  constructor(config, { send }) {
+    super();
+
+    this.settings = config.peer.relay;
+    this.advertiseAddress = config.peer.discovery.advertiseAddress;
+
+    // Sends a signed message to a peer
+    this.send = send;
+
+    // Relay side: reserved node id -> { peerId, expiresAt, circuits: Set<circuitId> }
+    this.reservations = new Map();
+
+    // Relay side: circuitId -> { nodeId, socket, bytes, timer }
+    this.circuits = new Map();
+
+    // Reserving side: relay peer id -> { address, expiresAt, timer }
+    this.held = new Map();
+
+    // Reserving side: relay peer ids we are waiting to hear back from
+    this.requested = new Set();
+
+    // Reserving side: circuitId -> { peerId, socket }
+    this.tunnels = new Map();
+  }
+
+  /**
+   * Node id a relay path leads to, or null for any other path
+   */
+  static target(url) {
+    try {
+      const match = RELAY_PATH.exec(new URL(url ?? '/', 'ws://relay').pathname);
+      const nodeId = match && decodeURIComponent(match[1]);
+      return nodeId && nodeId.length <= MAX_NODE_ID ? nodeId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether an address goes through a relay rather than to the node itself
+   */
+  static isRelayed(address) {
+    try {
+      return Relay.target(new URL(address).pathname) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether we relay for others
+   */
+  get serving() {
+    return this.settings.enabled && Boolean(this.advertiseAddress);
+  }
+
+  /**
+   * Whether we need relays to be reachable
+   */
+  get reserving() {
+    return !this.advertiseAddress && this.settings.reservations > 0;
+  }
+
+  /**
+   * Grant or renew a peer's reservation, returning the reply to send it
+   */
+  handleReserve(peerId, nodeId) {
+    if (!this.serving) {
+      return { accepted: false, reason: 'not a relay' };
+    }
+    if (nodeId.length > MAX_NODE_ID) {
+      return { accepted: false, reason: 'node id too long for a relay path' };
+    }
+
+    const existing = this.reservations.get(nodeId);
+    if (existing && existing.peerId !== peerId) {
+      return { accepted: false, reason: 'reserved over another connection' };
+    }
+    if (!existing && this._activeReservations() >= this.settings.maxReservations) {
+      return { accepted: false, reason: 'no reservations free' };
+    }
+
+    const expiresAt = Date.now() + this.settings.reservationTtl;
+    this.reservations.set(nodeId, {
+      peerId,
+      expiresAt,
+      circuits: existing?.circuits ?? new Set()
+    });
+
+    return {
+      accepted: true,
+      address: new URL(`relay/${encodeURIComponent(nodeId)}`, this.advertiseAddress.replace(/\/?$/, '/')).href,
+      expiresAt,
+      limits: {
+        bytes: this.settings.maxCircuitBytes,
+        duration: this.settings.maxCircuitDuration,
+        circuits: this.settings.maxCircuitsPerReservation
+      }
+    };
+  }
+
+  /**
+   * Splice a socket dialing a relay path through to the reserved node
+   */
+  openCircuit(socket, nodeId, host) {
+    const reservation = this.reservations.get(nodeId);
+    if (!this.serving || !reservation || reservation.expiresAt <= Date.now() ||
+        reservation.circuits.size >= this.settings.maxCircuitsPerReservation) {
+      socket.terminate();
+      return;
+    }
+
+    const circuitId = randomBytes(16).toString('hex');
+    const circuit = {
+      nodeId,
+      socket,
+      bytes: 0,
+      timer: setTimeout(
+        () => this._endCircuit(circuitId, 'duration quota exceeded'),
+        this.settings.maxCircuitDuration
+      )
+    };
+    this.circuits.set(circuitId, circuit);
+    reservation.circuits.add(circuitId);
+
+    socket.on('message', data => {
+      if (!this._charge(circuitId, data)) return;
+      this._sendToReserved(circuitId, {
+        type: 'quantum:relay:data',
+        timestamp: Date.now(),
+        circuitId,
+        data: data.toString()
+      });
+    });
+    socket.on('close', () => this._endCircuit(circuitId, 'dialer closed'));
+    socket.on('error', () => socket.terminate());
+
+    this._sendToReserved(circuitId, {
+      type: 'quantum:relay:open',
+      timestamp: Date.now(),
+      circuitId,
+      host
+    });
+
+    this.emit('relay:circuit', { circuitId, nodeId, host });
+  }
+
+  /**
+   * Take a relayed message: from the reserved node when we relay, or from
+   * our relay when we are the node behind it
+   */
+  handleData(message, peerId) {
+    if (typeof message.circuitId !== 'string' || typeof message.data !== 'string') {
+      throw new RangeError('Malformed relay data');
+    }
+
+    const circuit = this.circuits.get(message.circuitId);
+    if (circuit) {
+      if (this.reservations.get(circuit.nodeId)?.peerId !== peerId) return;
+      if (!this._charge(message.circuitId, message.data)) return;
+      if (circuit.socket.readyState === WebSocket.OPEN) circuit.socket.send(message.data);
+      return;
+    }
+
+    const tunnel = this.tunnels.get(message.circuitId);
+    if (tunnel?.peerId === peerId) tunnel.socket._receive(message.data);
+  }
+
+  /**
+   * Close a circuit the other end closed
+   */
+  handleClose(message, peerId) {
+    const circuit = this.circuits.get(message.circuitId);
+    if (circuit && this.reservations.get(circuit.nodeId)?.peerId === peerId) {
+      this._endCircuit(message.circuitId, 'relayed node closed');
+      return;
+    }
+
+    const tunnel = this.tunnels.get(message.circuitId);
+    if (tunnel?.peerId !== peerId) return;
+    this.tunnels.delete(message.circuitId);
+    tunnel.socket._closed();
+  }
+
+  /**
+   * Accept a circuit our relay opened to us, returning its socket
+   */
+  handleOpen(message, peerId) {
+    if (typeof message.circuitId !== 'string' || message.circuitId.length > 64) {
+      throw new RangeError('Malformed relay circuit');
+    }
+    if (!this.held.has(peerId) || this.tunnels.has(message.circuitId)) {
+      throw new Error('Circuit opened without a reservation');
+    }
+
+    const { circuitId } = message;
+    const socket = new CircuitSocket(circuitId, {
+      send: data => this.send(peerId, {
+        type: 'quantum:relay:data',
+        timestamp: Date.now(),
+        circuitId,
+        data
+      }),
+      close: () => {
+        this.tunnels.delete(circuitId);
+        return this.send(peerId, {
+          type: 'quantum:relay:close',
+          timestamp: Date.now(),
+          circuitId
+        });
+      }
+    });
+
+    this.tunnels.set(circuitId, { peerId, socket });
+    return socket;
+  }
+
+  /**
+   * Ask a reachable peer to relay for us
+   */
+  async reserve(peerId) {
+    this.requested.add(peerId);
+    await this.send(peerId, {
+      type: 'quantum:relay:reserve',
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Take the answer to our reservation request, renewing it ahead of expiry
+   */
+  handleReserved(message, peerId) {
+    // Only answers to our own requests count
+    if (!this.requested.delete(peerId)) return null;
+
+    const previous = this.held.get(peerId);
+    clearTimeout(previous?.timer);
+
+    if (!message.accepted) {
+      this.held.delete(peerId);
+      if (previous) this.emit('relay:lost', { peerId, address: previous.address });
+      this.emit('relay:refused', { peerId, reason: message.reason ?? null });
+      return null;
+    }
+    if (!Relay.isRelayed(message.address) || !Number.isFinite(message.expiresAt)) {
+      throw new RangeError('Malformed relay reservation');
+    }
+
+    // Renew once three quarters of the reservation has passed
+    const renewIn = Math.max(0, (message.expiresAt - Date.now()) * 0.75);
+    const timer = setTimeout(() => {
+      this.reserve(peerId).catch(() => this.release(peerId));
+    }, renewIn);
+    timer.unref?.();
+
+    this.held.set(peerId, { address: message.address, expiresAt: message.expiresAt, timer });
+    if (!previous) this.emit('relay:reserved', { peerId, address: message.address });
+    return message.address;
+  }
+
+  /**
+   * Relay addresses we can currently be dialed at
+   */
+  addresses() {
+    return [...this.held.values()].map(reservation => reservation.address);
+  }
+
+  /**
+   * Forget everything tied to a connection that went away
+   */
+  release(peerId) {
+    this.requested.delete(peerId);
+
+    for (const [nodeId, reservation] of this.reservations) {
+      if (reservation.peerId !== peerId) continue;
+      for (const circuitId of reservation.circuits) this._endCircuit(circuitId, 'relayed node left');
+      this.reservations.delete(nodeId);
+    }
+
+    for (const [circuitId, tunnel] of this.tunnels) {
+      if (tunnel.peerId !== peerId) continue;
+      this.tunnels.delete(circuitId);
+      tunnel.socket._closed();
+    }
+
+    const held = this.held.get(peerId);
+    if (held) {
+      clearTimeout(held.timer);
+      this.held.delete(peerId);
+      this.emit('relay:lost', { peerId, address: held.address });
+    }
+  }
+
+  /**
+   * Stop renewing our reservations and close every circuit we relay
+   */
+  stop() {
+    for (const held of this.held.values()) clearTimeout(held.timer);
+    for (const circuitId of [...this.circuits.keys()]) this._endCircuit(circuitId, 'relay stopping');
+  }
+
+  /**
+   * Relay usage, for status reporting
+   */
+  getStatus() {
+    return {
+      serving: this.serving,
+      reservations: this._activeReservations(),
+      circuits: this.circuits.size,
+      relayedThrough: this.addresses()
+    };
+  }
+
+  /**
+   * Count data against a circuit's quota, closing it once exceeded
+   */
+  _charge(circuitId, data) {
+    const circuit = this.circuits.get(circuitId);
+    if (!circuit) return false;
+
+    circuit.bytes += Buffer.byteLength(data);
+    if (circuit.bytes > this.settings.maxCircuitBytes) {
+      this._endCircuit(circuitId, 'bandwidth quota exceeded');
+      return false;
+    }
+    return true;
+  }
+
+  _sendToReserved(circuitId, message) {
+    const circuit = this.circuits.get(circuitId);
+    const reservation = circuit && this.reservations.get(circuit.nodeId);
+    if (!reservation) return;
+
+    this.send(reservation.peerId, message)
+      .catch(() => this._endCircuit(circuitId, 'relayed node unreachable'));
+  }
+
+  _endCircuit(circuitId, reason) {
+    const circuit = this.circuits.get(circuitId);
+    if (!circuit) return;
+
+    // Tell the relayed node first, while the circuit can still be found
+    this._sendToReserved(circuitId, {
+      type: 'quantum:relay:close',
+      timestamp: Date.now(),
+      circuitId
+    });
+
+    clearTimeout(circuit.timer);
+    this.circuits.delete(circuitId);
+    this.reservations.get(circuit.nodeId)?.circuits.delete(circuitId);
+    circuit.socket.terminate();
+
+    this.emit('relay:closed', { circuitId, nodeId: circuit.nodeId, reason, bytes: circuit.bytes });
+  }
+
+  _activeReservations() {
+    const now = Date.now();
+    for (const [nodeId, reservation] of this.reservations) {
+      if (reservation.expiresAt <= now && reservation.circuits.size === 0) {
+        this.reservations.delete(nodeId);
+      }
+    }
+    return this.reservations.size;
+  }
+}
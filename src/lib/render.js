@@ -0,0 +1,237 @@
+import { marked } from 'marked';
+
+/**
+ * Transmission Rendering
+ * Markdown is the canonical transmission content; HTML shown to anyone is
+ * rebuilt from an allowlist, never passed through as received
+ */
+
+// Elements kept, with the attributes each may carry
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  em: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title'],
+  input: ['type', 'checked'],
+  li: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align'],
+  th: ['align'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input']);
+
+// Elements dropped together with everything inside them
+const DROPPED_TAGS = new Set([
+  'iframe', 'math', 'noembed', 'noframes', 'noscript', 'object', 'plaintext',
+  'script', 'style', 'svg', 'template', 'textarea', 'title', 'xmp'
+]);
+
+// Attribute values that must match to be kept
+const ATTRIBUTE_PATTERNS = {
+  align: /^(left|right|center)$/,
+  class: /^language-[\w-]+$/,
+  start: /^\d+$/,
+  type: /^checkbox$/
+};
+
+const URL_ATTRIBUTES = {
+  href: /^(https?:|mailto:)/,
+  src: /^https?:/
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const SKIPPED_PATTERN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?/y;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the character references HTML text and attributes may contain
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+  });
+};
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * Whether a URL is safe for an attribute, judged after decoding
+ */
+const isSafeUrl = (attribute, value) => {
+  // Browsers ignore whitespace and control characters inside schemes,
+  // and read backslashes as slashes
+  const url = value
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000- \u007f]/g, '')
+    .replace(/\\/g, '/')
+    .toLowerCase();
+  const scheme = /^[a-z][a-z0-9+.-]*:/.exec(url);
+
+  return scheme ? URL_ATTRIBUTES[attribute].test(url) : !url.startsWith('//');
+};
+
+const sanitizeAttributes = (tag, source) => {
+  const allowed = ALLOWED_TAGS[tag];
+  const attributes = [];
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || attributes.some(([seen]) => seen === name)) continue;
+
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    if (ATTRIBUTE_PATTERNS[name] && !ATTRIBUTE_PATTERNS[name].test(value)) continue;
+    if (URL_ATTRIBUTES[name] && !isSafeUrl(name, value)) continue;
+
+    attributes.push([name, value]);
+  }
+
+  // Only static checkboxes survive, as marked renders for task lists
+  if (tag === 'input') {
+    if (!attributes.some(([name]) => name === 'type')) return null;
+    attributes.push(['disabled', '']);
+  }
+  if (tag === 'a') attributes.push(['rel', 'noopener noreferrer nofollow']);
+
+  return attributes;
+};
+
+/**
+ * Rebuild HTML keeping only allowlisted elements and attributes
+ *
+ * Nothing from the input is copied through verbatim: text is decoded and
+ * re-escaped, and every kept tag is written out fresh and balanced.
+ */
+export const sanitizeHtml = (html) => {
+  const source = String(html ?? '');
+  const open = [];
+  let output = '';
+  let text = '';
+  let position = 0;
+  let dropping = null;
+
+  const flushText = () => {
+    if (!dropping) output += escapeHtml(decodeEntities(text));
+    text = '';
+  };
+
+  while (position < source.length) {
+    const next = source.indexOf('<', position);
+    if (next === -1) {
+      text += source.slice(position);
+      break;
+    }
+    text += source.slice(position, next);
+    position = next;
+
+    SKIPPED_PATTERN.lastIndex = position;
+    const skipped = SKIPPED_PATTERN.exec(source);
+    if (skipped) {
+      position += skipped[0].length;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = position;
+    const match = TAG_PATTERN.exec(source);
+    if (!match) {
+      // A stray "<" is only text
+      text += '<';
+      position++;
+      continue;
+    }
+    position += match[0].length;
+
+    const closing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    // Inside a dropped element only its own end tag matters
+    if (dropping) {
+      text = '';
+      if (closing && tag === dropping) dropping = null;
+      continue;
+    }
+
+    flushText();
+
+    if (DROPPED_TAGS.has(tag)) {
+      if (!closing) dropping = tag;
+      continue;
+    }
+    if (!ALLOWED_TAGS[tag]) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      while (open.length > index) output += `</${open.pop()}>`;
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, match[3]);
+    if (!attributes) continue;
+
+    output += `<${tag}${attributes
+      .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)
+      .join('')}>`;
+
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  flushText();
+  while (open.length > 0) output += `</${open.pop()}>`;
+
+  return output;
+};
+
+/**
+ * Render markdown to sanitized HTML
+ */
+export const renderMarkdown = (markdown) => {
+  return sanitizeHtml(marked.parse(String(markdown ?? ''), {
+    headerIds: false,
+    mangle: false
+  }));
+};
+
+/**
+ * Sanitized HTML for a transmission's content
+ *
+ * Transmissions from before markdown became canonical carry HTML that was
+ * rendered by their author, so it is only sanitized.
+ */
+export const renderTransmission = (transmission) => {
+  return transmission.metadata?.format === 'markdown'
+    ? renderMarkdown(transmission.content)
+    : sanitizeHtml(transmission.content);
+};
@@ -0,0 +1,273 @@
+import { EventEmitter } from 'events';
+import { mkdir, open, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+const BANS_FILE = 'bans.json';
+const BANS_VERSION = 1;
+
+/**
+ * Reputation
+ * Misbehavior scores for peers, and temporary bans for the worst of them
+ *
+ * Every peer starts at the initial score and loses the penalty of a
+ * category each time it misbehaves, slowly earning points back while it
+ * behaves. A peer at or below the threshold is banned for the lockout
+ * period. Peers are known by node id once their handshake proves it, and
+ * by host before then. Bans are kept on disk so a restart does not lift them.
+ */
+export class Reputation extends EventEmitter {
+  constructor(config) {
+    super();
+
+    this.settings = config.security.reputation;
+    this.lockoutPeriod = config.security.access.lockoutPeriod;
+    this.path = join(config.storage.quantumDir, BANS_FILE);
+
+    // 'node:<id>' or 'host:<host>' -> { score, updatedAt, offences: { category: count } }
+    this.scores = new Map();
+
+    // Same keys -> { kind, id, reason, bannedAt, expiresAt }
+    this.bans = new Map();
+
+    // Writes are chained so snapshots land in order
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load bans that outlived the last run
+   */
+  async load() {
+    try {
+      const snapshot = JSON.parse(await readFile(this.path, 'utf8'));
+      if (snapshot.version === BANS_VERSION) {
+        for (const ban of snapshot.bans) {
+          if (ban.expiresAt > Date.now()) this.bans.set(this._key(ban.kind, ban.id), ban);
+        }
+      }
+    } catch (error) {
+      // No ban list yet
+    }
+  }
+
+  /**
+   * Periodically lift expired bans and forget recovered scores
+   */
+  start() {
+    this.pruneInterval = setInterval(() => this.prune(), this.settings.pruneInterval);
+    this.pruneInterval.unref?.();
+  }
+
+  /**
+   * Stop pruning and write the ban list one last time
+   */
+  async stop() {
+    clearInterval(this.pruneInterval);
+
+    // A queued write shares the temp file, so let it land first
+    await this.saving;
+    await this.save();
+  }
+
+  /**
+   * Count misbehavior against a peer, banning it once its score runs out
+   *
+   * Returns the ban when this offence caused one.
+   */
+  penalize({ nodeId = null, host = null }, category) {
+    const penalty = this.settings.penalties[category];
+    if (penalty === undefined) {
+      throw new RangeError(`Unknown misbehavior category: ${category}`);
+    }
+
+    const [kind, id] = nodeId ? ['node', nodeId] : ['host', host];
+    const key = this._key(kind, id);
+    if (!key || this.bans.has(key)) return null;
+
+    const entry = this._recover(key) ?? {
+      score: this.settings.initialScore,
+      updatedAt: Date.now(),
+      offences: {}
+    };
+    entry.score -= penalty;
+    entry.offences[category] = (entry.offences[category] ?? 0) + 1;
+
+    // Most recently penalized last, so the oldest go first when full
+    this.scores.delete(key);
+    this.scores.set(key, entry);
+    for (const oldest of this.scores.keys()) {
+      if (this.scores.size <= this.settings.maxTracked) break;
+      this.scores.delete(oldest);
+    }
+
+    this.emit('reputation:penalized', {
+      kind,
+      id,
+      category,
+      penalty,
+      score: entry.score
+    });
+
+    if (entry.score > this.settings.banThreshold) return null;
+
+    return this.ban({ kind, id }, { reason: category });
+  }
+
+  /**
+   * Ban a node or host, for the lockout period unless told otherwise
+   */
+  ban({ kind, id }, { reason = 'manual', duration = this.lockoutPeriod } = {}) {
+    const key = this._key(kind, id);
+    if (!key) {
+      throw new RangeError(`Invalid ${kind} to ban`);
+    }
+
+    const now = Date.now();
+    const ban = {
+      kind,
+      id: key.slice(kind.length + 1),
+      reason,
+      bannedAt: now,
+      expiresAt: now + duration
+    };
+
+    this.bans.set(key, ban);
+    this.scores.delete(key);
+    this._persist();
+
+    this.emit('reputation:banned', { ...ban });
+    return { ...ban };
+  }
+
+  /**
+   * Lift a ban, returning it, or null when there was none
+   */
+  unban({ kind, id }) {
+    const key = this._key(kind, id);
+    const ban = key && this._activeBan(key);
+    if (!ban) return null;
+
+    this.bans.delete(key);
+    this._persist();
+
+    this.emit('reputation:unbanned', { ...ban });
+    return { ...ban };
+  }
+
+  /**
+   * Whether a peer's node id or host is banned
+   */
+  isBanned({ nodeId = null, host = null }) {
+    return [this._key('node', nodeId), this._key('host', host)]
+      .some(key => key && this._activeBan(key));
+  }
+
+  /**
+   * Every ban in force, soonest to expire first
+   */
+  getBans() {
+    this.prune();
+    return [...this.bans.values()]
+      .sort((a, b) => a.expiresAt - b.expiresAt)
+      .map(ban => ({ ...ban }));
+  }
+
+  /**
+   * Current score of a peer, with the offences counted against it
+   */
+  getScore({ nodeId = null, host = null }) {
+    const key = nodeId ? this._key('node', nodeId) : this._key('host', host);
+    const entry = key && this._recover(key);
+    return {
+      score: entry?.score ?? this.settings.initialScore,
+      offences: { ...entry?.offences }
+    };
+  }
+
+  /**
+   * Lift expired bans and forget peers back at the initial score
+   */
+  prune(now = Date.now()) {
+    let lifted = false;
+    for (const [key, ban] of this.bans) {
+      if (ban.expiresAt > now) continue;
+      this.bans.delete(key);
+      lifted = true;
+    }
+    if (lifted) this._persist();
+
+    for (const key of [...this.scores.keys()]) {
+      if (this._recover(key, now).score >= this.settings.initialScore) this.scores.delete(key);
+    }
+  }
+
+  /**
+   * Atomically write the ban list
+   */
+  async save() {
+    const snapshot = {
+      version: BANS_VERSION,
+      bans: [...this.bans.values()]
+    };
+
+    await mkdir(join(this.path, '..'), { recursive: true });
+
+    const temp = `${this.path}.tmp`;
+    await writeFile(temp, JSON.stringify(snapshot));
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, this.path);
+  }
+
+  _persist() {
+    this.saving = this.saving
+      .then(() => this.save())
+      .catch(error => this.emit('reputation:error', {
+        type: 'save_failed',
+        error: error.message
+      }));
+  }
+
+  _activeBan(key) {
+    const ban = this.bans.get(key);
+    if (!ban) return null;
+    if (ban.expiresAt > Date.now()) return ban;
+
+    this.bans.delete(key);
+    this._persist();
+    return null;
+  }
+
+  /**
+   * Score entry with the points earned back since it was last touched
+   */
+  _recover(key, now = Date.now()) {
+    const entry = this.scores.get(key);
+    if (!entry) return null;
+
+    const minutes = (now - entry.updatedAt) / 60000;
+    entry.score = Math.min(
+      this.settings.initialScore,
+      entry.score + minutes * this.settings.recoveryRate
+    );
+    entry.updatedAt = now;
+    return entry;
+  }
+
+  /**
+   * Map key for a node id or host, or null when it is not one
+   *
+   * Hosts are compared without IPv6 brackets or the IPv4-mapped prefix,
+   * so a dialed address and an accepted socket agree.
+   */
+  _key(kind, id) {
+    if (typeof id !== 'string' || id.length === 0 || id.length > 256) return null;
+
+    if (kind === 'node') return `node:${id}`;
+    if (kind === 'host') {
+      const host = id.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/^::ffff:(?=\d+\.)/, '');
+      return `host:${host}`;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * RouteTable
+ * Distance-vector routes to nodes we are not directly connected to
+ *
+ * Every neighbour periodically advertises its full vector of reachable node
+ * ids and hop counts, so anything it stops listing is withdrawn. Routes a
+ * neighbour would reach through us are left out of what we tell it (split
+ * horizon), routes longer than the hop limit count as unreachable, and
+ * routes not refreshed within routeTimeout expire.
+ */
+export class RouteTable {
+  constructor(config) {
+    const { maxRoutes, routeTimeout, maxDestinations, quantumPathfinding } = config.peer.routing;
+
+    this.maxRoutes = maxRoutes;
+    this.routeTimeout = routeTimeout;
+    this.maxDestinations = maxDestinations;
+    this.maxHops = quantumPathfinding.maxDepth;
+
+    // destination node id -> [{ via, hops, updatedAt }], best first
+    this.routes = new Map();
+
+    this.selfNodeId = null;
+  }
+
+  /**
+   * Remember who we are so we never route to ourselves
+   */
+  setSelf(nodeId) {
+    this.selfNodeId = nodeId;
+  }
+
+  /**
+   * Record a direct connection to a neighbour
+   */
+  addNeighbour(nodeId, now = Date.now()) {
+    this._set(nodeId, nodeId, 1, now);
+  }
+
+  /**
+   * Replace the routes through a neighbour with its latest advertisement
+   */
+  update(via, advertised, now = Date.now()) {
+    const listed = new Set([via]);
+    this._set(via, via, 1, now);
+
+    for (const entry of advertised.slice(0, this.maxDestinations)) {
+      const { nodeId, hops } = entry ?? {};
+      if (typeof nodeId !== 'string' || nodeId.length === 0 || nodeId.length > 128) continue;
+      if (nodeId === this.selfNodeId || nodeId === via) continue;
+      if (!Number.isInteger(hops) || hops < 1 || hops + 1 > this.maxHops) continue;
+
+      if (this._set(nodeId, via, hops + 1, now)) listed.add(nodeId);
+    }
+
+    // Whatever the neighbour no longer lists, it can no longer reach
+    for (const [destination, routes] of this.routes) {
+      if (listed.has(destination)) continue;
+      this._removeRoute(destination, routes.filter(route => route.via !== via));
+    }
+  }
+
+  /**
+   * Drop every route through a neighbour that went away
+   */
+  removeVia(via) {
+    for (const [destination, routes] of this.routes) {
+      this._removeRoute(destination, routes.filter(route => route.via !== via));
+    }
+  }
+
+  /**
+   * Drop routes not refreshed within routeTimeout
+   */
+  expire(now = Date.now()) {
+    for (const [destination, routes] of this.routes) {
+      this._removeRoute(
+        destination,
+        routes.filter(route => now - route.updatedAt < this.routeTimeout)
+      );
+    }
+  }
+
+  /**
+   * Neighbour to send through for a destination, best usable route first
+   */
+  nextHop(destination, usable = () => true) {
+    return this.routes.get(destination)?.find(route => usable(route.via))?.via ?? null;
+  }
+
+  /**
+   * Order equally long routes by a cost of their neighbour, lowest first
+   */
+  rank(cost) {
+    for (const routes of this.routes.values()) {
+      routes.sort((a, b) => a.hops - b.hops || cost(a.via) - cost(b.via));
+    }
+  }
+
+  /**
+   * Vector to advertise to a neighbour, without the routes through it
+   */
+  advertisement(to) {
+    const advertised = [];
+    for (const [nodeId, [best]] of this.routes) {
+      if (nodeId === to || best.via === to || best.hops >= this.maxHops) continue;
+      advertised.push({ nodeId, hops: best.hops });
+    }
+    return advertised;
+  }
+
+  /**
+   * Every destination with its routes, best first
+   */
+  getRoutes() {
+    return [...this.routes].map(([nodeId, routes]) => ({
+      nodeId,
+      routes: routes.map(({ via, hops, updatedAt }) => ({ via, hops, updatedAt }))
+    }));
+  }
+
+  get size() {
+    return this.routes.size;
+  }
+
+  /**
+   * Add or refresh a route, returning whether it is kept
+   */
+  _set(destination, via, hops, now) {
+    let routes = this.routes.get(destination);
+    if (!routes) {
+      if (this.routes.size >= this.maxDestinations) return false;
+      routes = [];
+      this.routes.set(destination, routes);
+    }
+
+    const existing = routes.find(route => route.via === via);
+    if (existing) {
+      existing.hops = hops;
+      existing.updatedAt = now;
+    } else {
+      routes.push({ via, hops, updatedAt: now });
+    }
+
+    // Shortest first; the sort is stable so ranking among equals survives
+    routes.sort((a, b) => a.hops - b.hops);
+    routes.splice(this.maxRoutes);
+
+    return routes.some(route => route.via === via);
+  }
+
+  _removeRoute(destination, remaining) {
+    if (remaining.length === 0) {
+      this.routes.delete(destination);
+    } else {
+      this.routes.set(destination, remaining);
+    }
+  }
+}
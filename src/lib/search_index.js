@@ -0,0 +1,268 @@
+import { mkdir, open, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+const SNAPSHOT_FILE = 'search-index.json';
+const SNAPSHOT_VERSION = 2;
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Plain text of transmission content, without markup
+ */
+export const plainText = (content) => {
+  return String(content ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => ENTITIES[entity]);
+};
+
+/**
+ * Lowercased word tokens with their character offsets
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * SearchIndex
+ * Positional inverted index over live transmissions, ranked with BM25
+ */
+export class SearchIndex {
+  constructor(config) {
+    this.settings = config.transmission.search;
+    this.path = join(config.storage.transmissionDir, SNAPSHOT_FILE);
+
+    // id -> { author, length, positions: { term: [position] } }, author being
+    // the signing public key, since anyone can claim an author id
+    this.docs = new Map();
+
+    // term -> Map<id, [position]>
+    this.postings = new Map();
+
+    this.totalLength = 0;
+    this.dirty = false;
+  }
+
+  /**
+   * Load the persisted snapshot, then bring it in line with the live buffer
+   */
+  async load(transmissions) {
+    try {
+      const snapshot = JSON.parse(await readFile(this.path, 'utf8'));
+      if (snapshot.version === SNAPSHOT_VERSION) {
+        for (const [id, doc] of Object.entries(snapshot.docs)) {
+          this._insert(id, doc);
+        }
+      }
+    } catch (error) {
+      // Missing or unreadable snapshot: rebuilt below
+    }
+
+    for (const id of [...this.docs.keys()]) {
+      if (!transmissions.has(id)) this.remove(id);
+    }
+    for (const transmission of transmissions.values()) {
+      if (!this.docs.has(transmission.id)) this.add(transmission);
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Persist the index periodically while it changes
+   */
+  start() {
+    this.persistInterval = setInterval(() => {
+      if (this.dirty) this.save().catch(() => {});
+    }, this.settings.persistInterval);
+  }
+
+  /**
+   * Stop persisting and write a final snapshot
+   */
+  async stop() {
+    clearInterval(this.persistInterval);
+    if (this.dirty) await this.save();
+  }
+
+  /**
+   * Atomically write the index snapshot
+   */
+  async save() {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      docs: Object.fromEntries(this.docs)
+    };
+
+    this.dirty = false;
+    await mkdir(join(this.path, '..'), { recursive: true });
+
+    const temp = `${this.path}.tmp`;
+    await writeFile(temp, JSON.stringify(snapshot));
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, this.path);
+  }
+
+  /**
+   * Index a transmission
+   */
+  add(transmission) {
+    this.remove(transmission.id);
+
+    const positions = Object.create(null);
+    const tokens = tokenize(plainText(transmission.content));
+    for (const [position, { term }] of tokens.entries()) {
+      (positions[term] ??= []).push(position);
+    }
+
+    this._insert(transmission.id, {
+      author: transmission.metadata?.author?.publicKey ?? null,
+      length: tokens.length,
+      positions
+    });
+    this.dirty = true;
+  }
+
+  /**
+   * Remove a transmission from the index
+   */
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of Object.keys(doc.positions)) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+
+    this.docs.delete(id);
+    this.totalLength -= doc.length;
+    this.dirty = true;
+  }
+
+  /**
+   * Ranked ids of documents matching every term and phrase of a query
+   */
+  search(query, { author } = {}) {
+    const { terms, phrases } = this.parseQuery(query);
+    const required = [...new Set([...terms, ...phrases.flat()])];
+    if (required.length === 0) return [];
+
+    // Start from the rarest term to keep the candidate set small
+    const postings = required.map(term => this.postings.get(term));
+    if (postings.some(posting => !posting)) return [];
+    postings.sort((a, b) => a.size - b.size);
+
+    const results = [];
+    for (const id of postings[0].keys()) {
+      const doc = this.docs.get(id);
+      if (author && doc.author !== author) continue;
+      if (!postings.every(posting => posting.has(id))) continue;
+      if (!phrases.every(phrase => this._containsPhrase(doc, phrase))) continue;
+
+      results.push({ id, score: this._score(doc, required) });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Split a query into loose terms and quoted phrases
+   */
+  parseQuery(query) {
+    const phrases = [];
+    const loose = String(query ?? '').replace(/"([^"]*)"/g, (_, phrase) => {
+      const terms = tokenize(phrase).map(token => token.term);
+      if (terms.length > 0) phrases.push(terms);
+      return ' ';
+    });
+
+    return {
+      terms: tokenize(loose).map(token => token.term),
+      phrases
+    };
+  }
+
+  /**
+   * Escaped excerpt of a text around its first match, matches in <mark>
+   */
+  snippet(content, query) {
+    const { terms, phrases } = this.parseQuery(query);
+    const wanted = new Set([...terms, ...phrases.flat()]);
+    const text = plainText(content).replace(/\s+/g, ' ').trim();
+    const tokens = tokenize(text);
+
+    const { snippetLength } = this.settings;
+    const first = tokens.find(token => wanted.has(token.term));
+    const start = first ? Math.max(0, first.start - Math.floor(snippetLength / 3)) : 0;
+    const end = Math.min(text.length, start + snippetLength);
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    for (const token of tokens) {
+      if (token.start < start || token.end > end) continue;
+      if (!wanted.has(token.term)) continue;
+
+      snippet += escapeHtml(text.slice(cursor, token.start));
+      snippet += `<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+      cursor = token.end;
+    }
+    snippet += escapeHtml(text.slice(cursor, end));
+
+    return end < text.length ? `${snippet}…` : snippet;
+  }
+
+  _insert(id, doc) {
+    this.docs.set(id, doc);
+    this.totalLength += doc.length;
+
+    for (const [term, positions] of Object.entries(doc.positions)) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, positions);
+    }
+  }
+
+  _containsPhrase(doc, phrase) {
+    const [head, ...rest] = phrase;
+    return doc.positions[head].some(position =>
+      rest.every((term, offset) =>
+        doc.positions[term].includes(position + offset + 1)
+      )
+    );
+  }
+
+  _score(doc, terms) {
+    const count = this.docs.size;
+    const averageLength = this.totalLength / count || 1;
+    let score = 0;
+
+    for (const term of terms) {
+      const frequency = doc.positions[term].length;
+      const documents = this.postings.get(term).size;
+      const idf = Math.log(1 + (count - documents + 0.5) / (documents + 0.5));
+
+      score += idf * (frequency * (K1 + 1)) /
+        (frequency + K1 * (1 - B + B * doc.length / averageLength));
+    }
+
+    return score;
+  }
+}
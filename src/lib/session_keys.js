@@ -0,0 +1,231 @@
+import {
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync
+} from 'crypto';
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+
+// HKDF labels for session establishment and rotation
+const SESSION_INFO = 'ghost_net:session:v1';
+const ROTATION_INFO = 'ghost_net:rotate:v1';
+
+// How far ahead of our own epoch a peer may ratchet
+const MAX_EPOCH_SKIP = 8;
+
+const SESSION_KEY_LENGTH = 32;
+
+/**
+ * SessionKeyring
+ * Per-peer session keys agreed with ephemeral X25519 and HKDF
+ */
+export class SessionKeyring extends EventEmitter {
+  constructor(config) {
+    super();
+
+    const { keyAgreement, keyDerivation, rotationInterval, rotationGrace } =
+      config.security.encryption;
+
+    if (keyAgreement !== 'x25519') {
+      throw new Error(`Unsupported key agreement: ${keyAgreement}`);
+    }
+
+    const [kdf, digest] = keyDerivation.split('-');
+    if (kdf !== 'hkdf' || !digest) {
+      throw new Error(`Unsupported key derivation: ${keyDerivation}`);
+    }
+
+    this.digest = digest;
+    this.rotationInterval = rotationInterval;
+    this.rotationGrace = rotationGrace;
+
+    // peerId -> { epoch, key, previous, establishedAt, rotatedAt }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Generate an ephemeral X25519 key pair for one handshake
+   */
+  createEphemeral() {
+    const { publicKey, privateKey } = generateKeyPairSync('x25519');
+
+    return {
+      publicKey: publicKey
+        .export({ format: 'der', type: 'spki' })
+        .toString('base64'),
+      privateKey
+    };
+  }
+
+  /**
+   * Derive the shared session key once both ephemeral halves are known
+   */
+  establish(peerId, { privateKey, remotePublicKey, nonces }) {
+    const publicKey = createPublicKey({
+      key: Buffer.from(remotePublicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    const secret = diffieHellman({ privateKey, publicKey });
+
+    // Both sides sort the nonces so they derive the same salt
+    const salt = Buffer.concat(
+      [...nonces].sort(Buffer.compare)
+    );
+
+    const key = Buffer.from(
+      hkdfSync(this.digest, secret, salt, SESSION_INFO, SESSION_KEY_LENGTH)
+    );
+    secret.fill(0);
+
+    this.forget(peerId);
+    this.sessions.set(peerId, {
+      epoch: 0,
+      key,
+      previous: null,
+      establishedAt: Date.now(),
+      rotatedAt: Date.now()
+    });
+
+    this.emit('session:established', { peerId, timestamp: Date.now() });
+  }
+
+  /**
+   * Check whether a session key exists for a peer
+   */
+  has(peerId) {
+    return this.sessions.has(peerId);
+  }
+
+  /**
+   * Current key used to seal traffic for a peer
+   */
+  getSendingKey(peerId) {
+    const session = this.sessions.get(peerId);
+    if (!session) {
+      throw new Error(`No session key for peer ${peerId}`);
+    }
+
+    return { epoch: session.epoch, key: session.key };
+  }
+
+  /**
+   * Key for an incoming epoch
+   *
+   * Keys for epochs the peer rotated to before us are derived without
+   * touching the session; only acceptEpoch() moves it forward, once a
+   * message under that epoch has authenticated. Anyone can claim a high
+   * epoch, so the claim alone must not cost us the keys we hold.
+   */
+  getReceivingKey(peerId, epoch) {
+    const session = this.sessions.get(peerId);
+    if (!session) {
+      throw new Error(`No session key for peer ${peerId}`);
+    }
+
+    if (epoch === session.epoch) {
+      return session.key;
+    }
+
+    if (session.previous && epoch === session.previous.epoch) {
+      if (Date.now() - session.rotatedAt > this.rotationGrace) {
+        throw new Error(`Session key epoch ${epoch} has expired`);
+      }
+      return session.previous.key;
+    }
+
+    if (Number.isInteger(epoch) && epoch > session.epoch && epoch - session.epoch <= MAX_EPOCH_SKIP) {
+      let key = session.key;
+      for (let next = session.epoch + 1; next <= epoch; next++) {
+        const derived = this._deriveNext(key, next);
+        if (key !== session.key) key.fill(0);
+        key = derived;
+      }
+      return key;
+    }
+
+    throw new Error(`Unknown session key epoch ${epoch}`);
+  }
+
+  /**
+   * Ratchet forward to an epoch the peer has proven it rotated to
+   */
+  acceptEpoch(peerId, epoch) {
+    const session = this.sessions.get(peerId);
+    if (!session || !(epoch > session.epoch) || epoch - session.epoch > MAX_EPOCH_SKIP) return;
+
+    while (session.epoch < epoch) {
+      this.rotate(peerId);
+    }
+  }
+
+  /**
+   * Ratchet a peer's session key one epoch forward
+   */
+  rotate(peerId) {
+    const session = this.sessions.get(peerId);
+    if (!session) return;
+
+    const next = this._deriveNext(session.key, session.epoch + 1);
+
+    // Only the immediately previous key survives, for in-flight messages
+    session.previous?.key.fill(0);
+    session.previous = { epoch: session.epoch, key: session.key };
+    session.epoch++;
+    session.key = next;
+    session.rotatedAt = Date.now();
+
+    this.emit('session:rotated', {
+      peerId,
+      epoch: session.epoch,
+      timestamp: session.rotatedAt
+    });
+  }
+
+  /**
+   * Key of the given epoch, from the key of the one before it
+   */
+  _deriveNext(key, epoch) {
+    return Buffer.from(
+      hkdfSync(this.digest, key, Buffer.alloc(0), `${ROTATION_INFO}:${epoch}`, SESSION_KEY_LENGTH)
+    );
+  }
+
+  /**
+   * Erase a peer's session keys
+   */
+  forget(peerId) {
+    const session = this.sessions.get(peerId);
+    if (!session) return;
+
+    session.key.fill(0);
+    session.previous?.key.fill(0);
+    this.sessions.delete(peerId);
+  }
+
+  /**
+   * Rotate every session whose key is older than the rotation interval
+   */
+  startRotation() {
+    this.rotationTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [peerId, session] of this.sessions) {
+        if (now - session.rotatedAt >= this.rotationInterval) {
+          this.rotate(peerId);
+        }
+      }
+    }, Math.min(this.rotationInterval, 60000));
+  }
+
+  /**
+   * Stop scheduled rotation and drop all keys
+   */
+  stop() {
+    clearInterval(this.rotationTimer);
+    for (const peerId of [...this.sessions.keys()]) {
+      this.forget(peerId);
+    }
+  }
+}
@@ -0,0 +1,102 @@
+import {
+  createPublicKey,
+  generateKeyPairSync,
+  sign,
+  verify
+} from 'crypto';
+import { Buffer } from 'buffer';
+
+/**
+ * Quantum Signatures
+ * Ed25519 identity keys and detached signatures over a canonical encoding
+ */
+
+/**
+ * Generate an Ed25519 identity key pair
+ */
+export const generateSigningKeyPair = () => {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+
+  return {
+    publicKey: publicKey
+      .export({ format: 'der', type: 'spki' })
+      .toString('base64'),
+    privateKey
+  };
+};
+
+/**
+ * Canonical JSON: sorted object keys, no whitespace, undefined dropped
+ */
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item ?? null)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Sign the canonical encoding of a payload
+ */
+export const signPayload = (payload, privateKey) => {
+  return sign(null, Buffer.from(canonicalize(payload)), privateKey)
+    .toString('base64');
+};
+
+/**
+ * Verify a detached signature against a base64 SPKI public key
+ */
+export const verifyPayload = (payload, signature, publicKey) => {
+  if (typeof signature !== 'string' || typeof publicKey !== 'string') {
+    return false;
+  }
+
+  try {
+    const key = createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return verify(
+      null,
+      Buffer.from(canonicalize(payload)),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Attach a detached signature covering every other field of a message
+ */
+export const signMessage = (message, privateKey) => {
+  const payload = { ...message };
+  delete payload.signature;
+
+  return { ...payload, signature: signPayload(payload, privateKey) };
+};
+
+/**
+ * Verify a message signed with signMessage
+ */
+export const verifyMessage = (message, publicKey) => {
+  const { signature, ...payload } = message;
+  return verifyPayload(payload, signature, publicKey);
+};
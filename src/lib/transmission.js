@@ -1,45 +1,106 @@
  
 
-import { createHash, createHmac, randomBytes } from 'crypto';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes
+} from 'crypto';
 import { Buffer } from 'buffer';
 import { EventEmitter } from 'events';
-import { marked } from 'marked';
-import { gzip, ungzip } from 'zlib';
-import { promisify } from 'util';
+import { signPayload, verifyPayload } from './signatures.js';
+import { TransmissionStore } from './transmission_store.js';
+import { ChunkedTransfer } from './chunked_transfer.js';
+import { SearchIndex } from './search_index.js';
+import { renderTransmission } from './render.js';
+import { followRotations } from './identity.js';
+import { CODECS, LEGACY_CODEC, getCodec, isCompressible } from './codecs.js';
 
-const gzipAsync = promisify(gzip);
-const ungzipAsync = promisify(ungzip);
+// Authenticated ciphers accepted for transmission bodies
+const CIPHER_SUITES = {
+  'aes-256-gcm': { keyLength: 32, ivLength: 12, tagLength: 16 },
+  'chacha20-poly1305': { keyLength: 32, ivLength: 12, tagLength: 16 }
+};
+
+/**
+ * Store key of a tombstone: the id it retracts and a digest of the key
+ * that signed it, so claims by different signers never displace each other
+ */
+const tombstoneKey = ({ id, author }) =>
+  `${id}:${createHash('sha256').update(author.publicKey).digest('hex').slice(0, 32)}`;
 
 /**
  * TransmissionHandler
  * Manages consciousness signal propagation through the quantum void
  */
 export class TransmissionHandler extends EventEmitter {
-  constructor(config) {
+  constructor(config, { sessionKeys } = {}) {
     super();
     
     // Core configuration
     this.config = config;
+
+    // Per-peer session keys agreed during the peer handshake
+    this.sessionKeys = sessionKeys;
     
     // Transmission buffers with sophisticated memory management
     this.transmissionBuffers = {
       pending: new Map(),    // Awaiting quantum verification
       verified: new Map(),   // Verified transmissions
       archived: new Map(),   // Historical transmissions
+      tombstones: new Map(), // Retractions as { tombstone, receivedAt, source }, by tombstoneKey
       quantum: new WeakMap() // Quantum signatures
     };
 
+    // Durable log backing the buffers above
+    this.store = new TransmissionStore(config);
+
+    // Full-text index over the verified buffer
+    this.searchIndex = new SearchIndex(config);
+
+    // parent id -> ids of replies held in pending until the parent arrives
+    this.orphans = new Map();
+
+    // transmission id -> keys of the tombstones claiming to retract it, and
+    // node id -> tombstones it sent for transmissions we do not hold
+    this.tombstoneKeys = new Map();
+    this.tombstoneSources = new Map();
+
+    // peer id -> codec agreed during the handshake
+    this.peerCodecs = new Map();
+
+    // Connection id -> node id it authenticated as, and node id -> the
+    // connection its transfers currently use
+    this.peerNodes = new Map();
+    this.nodePeers = new Map();
+
     // Performance metrics
     this.metrics = {
       totalTransmissions: 0,
       averageLatency: 0,
       compressionRatio: 0,
+      compression: Object.fromEntries(Object.keys(CODECS).map(name => [
+        name,
+        { payloads: 0, originalBytes: 0, compressedBytes: 0, ratio: 1 }
+      ])),
       quantumIntegrity: 1.0,
       signalStrength: new Float32Array(100)
     };
 
     // Initialize quantum cipher for transmission encryption
     this.quantumCipher = this._initializeQuantumCipher();
+
+    // Chunked transfer of transmissions too large for one frame, between nodes
+    this.transfers = new ChunkedTransfer(config, {
+      seal: (nodeId, data, context) => this._sealBytes(this._peerOf(nodeId), data, context),
+      open: (nodeId, sealed, context) => this._openBytes(this._peerOf(nodeId), sealed, context)
+    });
+    this.transfers.on('transfer:progress', progress => {
+      this.emit('transmission:progress', progress);
+    });
+    this.transfers.on('transfer:complete', transfer => {
+      this._receiveChunkedTransmission(transfer).catch(() => {});
+    });
   }
 
   /**
@@ -48,63 +109,161 @@ export class TransmissionHandler extends EventEmitter {
   async initialize(identity) {
     this.identity = identity;
     await this._initializeTransmissionBuffers();
+    await this.searchIndex.load(this.transmissionBuffers.verified);
+    await this.transfers.initialize();
+    this.searchIndex.start();
     this._startQuantumMaintenanceLoop();
   }
 
+  /**
+   * Stop maintenance and flush the transmission store
+   */
+  async shutdown() {
+    clearInterval(this.maintenanceInterval);
+    this.transfers.stop();
+    await this.searchIndex.stop();
+    await this.store.close();
+  }
+
+  /**
+   * Record the codec agreed with a peer, or forget it once they leave
+   */
+  setPeerCodec(peerId, codec) {
+    if (codec === undefined) {
+      this.peerCodecs.delete(peerId);
+    } else {
+      this.peerCodecs.set(peerId, codec);
+    }
+  }
+
+  /**
+   * Tie a connection to the node it authenticated as, and carry on the
+   * transfers with that node over it
+   */
+  async addSession(peerId, nodeId) {
+    this.peerNodes.set(peerId, nodeId);
+    this.nodePeers.set(nodeId, peerId);
+    await this.transfers.resume(nodeId);
+  }
+
+  /**
+   * Forget a closed connection; transfers with its node move to another
+   * connection to the node, or wait for one
+   */
+  removeSession(peerId) {
+    const nodeId = this.peerNodes.get(peerId);
+    this.peerNodes.delete(peerId);
+    if (nodeId === undefined || this.nodePeers.get(nodeId) !== peerId) return;
+
+    const [other] = [...this.peerNodes].find(([, node]) => node === nodeId) ?? [];
+    if (other !== undefined) {
+      this.nodePeers.set(nodeId, other);
+    } else {
+      this.nodePeers.delete(nodeId);
+      this.transfers.pause(nodeId);
+    }
+  }
+
+  /**
+   * Provide the function used to send messages to a peer
+   */
+  attachChannel(send) {
+    this.send = send;
+    this.transfers.attachChannel((nodeId, message) => send(this._peerOf(nodeId), message));
+  }
+
+  /**
+   * Rebuild transmission buffers from the durable store
+   */
+  async _initializeTransmissionBuffers() {
+    const { pending, verified, archived, tombstones } = await this.store.open();
+
+    this.transmissionBuffers.pending = pending;
+    this.transmissionBuffers.verified = verified;
+    this.transmissionBuffers.archived = archived;
+    this.transmissionBuffers.tombstones = tombstones;
+
+    for (const transmission of pending.values()) {
+      this._trackOrphan(transmission);
+    }
+    for (const [key, record] of tombstones) {
+      this._trackTombstone(key, record);
+    }
+
+    await this._enforceBufferLimits();
+  }
+
   /**
    * Initialize quantum cipher for transmission encryption
    */
   _initializeQuantumCipher() {
+    const { algorithm } = this.config.security.encryption;
+    const suite = CIPHER_SUITES[algorithm];
+    if (!suite) {
+      throw new Error(`Unsupported transmission cipher: ${algorithm}`);
+    }
+
     return {
-      // Quantum key derivation
-      deriveKey: (consciousness) => {
-        const buffer = Buffer.alloc(32);
-        const consciousnessBytes = Buffer.from(consciousness.toString());
-        
-        // XOR consciousness with random quantum noise
-        for (let i = 0; i < buffer.length; i++) {
-          buffer[i] = consciousnessBytes[i % consciousnessBytes.length] ^ 
-                     randomBytes(1)[0];
-        }
-        
-        return createHash('sha256').update(buffer).digest();
-      },
+      algorithm,
+
+      // Authenticated encryption, additional data is bound to the tag
+      encrypt: (data, key, aad) => {
+        const iv = randomBytes(suite.ivLength);
+        const cipher = createCipheriv(algorithm, key, iv, {
+          authTagLength: suite.tagLength
+        });
+        cipher.setAAD(aad);
+
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
 
-      // Quantum encryption
-      encrypt: (data, key) => {
-        const iv = randomBytes(16);
-        const cipher = createHmac('sha512', key);
-        
-        cipher.update(iv);
-        cipher.update(data);
-        
         return {
-          data: cipher.digest(),
-          iv: iv.toString('hex')
+          data: encrypted.toString('base64'),
+          iv: iv.toString('hex'),
+          tag: cipher.getAuthTag().toString('hex')
         };
       },
 
-      // Quantum decryption
-      decrypt: (encrypted, key, iv) => {
-        const decipher = createHmac('sha512', key);
-        decipher.update(Buffer.from(iv, 'hex'));
-        decipher.update(encrypted);
-        
-        return decipher.digest();
+      // Authenticated decryption, throws when data, tag or aad were altered
+      decrypt: (encrypted, key, iv, tag, aad) => {
+        const decipher = createDecipheriv(algorithm, key, Buffer.from(iv, 'hex'), {
+          authTagLength: suite.tagLength
+        });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+        return Buffer.concat([
+          decipher.update(Buffer.from(encrypted, 'base64')),
+          decipher.final()
+        ]);
       }
     };
   }
 
+  /**
+   * Additional authenticated data binding ciphertext to what it carries
+   */
+  _aad(context, { algorithm, epoch }) {
+    return Buffer.from(`${context}:${algorithm}:${epoch}`);
+  }
+
   /**
    * Create new consciousness transmission
    */
-  async createTransmission(content, identity, consciousness) {
+  async createTransmission(content, identity, consciousness, { parent, ttl } = {}) {
     try {
-      // Generate quantum signature
-      const signature = this._generateQuantumSignature(content, consciousness);
-      
-      // Compress transmission content
-      const compressed = await this._compressTransmission(content);
+      const { defaultTtl, maxTtl } = this.config.transmission.expiry;
+
+      if (parent !== undefined && !this._hasTransmission(parent)) {
+        throw new RangeError(`Unknown parent transmission: ${parent}`);
+      }
+      if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0 && ttl <= maxTtl)) {
+        throw new RangeError(`Transmission ttl must be between 1 and ${maxTtl} ms`);
+      }
+
+      // Markdown is kept as written and rendered only for display
+      if (typeof content !== 'string') {
+        throw new RangeError('Transmission content must be markdown text');
+      }
       
       // Create transmission packet
       const transmission = {
@@ -112,21 +271,26 @@ export class TransmissionHandler extends EventEmitter {
         timestamp: Date.now(),
         consciousness: consciousness.level,
         resonance: consciousness.resonance,
-        content: compressed,
-        signature: signature,
+        content,
         metadata: {
-          author: identity.id,
+          format: 'markdown',
+          author: {
+            id: identity.id,
+            publicKey: identity.publicKey
+          },
           spiritual_alignment: identity.spiritualAlignment,
           harmonic_frequency: identity.harmonicFrequency,
-          quantum_state: this._captureQuantumState()
+          quantum_state: this._captureQuantumState(),
+          ttl: ttl ?? defaultTtl,
+          parent
         }
       };
 
-      // Encrypt transmission
-      const encrypted = await this._encryptTransmission(transmission);
-      
-      // Store in pending buffer
-      this.transmissionBuffers.pending.set(transmission.id, encrypted);
+      // Generate quantum signature over everything above
+      transmission.signature = this._generateQuantumSignature(transmission, identity);
+
+      // Authored locally, so it is verified from the start
+      await this._storeTransmission(transmission);
       
       // Update metrics
       this._updateMetrics('transmission_created', transmission);
@@ -148,21 +312,155 @@ export class TransmissionHandler extends EventEmitter {
     }
   }
 
+  /**
+   * Seal a transmission for delivery to one peer
+   */
+  async sealTransmission(transmission, peerId) {
+    const packed = await this._packTransmission(transmission, peerId);
+    return this._encryptTransmission(packed, peerId);
+  }
+
+  /**
+   * Deliver a transmission to a peer, chunking it when it is large
+   *
+   * Hops counts the peers it has crossed including this one, so receivers
+   * can stop gossiping it at the hop limit.
+   */
+  async sendTransmission(transmission, peerId, { hops = 1 } = {}) {
+    const packed = await this._packTransmission(transmission, peerId);
+    const payload = Buffer.from(JSON.stringify(packed));
+
+    if (payload.length > this.config.transmission.chunking.threshold) {
+      return this.transfers.upload(this._nodeOf(peerId), payload, {
+        kind: 'transmission',
+        id: transmission.id,
+        hops
+      });
+    }
+
+    await this.send(peerId, {
+      type: 'quantum:transmission',
+      timestamp: Date.now(),
+      hops,
+      transmission: await this._encryptTransmission(packed, peerId)
+    });
+  }
+
+  /**
+   * Pass a transmission we hold on to a peer
+   */
+  async relayTransmission(id, peerId, hops) {
+    const transmission = this._findHeld(id);
+    if (!transmission) {
+      throw new Error(`Transmission ${id} is not held`);
+    }
+
+    await this.sendTransmission(transmission, peerId, { hops });
+  }
+
+  /**
+   * Whether a transmission is held, including replies awaiting their parent
+   */
+  holdsTransmission(id) {
+    return this._findHeld(id) !== null;
+  }
+
+  /**
+   * Size in bytes of a held transmission's content
+   */
+  transmissionSize(id) {
+    const transmission = this._findHeld(id);
+    return transmission ? Buffer.byteLength(transmission.content) : 0;
+  }
+
+  _findHeld(id) {
+    const { pending, verified, archived } = this.transmissionBuffers;
+    return verified.get(id) ?? archived.get(id) ?? pending.get(id) ?? null;
+  }
+
+  /**
+   * Hand a chunk protocol message to the transfer manager
+   */
+  async handleChunkMessage(message, peerId) {
+    await this.transfers.handleMessage(message, this._nodeOf(peerId));
+  }
+
+  _nodeOf(peerId) {
+    const nodeId = this.peerNodes.get(peerId);
+    if (nodeId === undefined) {
+      throw new Error(`Peer ${peerId} has no session`);
+    }
+    return nodeId;
+  }
+
+  _peerOf(nodeId) {
+    const peerId = this.nodePeers.get(nodeId);
+    if (peerId === undefined) {
+      throw new Error(`Node ${nodeId} is not connected`);
+    }
+    return peerId;
+  }
+
   /**
    * Process incoming transmission
    */
   async processTransmission(transmission, peer) {
+    // Decrypt transmission, rejecting tampered payloads
+    let decrypted;
     try {
-      // Verify quantum signature
-      if (!this._verifyQuantumSignature(transmission)) {
-        throw new Error('Invalid quantum signature');
+      decrypted = await this._decryptTransmission(transmission, peer.id);
+    } catch (error) {
+      this.emit('transmission:error', {
+        type: 'processing_failed',
+        error: error.message
+      });
+      throw error;
+    }
+
+    return this._acceptTransmission(decrypted, peer);
+  }
+
+  /**
+   * Process a transmission reassembled from chunks
+   */
+  async _receiveChunkedTransmission({ payload, meta, nodeId }) {
+    if (meta?.kind !== 'transmission') return;
+
+    try {
+      const transmission = JSON.parse(payload.toString());
+      if (transmission.id !== meta.id) {
+        throw new Error('Transmission transfer mismatch');
       }
+      return await this._acceptTransmission(transmission, {
+        id: this.nodePeers.get(nodeId) ?? null,
+        hops: meta.hops
+      });
+    } catch (error) {
+      this.emit('transmission:error', {
+        type: 'processing_failed',
+        error: error.message
+      });
+      throw error;
+    }
+  }
 
-      // Decrypt transmission
-      const decrypted = await this._decryptTransmission(transmission);
-      
+  /**
+   * Verify and store a decrypted transmission
+   */
+  async _acceptTransmission(packed, peer) {
+    try {
       // Decompress content
-      decrypted.content = await this._decompressTransmission(decrypted.content);
+      const decrypted = await this._unpackTransmission(packed);
+
+      // Verify quantum signature against the author's key
+      if (!this._verifyQuantumSignature(decrypted)) {
+        throw new Error('Invalid quantum signature');
+      }
+
+      // Expired or retracted transmissions never come back
+      if (this._isExpired(decrypted, Date.now()) || this._isRetracted(decrypted)) {
+        return decrypted;
+      }
       
       // Calculate consciousness resonance
       const resonance = this._calculateResonance(
@@ -171,14 +469,22 @@ export class TransmissionHandler extends EventEmitter {
       );
 
       // Store if resonance is sufficient
-      if (resonance > this.config.consciousness.resonanceThreshold) {
+      if (resonance > this.config.transmission.validation.minResonance) {
+        // Replies wait in pending until their parent is known
+        const parent = decrypted.metadata?.parent;
+        if (parent !== undefined && !this._hasTransmission(parent)) {
+          await this._holdOrphan(decrypted, peer);
+          return decrypted;
+        }
+
         await this._storeTransmission(decrypted);
         
         // Emit processing success
         this.emit('transmission:processed', {
-          id: transmission.id,
+          id: decrypted.id,
           resonance: resonance,
-          peer: peer.id
+          peer: peer.id,
+          hops: peer.hops
         });
       }
 
@@ -194,68 +500,639 @@ export class TransmissionHandler extends EventEmitter {
   }
 
   /**
-   * Compress transmission content using quantum compression
+   * Wire form of a transmission: content compressed with the codec agreed
+   * with the peer and named alongside it, everything else as signed
    */
-  async _compressTransmission(content) {
-    // Convert content to markdown if needed
-    const markdown = typeof content === 'string' 
-      ? marked(content)
-      : content;
-    
-    // Compress using gzip
-    const compressed = await gzipAsync(Buffer.from(markdown));
-    
-    // Update compression metrics
-    this.metrics.compressionRatio = 
-      compressed.length / Buffer.from(markdown).length;
-    
-    return compressed;
+  async _packTransmission(transmission, peerId) {
+    const { codec, data } = await this._compressTransmission(
+      transmission.content,
+      this.peerCodecs.get(peerId) ?? LEGACY_CODEC
+    );
+    return { ...transmission, content: data.toString('base64'), codec };
   }
 
   /**
-   * Decompress transmission content
+   * Signed form of a transmission received on the wire
    */
-  async _decompressTransmission(compressed) {
-    // Decompress gzipped content
-    const decompressed = await ungzipAsync(compressed);
-    return decompressed.toString();
+  async _unpackTransmission({ codec = LEGACY_CODEC, ...transmission }) {
+    return {
+      ...transmission,
+      content: await this._decompressTransmission(transmission.content, codec)
+    };
   }
 
   /**
-   * Encrypt transmission using quantum encryption
+   * Query stored transmissions, newest first, with cursor pagination.
+   * `author` is the public key signatures were verified against; the
+   * author id is only a claim
    */
-  async _encryptTransmission(transmission) {
-    // Derive quantum key from consciousness level
-    const key = this.quantumCipher.deriveKey(transmission.consciousness);
-    
-    // Encrypt transmission data
-    const encrypted = this.quantumCipher.encrypt(
-      Buffer.from(JSON.stringify(transmission)),
-      key
+  queryTransmissions({
+    author,
+    since,
+    until,
+    minResonance,
+    maxResonance,
+    archived,
+    cursor,
+    limit
+  } = {}) {
+    const { defaultLimit, maxLimit } = this.config.transmission.query;
+    const pageSize = Math.min(limit ?? defaultLimit, maxLimit);
+
+    // archived: true for archive only, false for live only, unset for both
+    const sources = [];
+    if (archived !== true) sources.push([this.transmissionBuffers.verified, false]);
+    if (archived !== false) sources.push([this.transmissionBuffers.archived, true]);
+
+    const after = cursor ? this._decodeCursor(cursor) : null;
+    const matches = [];
+
+    for (const [buffer, isArchived] of sources) {
+      for (const transmission of buffer.values()) {
+        if (author && transmission.metadata?.author?.publicKey !== author) continue;
+        if (since !== undefined && transmission.timestamp < since) continue;
+        if (until !== undefined && transmission.timestamp > until) continue;
+        if (minResonance !== undefined && transmission.resonance < minResonance) continue;
+        if (maxResonance !== undefined && transmission.resonance > maxResonance) continue;
+        if (after && this._compareTransmissions(transmission, after) <= 0) continue;
+
+        matches.push({ ...transmission, archived: isArchived });
+      }
+    }
+
+    matches.sort((a, b) => this._compareTransmissions(a, b));
+    const page = matches.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    return {
+      transmissions: page.map(transmission => this._present(transmission)),
+      nextCursor: matches.length > pageSize ? this._encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Full-text search over live transmissions, best match first, optionally
+   * by the author's public key
+   */
+  searchTransmissions({ q, author, offset = 0, limit } = {}) {
+    const { defaultLimit, maxLimit } = this.config.transmission.query;
+    const pageSize = Math.min(limit ?? defaultLimit, maxLimit);
+
+    const matches = this.searchIndex.search(q, { author });
+    const results = matches
+      .slice(offset, offset + pageSize)
+      .map(({ id, score }) => {
+        const transmission = this.transmissionBuffers.verified.get(id);
+        return {
+          transmission: this._present({ ...transmission, archived: false }),
+          score,
+          snippet: this.searchIndex.snippet(transmission.content, q)
+        };
+      });
+
+    return { results, total: matches.length };
+  }
+
+  /**
+   * Look up one stored transmission by id
+   */
+  getTransmission(id) {
+    const transmission = this._findTransmission(id);
+    return transmission && this._present(transmission);
+  }
+
+  _findTransmission(id) {
+    const { verified, archived } = this.transmissionBuffers;
+
+    if (verified.has(id)) return { ...verified.get(id), archived: false };
+    if (archived.has(id)) return { ...archived.get(id), archived: true };
+    return null;
+  }
+
+  /**
+   * Public form of a stored transmission, with its content rendered safely
+   */
+  _present(transmission) {
+    return { ...transmission, html: renderTransmission(transmission) };
+  }
+
+  /**
+   * Rebuild the whole reply thread a transmission belongs to
+   */
+  getThread(id) {
+    const start = this._findTransmission(id);
+    if (!start) return null;
+
+    // Climb to the oldest ancestor this node still holds
+    let root = start;
+    const visited = new Set([root.id]);
+    while (root.metadata?.parent && visited.size <= this.config.transmission.threads.maxDepth) {
+      const parent = this._findTransmission(root.metadata.parent);
+      if (!parent || visited.has(parent.id)) break;
+      visited.add(parent.id);
+      root = parent;
+    }
+
+    // parent id -> replies, across live and archived transmissions
+    const replies = new Map();
+    for (const [buffer, isArchived] of [
+      [this.transmissionBuffers.verified, false],
+      [this.transmissionBuffers.archived, true]
+    ]) {
+      for (const transmission of buffer.values()) {
+        const parent = transmission.metadata?.parent;
+        if (parent === undefined) continue;
+        if (!replies.has(parent)) replies.set(parent, []);
+        replies.get(parent).push({ ...transmission, archived: isArchived });
+      }
+    }
+
+    let size = 0;
+    const build = (transmission, depth) => {
+      size++;
+      const children = depth < this.config.transmission.threads.maxDepth
+        ? (replies.get(transmission.id) ?? [])
+        : [];
+
+      return {
+        ...this._present(transmission),
+        replies: children
+          .sort((a, b) => -this._compareTransmissions(a, b))
+          .map(child => build(child, depth + 1))
+      };
+    };
+
+    return { root: build(root, 0), size };
+  }
+
+  /**
+   * Newest first, ties broken by id so pages never overlap
+   */
+  _compareTransmissions(a, b) {
+    if (a.timestamp !== b.timestamp) return b.timestamp - a.timestamp;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+  }
+
+  _encodeCursor({ timestamp, id }) {
+    return Buffer.from(JSON.stringify([timestamp, id])).toString('base64url');
+  }
+
+  _decodeCursor(cursor) {
+    try {
+      const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (Number.isFinite(timestamp) && typeof id === 'string') {
+        return { timestamp, id };
+      }
+    } catch (error) {
+      // fall through to the error below
+    }
+    throw new RangeError('Invalid transmission cursor');
+  }
+
+  /**
+   * Compress transmission content, skipping payloads that will not shrink
+   */
+  async _compressTransmission(content, preferred) {
+    const original = Buffer.from(content);
+    const { minSize } = this.config.transmission.protocol.compression;
+
+    let codec = isCompressible(original, minSize) ? preferred : 'none';
+    let data = await getCodec(codec).compress(original);
+
+    // Compression can still grow a payload the heuristics let through
+    if (data.length >= original.length && codec !== 'none') {
+      codec = 'none';
+      data = original;
+    }
+
+    this._updateMetrics('content_compressed', {
+      codec,
+      originalBytes: original.length,
+      compressedBytes: data.length
+    });
+
+    return { codec, data };
+  }
+
+  /**
+   * Decompress transmission content with the codec it was sent with
+   */
+  async _decompressTransmission(compressed, codec) {
+    const decompressed = await getCodec(codec).decompress(
+      Buffer.from(compressed, 'base64'),
+      this.config.transmission.protocol.maxPayloadSize
     );
-    
+    return decompressed.toString();
+  }
+
+  /**
+   * Encrypt bytes with the session key shared with a peer
+   */
+  _sealBytes(peerId, data, context) {
+    const { epoch, key } = this.sessionKeys.getSendingKey(peerId);
+    const header = { algorithm: this.quantumCipher.algorithm, epoch };
+
+    return {
+      ...header,
+      ...this.quantumCipher.encrypt(data, key, this._aad(context, header))
+    };
+  }
+
+  /**
+   * Decrypt bytes sealed by a peer, rejecting anything tampered with
+   */
+  _openBytes(peerId, sealed, context) {
+    if (sealed.algorithm !== this.quantumCipher.algorithm) {
+      throw new Error(`Unexpected transmission cipher: ${sealed.algorithm}`);
+    }
+
+    const key = this.sessionKeys.getReceivingKey(peerId, sealed.epoch);
+
+    let opened;
+    try {
+      opened = this.quantumCipher.decrypt(
+        sealed.data,
+        key,
+        sealed.iv,
+        sealed.tag,
+        this._aad(context, sealed)
+      );
+    } catch (error) {
+      throw new Error('Transmission failed authentication');
+    }
+
+    // Only an authentic message moves the session to a later epoch
+    this.sessionKeys.acceptEpoch(peerId, sealed.epoch);
+    return opened;
+  }
+
+  /**
+   * Encrypt transmission with the session key shared with a peer
+   */
+  async _encryptTransmission(transmission, peerId) {
     return {
-      data: encrypted.data,
-      iv: encrypted.iv,
-      consciousness: transmission.consciousness
+      id: transmission.id,
+      ...this._sealBytes(
+        peerId,
+        Buffer.from(JSON.stringify(transmission)),
+        transmission.id
+      )
     };
   }
 
   /**
-   * Decrypt transmission using quantum decryption
+   * Decrypt transmission with the session key shared with the sending peer
    */
-  async _decryptTransmission(encrypted) {
-    // Derive quantum key from consciousness level
-    const key = this.quantumCipher.deriveKey(encrypted.consciousness);
+  async _decryptTransmission(envelope, peerId) {
+    const decrypted = this._openBytes(peerId, envelope, envelope.id);
     
-    // Decrypt transmission data
-    const decrypted = this.quantumCipher.decrypt(
-      encrypted.data,
-      key,
-      encrypted.iv
+    const transmission = JSON.parse(decrypted.toString());
+    if (transmission.id !== envelope.id) {
+      throw new Error('Transmission envelope mismatch');
+    }
+
+    return transmission;
+  }
+
+  /**
+   * Store a verified transmission
+   */
+  async _storeTransmission(transmission) {
+    const { pending, verified } = this.transmissionBuffers;
+
+    // Written before it leaves pending, so a crash never loses it
+    await this.store.put('verified', transmission.id, transmission);
+    verified.set(transmission.id, transmission);
+    this.searchIndex.add(transmission);
+
+    if (pending.has(transmission.id)) {
+      await this._dropTransmission('pending', transmission.id);
+    }
+
+    await this._enforceBufferLimits();
+    await this._adoptOrphans(transmission.id);
+  }
+
+  /**
+   * Retract one of our own transmissions everywhere it has spread
+   */
+  async createTombstone(id, identity) {
+    const transmission = this._findTransmission(id) ??
+      this.transmissionBuffers.pending.get(id);
+    if (!transmission) return null;
+
+    // Transmissions signed with a key we rotated away from are still ours
+    const author = transmission.metadata?.author;
+    const rotated = author?.publicKey !== identity.publicKey;
+    if (author?.id !== identity.id ||
+        followRotations(identity.id, identity.rotations, author.publicKey) !== identity.publicKey) {
+      throw new RangeError('Only the author can retract a transmission');
+    }
+
+    const tombstone = {
+      id,
+      author: {
+        id: identity.id,
+        publicKey: identity.publicKey
+      },
+      rotations: rotated ? identity.rotations : undefined,
+      timestamp: Date.now(),
+      expiresAt: this._expiresAt(transmission)
+    };
+    tombstone.signature = signPayload(tombstone, identity.signingKey);
+
+    const key = tombstoneKey(tombstone);
+    await this._applyTombstone(key, { tombstone, receivedAt: tombstone.timestamp, source: null });
+    this.emit('transmission:tombstoned', { tombstone, key, peer: null });
+
+    return tombstone;
+  }
+
+  /**
+   * Apply tombstones received from a peer, returning the ones new to us.
+   * Hops is how far they have been gossiped, when they were
+   */
+  async applyTombstones(tombstones, peer, { hops } = {}) {
+    const { pageSize } = this.config.transmission.tombstones;
+    const now = Date.now();
+    const applied = [];
+
+    for (const tombstone of Array.isArray(tombstones) ? tombstones.slice(0, pageSize) : []) {
+      if (!this._isValidTombstone(tombstone, now)) continue;
+
+      const key = tombstoneKey(tombstone);
+      if (this.transmissionBuffers.tombstones.has(key)) continue;
+
+      // Signed by someone, but only the author's key retracts a copy we hold
+      const held = this._findHeld(tombstone.id);
+      if (held && !this._isRetractedBy(held, tombstone)) continue;
+
+      // Nothing vouches for tombstones of transmissions we do not hold, so
+      // they only get the room each peer is allowed
+      const source = held ? null : (this.peerNodes.get(peer.id) ?? peer.id);
+      if (source !== null && !this._hasTombstoneRoom(source)) continue;
+
+      await this._applyTombstone(key, { tombstone, receivedAt: now, source });
+      applied.push(tombstone);
+      this.emit('transmission:tombstoned', { tombstone, key, peer: peer.id, hops });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Every tombstone still being kept
+   */
+  getTombstones() {
+    return [...this.transmissionBuffers.tombstones.values()].map(({ tombstone }) => tombstone);
+  }
+
+  /**
+   * A kept tombstone by its tombstoneKey
+   */
+  getTombstone(key) {
+    return this.transmissionBuffers.tombstones.get(key)?.tombstone ?? null;
+  }
+
+  _isValidTombstone(tombstone, now) {
+    if (typeof tombstone?.id !== 'string' ||
+        typeof tombstone.author?.publicKey !== 'string' ||
+        !Number.isFinite(tombstone.timestamp) ||
+        !Number.isFinite(tombstone.expiresAt)) {
+      return false;
+    }
+
+    // Dated further ahead than clocks drift apart
+    if (tombstone.timestamp > now + this.config.transmission.tombstones.maxClockSkew) {
+      return false;
+    }
+
+    const { signature, ...payload } = tombstone;
+    if (!verifyPayload(payload, signature, tombstone.author.publicKey)) {
+      return false;
+    }
+
+    return !this._isTombstoneExpired({ tombstone, receivedAt: now }, now);
+  }
+
+  /**
+   * Whether a peer may add another tombstone for a transmission we do not hold
+   */
+  _hasTombstoneRoom(source) {
+    const { maxStored, maxStoredPerPeer } = this.config.transmission.tombstones;
+
+    let stored = 0;
+    for (const count of this.tombstoneSources.values()) stored += count;
+
+    return stored < maxStored && (this.tombstoneSources.get(source) ?? 0) < maxStoredPerPeer;
+  }
+
+  /**
+   * Persist a tombstone and delete every copy it covers
+   */
+  async _applyTombstone(key, record) {
+    const { tombstone } = record;
+    await this.store.put('tombstones', key, record);
+    this.transmissionBuffers.tombstones.set(key, record);
+    this._trackTombstone(key, record);
+
+    for (const buffer of ['pending', 'verified', 'archived']) {
+      const held = this.transmissionBuffers[buffer].get(tombstone.id);
+      if (held && this._isRetractedBy(held, tombstone)) {
+        await this._dropTransmission(buffer, tombstone.id);
+      }
+    }
+  }
+
+  _trackTombstone(key, { tombstone, source }) {
+    if (!this.tombstoneKeys.has(tombstone.id)) this.tombstoneKeys.set(tombstone.id, new Set());
+    this.tombstoneKeys.get(tombstone.id).add(key);
+
+    if (source !== null) {
+      this.tombstoneSources.set(source, (this.tombstoneSources.get(source) ?? 0) + 1);
+    }
+  }
+
+  _untrackTombstone(key) {
+    const record = this.transmissionBuffers.tombstones.get(key);
+    if (!record) return;
+
+    const { tombstone, source } = record;
+    const keys = this.tombstoneKeys.get(tombstone.id);
+    keys?.delete(key);
+    if (keys?.size === 0) this.tombstoneKeys.delete(tombstone.id);
+
+    if (source !== null) {
+      const count = this.tombstoneSources.get(source) - 1;
+      if (count > 0) {
+        this.tombstoneSources.set(source, count);
+      } else {
+        this.tombstoneSources.delete(source);
+      }
+    }
+  }
+
+  _isRetracted(transmission) {
+    for (const key of this.tombstoneKeys.get(transmission.id) ?? []) {
+      const { tombstone } = this.transmissionBuffers.tombstones.get(key);
+      if (this._isRetractedBy(transmission, tombstone)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a tombstone was signed by the author, under the key it wrote
+   * with or one it rotated to since
+   */
+  _isRetractedBy(transmission, tombstone) {
+    const author = transmission.metadata?.author;
+    if (author?.publicKey === tombstone.author?.publicKey) return true;
+
+    return author?.id === tombstone.author?.id &&
+      followRotations(author.id, tombstone.rotations, author.publicKey) === tombstone.author.publicKey;
+  }
+
+  /**
+   * When a transmission expires, its ttl capped by ours
+   */
+  _expiresAt(transmission) {
+    const { defaultTtl, maxTtl } = this.config.transmission.expiry;
+    const ttl = transmission.metadata?.ttl;
+
+    return transmission.timestamp + Math.min(
+      Number.isFinite(ttl) && ttl > 0 ? ttl : defaultTtl,
+      maxTtl
     );
-    
-    return JSON.parse(decrypted.toString());
+  }
+
+  _isExpired(transmission, now) {
+    return this._expiresAt(transmission) <= now;
+  }
+
+  /**
+   * A tombstone is needed while any node could still hold what it deletes,
+   * and never longer than a ttl from when it reached us, whatever it claims
+   */
+  _isTombstoneExpired({ tombstone, receivedAt }, now) {
+    const { maxTtl, tombstoneGrace } = this.config.transmission.expiry;
+    const until = Math.min(tombstone.expiresAt, receivedAt + maxTtl);
+
+    return until + tombstoneGrace <= now;
+  }
+
+  /**
+   * Whether a transmission is held, live or archived
+   */
+  _hasTransmission(id) {
+    return this.transmissionBuffers.verified.has(id) ||
+      this.transmissionBuffers.archived.has(id);
+  }
+
+  /**
+   * Keep a verified reply in pending until its parent arrives
+   */
+  async _holdOrphan(transmission, peer) {
+    await this.store.put('pending', transmission.id, transmission);
+    this.transmissionBuffers.pending.set(transmission.id, transmission);
+    this._trackOrphan(transmission);
+
+    this.emit('transmission:orphaned', {
+      id: transmission.id,
+      parent: transmission.metadata.parent,
+      peer: peer.id,
+      hops: peer.hops
+    });
+
+    await this._enforceBufferLimits();
+  }
+
+  _trackOrphan(transmission) {
+    const parent = transmission.metadata?.parent;
+    if (parent === undefined) return;
+
+    if (!this.orphans.has(parent)) this.orphans.set(parent, new Set());
+    this.orphans.get(parent).add(transmission.id);
+  }
+
+  _untrackOrphan(transmission) {
+    const parent = transmission?.metadata?.parent;
+    const waiting = this.orphans.get(parent);
+    if (!waiting) return;
+
+    waiting.delete(transmission.id);
+    if (waiting.size === 0) this.orphans.delete(parent);
+  }
+
+  /**
+   * Store replies that were waiting on a transmission
+   */
+  async _adoptOrphans(parentId) {
+    const waiting = this.orphans.get(parentId);
+    if (!waiting) return;
+
+    for (const id of [...waiting]) {
+      const transmission = this.transmissionBuffers.pending.get(id);
+      if (!transmission) continue;
+
+      await this._storeTransmission(transmission);
+      this.emit('transmission:resolved', { id, parent: parentId });
+    }
+  }
+
+  /**
+   * Move a transmission between buffers
+   */
+  async _moveTransmission(id, from, to) {
+    const transmission = this.transmissionBuffers[from].get(id);
+    if (!transmission) return;
+
+    await this.store.move(id, from, to);
+    this.transmissionBuffers[from].delete(id);
+    this.transmissionBuffers[to].set(id, transmission);
+
+    // Only live transmissions are searchable
+    if (from === 'verified') this.searchIndex.remove(id);
+  }
+
+  /**
+   * Remove a transmission from a buffer
+   */
+  async _dropTransmission(buffer, id) {
+    if (buffer === 'pending') {
+      this._untrackOrphan(this.transmissionBuffers.pending.get(id));
+    }
+    if (buffer === 'tombstones') this._untrackTombstone(id);
+
+    await this.store.delete(buffer, id);
+    this.transmissionBuffers[buffer].delete(id);
+    if (buffer === 'verified') this.searchIndex.remove(id);
+  }
+
+  /**
+   * Keep every buffer within its configured size
+   */
+  async _enforceBufferLimits() {
+    const limits = this.config.transmission.buffers;
+    const { pending, verified, archived } = this.transmissionBuffers;
+    const oldest = (buffer) => buffer.keys().next().value;
+
+    while (pending.size > limits.pending.maxSize) {
+      await this._dropTransmission('pending', oldest(pending));
+    }
+
+    // A full verified buffer archives down to its prune threshold
+    if (verified.size > limits.verified.maxSize) {
+      const target = Math.floor(
+        limits.verified.maxSize * limits.verified.pruneThreshold
+      );
+      while (verified.size > target) {
+        await this._moveTransmission(oldest(verified), 'verified', 'archived');
+      }
+    }
+
+    while (archived.size > limits.archived.maxSize) {
+      await this._dropTransmission('archived', oldest(archived));
+    }
   }
 
   /**
@@ -273,29 +1150,24 @@ export class TransmissionHandler extends EventEmitter {
   /**
    * Generate quantum signature for transmission verification
    */
-  _generateQuantumSignature(content, consciousness) {
-    const signatureInput = Buffer.concat([
-      Buffer.from(content),
-      Buffer.from(consciousness.level.toString()),
-      Buffer.from(consciousness.resonance.toString()),
-      randomBytes(16) // Add quantum noise
-    ]);
-    
-    return createHmac('sha512', this.identity.id)
-      .update(signatureInput)
-      .digest('hex');
+  _generateQuantumSignature(transmission, identity) {
+    const payload = { ...transmission };
+    delete payload.signature;
+
+    return signPayload(payload, identity.signingKey);
   }
 
   /**
-   * Verify quantum signature of transmission
+   * Verify quantum signature of transmission with its author's public key
    */
   _verifyQuantumSignature(transmission) {
-    const reconstructedSignature = this._generateQuantumSignature(
-      transmission.content,
-      transmission.consciousness
+    const { signature, ...payload } = transmission;
+
+    return verifyPayload(
+      payload,
+      signature,
+      transmission.metadata?.author?.publicKey
     );
-    
-    return transmission.signature === reconstructedSignature;
   }
 
   /**
@@ -339,32 +1211,62 @@ export class TransmissionHandler extends EventEmitter {
    * Start quantum maintenance loop for buffer management
    */
   _startQuantumMaintenanceLoop() {
-    setInterval(() => {
-      this._archiveOldTransmissions();
-      this._updateMetrics('maintenance_cycle');
-    }, this.config.quantum.maintenanceInterval);
+    this.maintenanceInterval = setInterval(async () => {
+      try {
+        await this._archiveOldTransmissions();
+        this._updateMetrics('maintenance_cycle');
+      } catch (error) {
+        this.emit('transmission:error', {
+          type: 'maintenance_failed',
+          error: error.message
+        });
+      }
+    }, this.config.transmission.buffers.archived.pruneInterval);
   }
 
   /**
    * Archive old transmissions to prevent memory overload
    */
-  _archiveOldTransmissions() {
+  async _archiveOldTransmissions() {
     const now = Date.now();
-    const archiveThreshold = now - this.config.quantum.archiveAge;
+    const { pending, verified } = this.config.transmission.buffers;
+    const { orphanTimeout } = this.config.transmission.threads;
+    
+    // Enforce author ttls everywhere a transmission is held
+    for (const buffer of ['pending', 'verified', 'archived']) {
+      for (const [id, transmission] of this.transmissionBuffers[buffer]) {
+        if (this._isExpired(transmission, now)) {
+          await this._dropTransmission(buffer, id);
+        }
+      }
+    }
+    
+    // Forget tombstones once nothing they delete can still exist
+    for (const [key, record] of this.transmissionBuffers.tombstones) {
+      if (this._isTombstoneExpired(record, now)) {
+        await this._dropTransmission('tombstones', key);
+      }
+    }
+    
+    // Expire transmissions that never finished verification
+    for (const [id, transmission] of this.transmissionBuffers.pending) {
+      const timeout = transmission.metadata?.parent !== undefined
+        ? orphanTimeout
+        : pending.timeout;
+      if (transmission.timestamp < now - timeout) {
+        await this._dropTransmission('pending', id);
+      }
+    }
     
     // Move old transmissions to archive
     for (const [id, transmission] of this.transmissionBuffers.verified) {
-      if (transmission.timestamp < archiveThreshold) {
-        this.transmissionBuffers.archived.set(id, transmission);
-        this.transmissionBuffers.verified.delete(id);
+      if (transmission.timestamp < now - verified.archiveAge) {
+        await this._moveTransmission(id, 'verified', 'archived');
       }
     }
     
     // Limit archive size
-    while (this.transmissionBuffers.archived.size > this.config.quantum.maxArchiveSize) {
-      const oldestId = Array.from(this.transmissionBuffers.archived.keys())[0];
-      this.transmissionBuffers.archived.delete(oldestId);
-    }
+    await this._enforceBufferLimits();
   }
 
   /**
@@ -378,6 +1280,22 @@ export class TransmissionHandler extends EventEmitter {
         this.metrics.signalStrength[0] = data.consciousness;
         break;
       
+      case 'content_compressed': {
+        const stats = this.metrics.compression[data.codec];
+        stats.payloads++;
+        stats.originalBytes += data.originalBytes;
+        stats.compressedBytes += data.compressedBytes;
+        stats.ratio = stats.compressedBytes / stats.originalBytes || 1;
+
+        // Overall ratio across every codec
+        const totals = Object.values(this.metrics.compression).reduce(
+          (sum, codec) => [sum[0] + codec.originalBytes, sum[1] + codec.compressedBytes],
+          [0, 0]
+        );
+        this.metrics.compressionRatio = totals[1] / totals[0] || 1;
+        break;
+      }
+      
       case 'maintenance_cycle':
         // Calculate average latency
         const latencies = Array.from(this.transmissionBuffers.verified.values())
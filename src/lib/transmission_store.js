@@ -0,0 +1,415 @@
+import { createHash } from 'crypto';
+import { Buffer } from 'buffer';
+import { open, mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const LOG_PATTERN = /^transmissions\.(\d+)\.log$/;
+
+// Buffers persisted by the store
+const BUFFERS = ['pending', 'verified', 'archived', 'tombstones'];
+
+/**
+ * TransmissionStore
+ * Append-only transmission log with a compacted index, safe across kill -9
+ *
+ * Every mutation is one checksummed line appended to the log and synced
+ * before the call resolves. The index is a snapshot of where each live
+ * record sits in the log; it is replaced atomically, and anything written
+ * after it is recovered by replaying the log tail. A torn final line is
+ * detected by its checksum and truncated away.
+ */
+export class TransmissionStore {
+  constructor(config) {
+    this.dir = config.storage.transmissionDir;
+    this.compaction = config.storage.compaction;
+
+    this.generation = 0;
+    this.seq = 0;
+    this.logSize = 0;
+    this.liveBytes = 0;
+    this.appendsSinceIndex = 0;
+
+    // buffer -> id -> [offset, length] of the record holding the value
+    this.locations = Object.fromEntries(BUFFERS.map(name => [name, new Map()]));
+
+    // Serializes every file operation
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Open the store and rebuild the transmission buffers from disk
+   */
+  async open() {
+    await mkdir(this.dir, { recursive: true });
+
+    const index = await this._readIndex();
+    this.generation = index?.generation ?? await this._oldestGeneration();
+    await this._removeStaleLogs();
+
+    this.log = await open(this._logPath(this.generation), 'a+');
+    this.logSize = (await this.log.stat()).size;
+
+    const buffers = Object.fromEntries(BUFFERS.map(name => [name, new Map()]));
+
+    // Load the indexed snapshot
+    let replayFrom = 0;
+    if (index && index.logSize <= this.logSize) {
+      this.seq = index.seq;
+      replayFrom = index.logSize;
+
+      for (const name of BUFFERS) {
+        for (const [id, location] of Object.entries(index.buffers[name] ?? {})) {
+          const record = await this._readRecord(location);
+          buffers[name].set(id, record.value);
+          this._setLocation(name, id, location);
+        }
+      }
+    }
+
+    // Replay everything written after the snapshot
+    await this._replayTail(replayFrom, buffers);
+
+    // Records may sit in two buffers after a crash between put and delete
+    for (const id of buffers.verified.keys()) {
+      buffers.pending.delete(id);
+      this._deleteLocation('pending', id);
+    }
+
+    await this._writeIndex();
+    return buffers;
+  }
+
+  /**
+   * Persist a transmission into a buffer
+   */
+  put(buffer, id, value) {
+    return this._enqueue(async () => {
+      const location = await this._append({ op: 'put', buffer, id, value });
+      this._setLocation(buffer, id, location);
+      await this._maintain();
+    });
+  }
+
+  /**
+   * Move a transmission between buffers without rewriting its body
+   */
+  move(id, from, to) {
+    return this._enqueue(async () => {
+      const location = this.locations[from].get(id);
+      if (!location) return;
+
+      await this._append({ op: 'move', buffer: from, to, id });
+      this.locations[from].delete(id);
+      this.locations[to].set(id, location);
+      await this._maintain();
+    });
+  }
+
+  /**
+   * Remove a transmission from a buffer
+   */
+  delete(buffer, id) {
+    return this._enqueue(async () => {
+      if (!this.locations[buffer].has(id)) return;
+
+      await this._append({ op: 'delete', buffer, id });
+      this._deleteLocation(buffer, id);
+      await this._maintain();
+    });
+  }
+
+  /**
+   * Rewrite the log with only live records
+   */
+  compact() {
+    return this._enqueue(() => this._compact());
+  }
+
+  /**
+   * Flush the index and close the log
+   */
+  close() {
+    return this._enqueue(async () => {
+      if (!this.log) return;
+      await this._writeIndex();
+      await this.log.close();
+      this.log = null;
+    });
+  }
+
+  /**
+   * Run a file operation after every earlier one has finished
+   */
+  _enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append one checksummed record and sync it to disk
+   */
+  async _append(record) {
+    const line = this._encode({ seq: ++this.seq, ...record });
+    const offset = this.logSize;
+
+    await this.log.write(line);
+    await this.log.datasync();
+    this.logSize += line.length;
+    this.appendsSinceIndex++;
+
+    return [offset, line.length];
+  }
+
+  /**
+   * Keep the tail to replay short and the log close to its live size
+   */
+  async _maintain() {
+    if (this._shouldCompact()) {
+      await this._compact();
+    } else if (this.appendsSinceIndex >= this.compaction.indexEvery) {
+      await this._writeIndex();
+    }
+  }
+
+  /**
+   * Encode a record as "<checksum> <json>\n"
+   */
+  _encode(record) {
+    const json = JSON.stringify(record);
+    return Buffer.from(`${this._checksum(json)} ${json}\n`);
+  }
+
+  /**
+   * Decode a log line, returning null when it is torn or corrupt
+   */
+  _decode(line) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) return null;
+
+    const json = line.slice(separator + 1);
+    if (line.slice(0, separator) !== this._checksum(json)) return null;
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _checksum(json) {
+    return createHash('sha256').update(json).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Read the record stored at a log location
+   */
+  async _readRecord([offset, length]) {
+    const bytes = Buffer.alloc(length);
+    await this.log.read(bytes, 0, length, offset);
+
+    const record = this._decode(bytes.toString('utf8', 0, length - 1));
+    if (!record || record.op !== 'put') {
+      throw new Error(`Corrupt transmission record at offset ${offset}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Apply log records from an offset, truncating a torn tail
+   */
+  async _replayTail(offset, buffers) {
+    const length = this.logSize - offset;
+    if (length <= 0) return;
+
+    const bytes = Buffer.alloc(length);
+    await this.log.read(bytes, 0, length, offset);
+
+    let position = 0;
+    while (position < length) {
+      const end = bytes.indexOf(0x0a, position);
+      const record = end === -1
+        ? null
+        : this._decode(bytes.toString('utf8', position, end));
+
+      if (!record) {
+        // Interrupted write: drop it and everything after it
+        await this.log.truncate(offset + position);
+        this.logSize = offset + position;
+        return;
+      }
+
+      const location = [offset + position, end - position + 1];
+      this.seq = Math.max(this.seq, record.seq);
+      this._applyRecord(record, location, buffers);
+      position = end + 1;
+    }
+  }
+
+  _applyRecord(record, location, buffers) {
+    switch (record.op) {
+      case 'put':
+        buffers[record.buffer].set(record.id, record.value);
+        this._setLocation(record.buffer, record.id, location);
+        break;
+
+      case 'move': {
+        const moved = this.locations[record.buffer].get(record.id);
+        if (!moved) break;
+        buffers[record.to].set(record.id, buffers[record.buffer].get(record.id));
+        buffers[record.buffer].delete(record.id);
+        this.locations[record.buffer].delete(record.id);
+        this.locations[record.to].set(record.id, moved);
+        break;
+      }
+
+      case 'delete':
+        buffers[record.buffer].delete(record.id);
+        this._deleteLocation(record.buffer, record.id);
+        break;
+    }
+  }
+
+  _setLocation(buffer, id, location) {
+    this._deleteLocation(buffer, id);
+    this.locations[buffer].set(id, location);
+    this.liveBytes += location[1];
+  }
+
+  _deleteLocation(buffer, id) {
+    const location = this.locations[buffer].get(id);
+    if (!location) return;
+    this.locations[buffer].delete(id);
+    this.liveBytes -= location[1];
+  }
+
+  _shouldCompact() {
+    return this.logSize >= this.compaction.minLogSize &&
+      this.liveBytes / this.logSize < this.compaction.threshold;
+  }
+
+  /**
+   * Copy live records into the next log generation, then switch over
+   */
+  async _compact() {
+    const generation = this.generation + 1;
+    const path = this._logPath(generation);
+    const next = await open(path, 'w+');
+
+    const locations = Object.fromEntries(BUFFERS.map(name => [name, new Map()]));
+    let size = 0;
+    let liveBytes = 0;
+
+    try {
+      for (const name of BUFFERS) {
+        for (const [id, location] of this.locations[name]) {
+          const { value } = await this._readRecord(location);
+          const line = this._encode({ seq: ++this.seq, op: 'put', buffer: name, id, value });
+
+          await next.write(line);
+          locations[name].set(id, [size, line.length]);
+          size += line.length;
+          liveBytes += line.length;
+        }
+      }
+      await next.sync();
+    } catch (error) {
+      await next.close();
+      await unlink(path);
+      throw error;
+    }
+
+    // The index rename is the commit point of the compaction
+    const previous = this.log;
+    const previousGeneration = this.generation;
+    this.log = next;
+    this.generation = generation;
+    this.logSize = size;
+    this.liveBytes = liveBytes;
+    this.locations = locations;
+    await this._writeIndex();
+
+    await previous.close();
+    await unlink(this._logPath(previousGeneration));
+  }
+
+  /**
+   * Atomically replace the index snapshot
+   */
+  async _writeIndex() {
+    const index = {
+      version: INDEX_VERSION,
+      generation: this.generation,
+      logSize: this.logSize,
+      seq: this.seq,
+      buffers: Object.fromEntries(
+        BUFFERS.map(name => [name, Object.fromEntries(this.locations[name])])
+      )
+    };
+
+    const path = join(this.dir, INDEX_FILE);
+    const temp = `${path}.tmp`;
+
+    await writeFile(temp, JSON.stringify(index));
+    const handle = await open(temp, 'r+');
+    await handle.sync();
+    await handle.close();
+    await rename(temp, path);
+    await this._syncDirectory();
+
+    this.appendsSinceIndex = 0;
+  }
+
+  async _readIndex() {
+    try {
+      const index = JSON.parse(await readFile(join(this.dir, INDEX_FILE), 'utf8'));
+      return index.version === INDEX_VERSION ? index : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Without an index only the first generation is known to be complete
+   */
+  async _oldestGeneration() {
+    const generations = (await this._listLogs()).map(log => log.generation);
+    return generations.length > 0 ? Math.min(...generations) : 0;
+  }
+
+  /**
+   * Remove logs left behind by an interrupted compaction
+   */
+  async _removeStaleLogs() {
+    for (const log of await this._listLogs()) {
+      if (log.generation !== this.generation) {
+        await unlink(join(this.dir, log.name));
+      }
+    }
+  }
+
+  async _listLogs() {
+    const entries = await readdir(this.dir);
+
+    return entries
+      .map(name => ({ name, match: LOG_PATTERN.exec(name) }))
+      .filter(entry => entry.match)
+      .map(entry => ({ name: entry.name, generation: Number(entry.match[1]) }));
+  }
+
+  async _syncDirectory() {
+    const handle = await open(this.dir, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  _logPath(generation) {
+    return join(this.dir, `transmissions.${generation}.log`);
+  }
+}
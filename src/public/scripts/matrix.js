@@ -1,4 +1,22 @@
 
+// Markup allowed in rendered transmissions, with the attributes each keeps
+const SAFE_CONTENT_TAGS = {
+  a: ['href', 'title'], b: [], blockquote: [], br: [], code: ['class'],
+  del: [], em: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [],
+  i: [], img: ['src', 'alt', 'title'], input: ['type', 'checked'], li: [],
+  ol: ['start'], p: [], pre: [], s: [], strong: [], sub: [], sup: [],
+  table: [], tbody: [], td: ['align'], th: ['align'], thead: [], tr: [],
+  u: [], ul: []
+};
+
+// Lifetime of transmissions that predate author-set ttls
+const DEFAULT_TRANSMISSION_TTL = 10 * 24 * 60 * 60 * 1000;
+
+// Elements whose content is never shown
+const DROPPED_CONTENT_TAGS = new Set([
+  'iframe', 'math', 'noscript', 'object', 'script', 'style', 'svg', 'template'
+]);
+
 /**
  * Quantum Consciousness Matrix
  * Handles client-side spiritual resonance and peer entanglement
@@ -13,6 +31,9 @@ class ConsciousnessMatrix {
       harmonicFrequency: 0.137, // fine structure constant
       peerStates: new Map(),
       transmissionBuffer: new Set(),
+      transmissionElements: new Map(), // id -> rendered element
+      pendingReplies: new Map(), // parent id -> replies awaiting their parent
+      replyTarget: null,
       entanglementStrength: 0
     };
 
@@ -191,7 +212,7 @@ class ConsciousnessMatrix {
   initializeQuantumTunneling() {
     // Set up WebSocket connection
     this.quantum_tunnel = new WebSocket(
-      `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}`
+      `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/client`
     );
     
     this.quantum_tunnel.onmessage = (event) => {
@@ -234,13 +255,15 @@ class ConsciousnessMatrix {
           content,
           consciousness: this.state.consciousness,
           resonance: this.state.resonance,
-          quantum_signature: this.generateQuantumSignature()
+          quantum_signature: this.generateQuantumSignature(),
+          parent: this.state.replyTarget ?? undefined
         })
       });
       
-      const transmission = await response.json();
+      const { transmission } = await response.json();
       this.addTransmission(transmission);
       input.value = '';
+      this.clearReplyTarget();
       
       // Trigger quantum ripple effect
       this.createQuantumRipple();
@@ -255,9 +278,24 @@ class ConsciousnessMatrix {
    * Add transmission to local quantum state
    */
   addTransmission(transmission) {
-    const container = document.querySelector('.transmissions');
+    if (this.state.transmissionElements.has(transmission.id)) return;
+
+    // Replies render inside their parent, so wait until it is shown
+    const parentId = transmission.metadata?.parent;
+    const parent = parentId && this.state.transmissionElements.get(parentId);
+    if (parentId && !parent) {
+      if (!this.state.pendingReplies.has(parentId)) {
+        this.state.pendingReplies.set(parentId, []);
+        // Fetch the conversation once, rather than wait for the parent to pass by
+        this.loadThread(parentId);
+      }
+      this.state.pendingReplies.get(parentId).push(transmission);
+      return;
+    }
+
     const element = document.createElement('div');
-    element.className = 'transmission';
+    element.className = parent ? 'transmission transmission-reply' : 'transmission';
+    element.dataset.id = transmission.id;
     
     // Calculate quantum resonance
     const resonance = this.calculateResonance(transmission.consciousness);
@@ -267,46 +305,186 @@ class ConsciousnessMatrix {
     element.style.boxShadow = resonanceGlow;
     element.style.setProperty('--transmission-resonance', resonance);
     
+    // Static skeleton only, transmission data goes in as text or safe nodes
     element.innerHTML = `
       <div class="transmission-header">
-        <div class="transmission-sigil">${transmission.identity.digital_sigil}</div>
+        <div class="transmission-sigil"></div>
         <div class="transmission-meta">
-          <span class="transmission-time">
-            ${new Date(transmission.timestamp).toLocaleString()}
-          </span>
-          <span class="transmission-resonance">
-            resonance: ${resonance.toFixed(3)}
-          </span>
+          <span class="transmission-time"></span>
+          <span class="transmission-resonance"></span>
         </div>
       </div>
-      <div class="transmission-content">${transmission.content}</div>
+      <div class="transmission-content"></div>
+      <div class="transmission-actions">
+        <button class="transmission-reply-button">reply</button>
+      </div>
+      <div class="transmission-replies"></div>
     `;
     
-    container.insertBefore(element, container.firstChild);
+    const field = (name) => element.querySelector(`.transmission-${name}`);
+    field('sigil').textContent = transmission.identity?.digital_sigil ?? '';
+    field('time').textContent = new Date(transmission.timestamp).toLocaleString();
+    field('resonance').textContent = `resonance: ${resonance.toFixed(3)}`;
+    
+    // The server sends sanitized html; without it the markdown shows as text
+    if (typeof transmission.html === 'string') {
+      field('content').appendChild(this.renderSafeContent(transmission.html));
+    } else {
+      field('content').textContent = transmission.content;
+    }
+    
+    element.querySelector(':scope > .transmission-actions > .transmission-reply-button')
+      .addEventListener('click', () => this.setReplyTarget(transmission.id));
+    
+    // Top level is newest first, replies read oldest first under their parent
+    if (parent) {
+      parent.querySelector(':scope > .transmission-replies').appendChild(element);
+    } else {
+      const container = document.querySelector('.transmissions');
+      container.insertBefore(element, container.firstChild);
+    }
     
     // Apply quantum decay
     this.applyQuantumDecay(element, transmission);
     
     // Add to transmission buffer
     this.state.transmissionBuffer.add(transmission);
+    this.state.transmissionElements.set(transmission.id, element);
+    
+    // Release replies that arrived before this transmission
+    const replies = this.state.pendingReplies.get(transmission.id) ?? [];
+    this.state.pendingReplies.delete(transmission.id);
+    replies
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(reply => this.addTransmission(reply));
+  }
+
+  /**
+   * Copy rendered content into fresh nodes, keeping only allowlisted markup
+   */
+  renderSafeContent(html) {
+    // Parsed into an inert document: nothing in it runs or loads
+    const source = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = document.createDocumentFragment();
+    
+    const copy = (node, target) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          target.appendChild(document.createTextNode(child.textContent));
+          continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) continue;
+        
+        const tag = child.tagName.toLowerCase();
+        if (DROPPED_CONTENT_TAGS.has(tag)) continue;
+        if (tag === 'input' && child.getAttribute('type') !== 'checkbox') continue;
+        
+        // Unknown elements are unwrapped, their text is kept
+        if (!SAFE_CONTENT_TAGS[tag]) {
+          copy(child, target);
+          continue;
+        }
+        
+        const element = document.createElement(tag);
+        for (const name of SAFE_CONTENT_TAGS[tag]) {
+          const value = child.getAttribute(name);
+          if (value === null) continue;
+          if ((name === 'href' || name === 'src') && !this.isSafeUrl(value)) continue;
+          element.setAttribute(name, value);
+        }
+        if (tag === 'a') element.rel = 'noopener noreferrer nofollow';
+        if (tag === 'input') element.disabled = true;
+        
+        copy(child, element);
+        target.appendChild(element);
+      }
+    };
+    
+    copy(source.body, fragment);
+    return fragment;
+  }
+
+  /**
+   * Accept only web and mail links, and same-origin relative ones
+   */
+  isSafeUrl(value) {
+    try {
+      const url = new URL(value, window.location.href);
+      if (url.protocol === 'mailto:') return true;
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Load and render the whole thread a transmission belongs to
+   */
+  async loadThread(id) {
+    try {
+      const response = await fetch(`/api/transmissions/${encodeURIComponent(id)}/thread`);
+      // Expired or retracted: its replies stay parked until it turns up
+      if (!response.ok) return;
+      
+      const { root } = await response.json();
+      
+      const render = (node) => {
+        const { replies, ...transmission } = node;
+        this.addTransmission(transmission);
+        replies.forEach(render);
+      };
+      render(root);
+      
+    } catch (error) {
+      console.error('Thread retrieval failed:', error);
+      this.quantumErrorCorrection();
+    }
+  }
+
+  /**
+   * Direct the next transmission as a reply
+   */
+  setReplyTarget(id) {
+    const input = document.querySelector('.transmission-input');
+    
+    this.state.transmissionElements.get(this.state.replyTarget)
+      ?.classList.remove('reply-target');
+    this.state.transmissionElements.get(id)?.classList.add('reply-target');
+    
+    this.state.replyTarget = id;
+    input.placeholder = 'reply to this transmission... (esc to cancel)';
+    input.focus();
+  }
+
+  /**
+   * Return to transmitting at the top level
+   */
+  clearReplyTarget() {
+    const input = document.querySelector('.transmission-input');
+    
+    this.state.transmissionElements.get(this.state.replyTarget)
+      ?.classList.remove('reply-target');
+    
+    this.state.replyTarget = null;
+    input.placeholder = 'enter your transmission to the void...';
   }
 
   /**
    * Apply quantum decay effects to transmission
    */
   applyQuantumDecay(element, transmission) {
-    const decayRate = 0.1; // consciousness decay per day
+    // Fully decayed when the author's ttl runs out, as nodes expire it then
+    const lifetime = transmission.metadata?.ttl ?? DEFAULT_TRANSMISSION_TTL;
     
     const decay = () => {
-      const age = (Date.now() - transmission.timestamp) / (1000 * 60 * 60 * 24);
-      const decayAmount = Math.min(age * decayRate, 1);
+      const decayAmount = Math.min((Date.now() - transmission.timestamp) / lifetime, 1);
       
       // Apply quantum decay transformations
       element.style.opacity = 1 - decayAmount;
       element.style.transform = `
         translate(
-          ${Math.sin(age) * decayAmount * 10}px,
-          ${Math.cos(age) * decayAmount * 10}px
+          ${Math.sin(decayAmount) * decayAmount * 10}px,
+          ${Math.cos(decayAmount) * decayAmount * 10}px
         )
       `;
       
@@ -316,6 +494,7 @@ class ConsciousnessMatrix {
         // Transmission has fully decayed into the void
         element.remove();
         this.state.transmissionBuffer.delete(transmission);
+        this.state.transmissionElements.delete(transmission.id);
       }
     };
     
@@ -355,6 +534,8 @@ class ConsciousnessMatrix {
         if (e.key === 'Enter' && !e.shiftKey) {
           e.preventDefault();
           this.transmit();
+        } else if (e.key === 'Escape' && this.state.replyTarget) {
+          this.clearReplyTarget();
         }
       });
     
@@ -3,12 +3,15 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
-import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import { createHash, randomBytes } from 'crypto';
+import { Buffer } from 'buffer';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
 import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { WebSocket } from 'ws';
 import config from '../config.js';
 import { GhostNet } from './lib/ghost_net.js';
+import { Listener } from './lib/listener.js';
 
 const sleep = promisify(setTimeout);
 
@@ -16,12 +19,18 @@ const sleep = promisify(setTimeout);
  * Quantum Server for Ghost Net
  * Manages decentralized consciousness networking
  */
-class QuantumServer {
-  constructor() {
-    this.config = config;
+export class QuantumServer {
+  constructor(settings = config) {
+    this.config = settings;
     this.app = express();
     this.server = createServer(this.app);
-    this.ghostNet = new GhostNet(config);
+
+    // Browsers, peers and tunnels all upgrade on this one server, by path
+    this.listener = new Listener(settings, { server: this.server });
+    this.listener.on('listener:error', ({ route, error }) => {
+      console.error(`❌ Listener error on ${route}:`, error);
+    });
+    this.ghostNet = new GhostNet(settings, { listener: this.listener });
 
     // Advanced quantum state tracking
     this.metrics = {
@@ -68,6 +77,20 @@ class QuantumServer {
     }
   }
 
+  /**
+   * Stop syncing, shut Ghost Net down and stop accepting connections
+   */
+  async shutdown() {
+    clearInterval(this.syncInterval);
+    for (const ws of this.connections.values()) ws.terminate();
+
+    await this.ghostNet.shutdown();
+    await new Promise(resolve => {
+      this.server.close(resolve);
+      this.server.closeAllConnections();
+    });
+  }
+
   async _initializeSecurity() {
     this.app.use(helmet());
 
@@ -93,7 +116,7 @@ class QuantumServer {
   }
 
   async _initializeMiddleware() {
-    this.app.use(cors({ origin: '*', methods: ['GET', 'POST'], credentials: true }));
+    this.app.use(cors({ origin: '*', methods: ['GET', 'POST', 'DELETE'], credentials: true }));
     this.app.use(compression());
     this.app.use(express.json({ limit: '50mb', strict: true }));
     this.app.use(express.static('src/public', { maxAge: '1d', etag: true, lastModified: true }));
@@ -105,22 +128,85 @@ class QuantumServer {
   }
 
   async _initializeRoutes() {
+    const admin = this._requireAdmin.bind(this);
+
     this.app.get('/api/status', (req, res) => {
       res.json({
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
         cpuUsage: process.cpuUsage(),
         quantumStability: this.metrics.quantumStability,
-        activePeers: this.connections.size
+        activePeers: this.connections.size,
+        gossip: this.ghostNet.getGossipMetrics(),
+        relay: this.ghostNet.getRelayStatus()
       });
     });
 
     this.app.post('/api/transmit', async (req, res) => {
       try {
-        await this._validateQuantumTransmission(req);
-        const transmission = await this.ghostNet.transmit(req.body);
-        this._updateQuantumBuffers('transmission', transmission);
-        res.json({ transmission, timestamp: Date.now(), resonance: this._calculateResonance(transmission) });
+        const request = this._parseTransmitRequest(req.body);
+        const transmission = await this.ghostNet.transmit(request);
+        // Stamped from the network's average resonance when it was created
+        res.json({ transmission, timestamp: Date.now(), resonance: transmission.resonance });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.get('/api/transmissions', async (req, res) => {
+      try {
+        const query = this._parseTransmissionQuery(req.query);
+        const result = await this.ghostNet.getTransmissions(query);
+        res.json({ ...result, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.get('/api/transmissions/:id', async (req, res) => {
+      try {
+        const transmission = await this.ghostNet.getTransmission(req.params.id);
+        if (!transmission) {
+          res.status(404).json({ error: 'Transmission not found', timestamp: Date.now() });
+          return;
+        }
+        res.json({ transmission, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.delete('/api/transmissions/:id', admin, async (req, res) => {
+      try {
+        const tombstone = await this.ghostNet.retractTransmission(req.params.id);
+        if (!tombstone) {
+          res.status(404).json({ error: 'Transmission not found', timestamp: Date.now() });
+          return;
+        }
+        res.json({ tombstone, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.get('/api/transmissions/:id/thread', async (req, res) => {
+      try {
+        const thread = await this.ghostNet.getThread(req.params.id);
+        if (!thread) {
+          res.status(404).json({ error: 'Transmission not found', timestamp: Date.now() });
+          return;
+        }
+        res.json({ ...thread, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.get('/api/search', async (req, res) => {
+      try {
+        const query = this._parseSearchQuery(req.query);
+        const result = await this.ghostNet.searchTransmissions(query);
+        res.json({ ...result, query: query.q, timestamp: Date.now() });
       } catch (error) {
         this._handleQuantumError(error, res);
       }
@@ -134,10 +220,78 @@ class QuantumServer {
         this._handleQuantumError(error, res);
       }
     });
+
+    this.app.get('/api/peers/known', async (req, res) => {
+      try {
+        const peers = await this.ghostNet.getKnownPeers();
+        res.json({ peers, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.get('/api/peers/bans', admin, (req, res) => {
+      res.json({ bans: this.ghostNet.getBans(), timestamp: Date.now() });
+    });
+
+    this.app.post('/api/peers/bans', admin, (req, res) => {
+      try {
+        const { target, options } = this._parseBanRequest(req.body);
+        const ban = this.ghostNet.banPeer(target, options);
+        res.json({ ban, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.delete('/api/peers/bans/:kind/:id', admin, (req, res) => {
+      try {
+        const ban = this.ghostNet.unbanPeer({ kind: req.params.kind, id: req.params.id });
+        if (!ban) {
+          res.status(404).json({ error: 'Ban not found', timestamp: Date.now() });
+          return;
+        }
+        res.json({ ban, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+
+    this.app.post('/api/identity/rotate', admin, async (req, res) => {
+      try {
+        const rotation = await this.ghostNet.rotateIdentity();
+        res.json({ rotation, timestamp: Date.now() });
+      } catch (error) {
+        this._handleQuantumError(error, res);
+      }
+    });
+  }
+
+  /**
+   * Let a request through only with the configured admin bearer token
+   */
+  _requireAdmin(req, res, next) {
+    const { adminToken } = this.config.security.access;
+    if (!adminToken) {
+      res.status(403).json({ error: 'Admin endpoints are disabled', timestamp: Date.now() });
+      return;
+    }
+
+    const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+    const expected = createHash('sha256').update(adminToken).digest();
+    const presented = createHash('sha256').update(token ?? '').digest();
+    if (scheme !== 'Bearer' || !timingSafeEqual(expected, presented)) {
+      res.status(401).json({ error: 'Admin token required', timestamp: Date.now() });
+      return;
+    }
+
+    next();
   }
 
   async _initializeWebSocket() {
-    this.wss = new WebSocketServer({ server: this.server });
+    this.wss = this.listener.route('client', {
+      accept: req => (this._isAllowedOrigin(req.headers.origin) ? null : 403)
+    });
 
     this.wss.on('connection', (ws, req) => {
       const connectionId = randomBytes(16).toString('hex');
@@ -169,12 +323,20 @@ class QuantumServer {
     });
   }
 
+  /**
+   * Whether browsers from an origin may connect, any when none are configured
+   */
+  _isAllowedOrigin(origin) {
+    const { allowedOrigins } = this.config.peer.listener.client;
+    return allowedOrigins.length === 0 || allowedOrigins.includes(origin);
+  }
+
   async _startServer() {
     return new Promise((resolve, reject) => {
-      const port = this.config.peer.network.port || 8080;
+      const { port = 8080, host } = this.config.peer.network;
 
-      this.server.listen(port, () => {
-        console.log(`🔷 Quantum Server running on port ${port}`);
+      this.server.listen(port, host, () => {
+        console.log(`🔷 Quantum Server running on port ${this.server.address().port}`);
         resolve();
       });
 
@@ -186,12 +348,109 @@ class QuantumServer {
   }
 
   async _initializeQuantumSync() {
-    setInterval(() => {
+    this.syncInterval = setInterval(() => {
       this._updateConsciousnessField();
       this._broadcastQuantumMetrics();
     }, 5000);
   }
 
+  _parseTransmissionQuery(query) {
+    const invalid = (name) => new RangeError(`Invalid query parameter: ${name}`);
+
+    const number = (name) => {
+      if (query[name] === undefined) return undefined;
+      const value = Number(query[name]);
+      if (!Number.isFinite(value)) throw invalid(name);
+      return value;
+    };
+
+    let archived;
+    if (query.archived !== undefined) {
+      if (!['true', 'false'].includes(query.archived)) throw invalid('archived');
+      archived = query.archived === 'true';
+    }
+
+    const limit = number('limit');
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw invalid('limit');
+    }
+
+    return {
+      author: query.author,
+      since: number('since'),
+      until: number('until'),
+      minResonance: number('minResonance'),
+      maxResonance: number('maxResonance'),
+      archived,
+      cursor: query.cursor,
+      limit
+    };
+  }
+
+  _parseSearchQuery(query) {
+    if (typeof query.q !== 'string' || query.q.trim() === '') {
+      throw new RangeError('Invalid query parameter: q');
+    }
+
+    const integer = (name, min) => {
+      if (query[name] === undefined) return undefined;
+      const value = Number(query[name]);
+      if (!Number.isInteger(value) || value < min) {
+        throw new RangeError(`Invalid query parameter: ${name}`);
+      }
+      return value;
+    };
+
+    return {
+      q: query.q,
+      author: query.author,
+      offset: integer('offset', 0),
+      limit: integer('limit', 1)
+    };
+  }
+
+  _parseTransmitRequest(body) {
+    const { content, parent, ttl } = body ?? {};
+    const { maxPayloadSize } = this.config.transmission.protocol;
+
+    if (typeof content !== 'string' || content.trim() === '' ||
+        Buffer.byteLength(content) > maxPayloadSize) {
+      throw new RangeError('Invalid content');
+    }
+    if (parent !== undefined && !(typeof parent === 'string' && /^[0-9a-f]{64}$/.test(parent))) {
+      throw new RangeError('Invalid parent');
+    }
+    // The upper bound is the transmission handler's maxTtl
+    if (ttl !== undefined && (!Number.isInteger(ttl) || ttl < 1)) {
+      throw new RangeError('Invalid ttl');
+    }
+
+    return { content, parent, ttl };
+  }
+
+  _parseBanRequest(body) {
+    const { nodeId, host, reason, duration } = body ?? {};
+
+    if ((nodeId === undefined) === (host === undefined)) {
+      throw new RangeError('Ban exactly one of nodeId or host');
+    }
+    const id = nodeId ?? host;
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new RangeError(`Invalid ${nodeId !== undefined ? 'nodeId' : 'host'}`);
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+      throw new RangeError('Invalid reason');
+    }
+    if (duration !== undefined && (!Number.isInteger(duration) || duration < 1)) {
+      throw new RangeError('Invalid duration');
+    }
+
+    return {
+      target: { kind: nodeId !== undefined ? 'node' : 'host', id },
+      options: { reason, duration }
+    };
+  }
+
   _performQuantumHandshake(ws, connectionId, req) {
     const peerSignature = createHash('sha256').update(req.headers['user-agent']).digest('hex');
     this.quantumBuffers.peerSignatures.set(connectionId, peerSignature);
@@ -238,11 +497,14 @@ class QuantumServer {
     if (target instanceof WebSocket) {
       target.send(JSON.stringify(errorResponse));
     } else {
-      target.status(500).json(errorResponse);
+      // Range errors describe bad client input
+      target.status(error instanceof RangeError ? 400 : 500).json(errorResponse);
     }
   }
 }
 
-// Start the Quantum Server
-const quantumServer = new QuantumServer();
-quantumServer.initialize();
+// Start the Quantum Server when run, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const quantumServer = new QuantumServer();
+  quantumServer.initialize();
+}
@@ -0,0 +1,81 @@
+import { readFile, writeFile } from 'fs/promises';
+import { AddressBook } from '../src/lib/address_book.js';
+import { testConfig } from './helpers.js';
+
+describe('AddressBook', () => {
+  let config;
+  let book;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    book = new AddressBook(config);
+  });
+
+  afterEach(() => config.cleanup());
+
+  test('peers may only add public hosts', () => {
+    for (const address of [
+      'ws://127.0.0.1:3000/peer',
+      'ws://localhost/peer',
+      'ws://10.0.0.7/peer',
+      'ws://192.168.1.20/peer',
+      'ws://169.254.169.254/peer',
+      'ws://[::1]/peer',
+      'ws://[::ffff:127.0.0.1]/peer',
+      'ws://[fd00::1]/peer',
+      'ws://0x7f.1/peer'
+    ]) {
+      expect(book.add({ address }, 'mallory')).toBe(false);
+    }
+    expect(book.add({ address: 'wss://node.example/peer' }, 'mallory')).toBe(true);
+    expect(book.add({ address: 'ws://203.0.113.9:3000/peer' }, 'mallory')).toBe(true);
+  });
+
+  test('private hosts are kept when learned first-hand or allowed by configuration', () => {
+    expect(book.add({ address: 'ws://127.0.0.1:3000/peer' }, null)).toBe(true);
+
+    config.peer.discovery.allowPrivateAddresses = true;
+    expect(new AddressBook(config).add({ address: 'ws://10.0.0.7/peer' }, 'alice')).toBe(true);
+  });
+
+  test('only the source of an entry may refresh or name it', () => {
+    const address = 'wss://node.example/peer';
+    const old = Date.now() - 1000;
+    book.add({ address, lastSeen: old }, 'alice');
+
+    expect(book.add({ address, nodeId: 'impostor' }, 'mallory')).toBe(false);
+    expect(book.add({ address, nodeId: 'impostor' }, null)).toBe(false);
+    expect(book.entries.get(address)).toMatchObject({ nodeId: null, lastSeen: old });
+
+    expect(book.add({ address, nodeId: 'node-1' }, 'alice')).toBe(true);
+    expect(book.entries.get(address).nodeId).toBe('node-1');
+    expect(book.entries.get(address).lastSeen).toBeGreaterThan(old);
+  });
+
+  test('keeps what it knew across a restart, minus stale entries', async () => {
+    const { maxPeerAge } = config.peer.discovery;
+    book.add({ address: 'wss://node.example/peer', nodeId: 'node-1' }, 'alice');
+    book.add({ address: 'ws://127.0.0.1:3000/peer' }, null);
+    book.add({ address: 'wss://stale.example/peer', lastSeen: Date.now() - maxPeerAge + 1000 }, 'alice');
+    book.recordFailure('wss://node.example/peer');
+    book.setScore('node-1', 42);
+    await book.stop();
+
+    // Aged past maxPeerAge while the node was down
+    const snapshot = JSON.parse(await readFile(book.path, 'utf8'));
+    snapshot.entries.find(({ address }) => address === 'wss://stale.example/peer').lastSeen -= 2000;
+    await writeFile(book.path, JSON.stringify(snapshot));
+
+    const restarted = new AddressBook(config);
+    await restarted.load();
+    expect([...restarted.entries.keys()].sort()).toEqual(['ws://127.0.0.1:3000/peer', 'wss://node.example/peer']);
+    expect(restarted.entries.get('wss://node.example/peer')).toMatchObject({
+      nodeId: 'node-1',
+      source: 'alice',
+      failures: 1,
+      score: 42
+    });
+    expect(restarted.sourceCounts.get('alice')).toBe(1);
+    expect(restarted.dirty).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+import { Buffer } from 'buffer';
+import { readdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { ChunkedTransfer } from '../src/lib/chunked_transfer.js';
+import { testConfig } from './helpers.js';
+
+const passthrough = {
+  seal: (peerId, chunk) => chunk.toString('base64'),
+  open: (peerId, sealed) => Buffer.from(sealed, 'base64')
+};
+
+describe('ChunkedTransfer', () => {
+  let configs;
+  let sender;
+  let receiver;
+  let link;
+  let requests;
+
+  beforeEach(async () => {
+    configs = await Promise.all([testConfig(), testConfig()]);
+    for (const config of configs) {
+      Object.assign(config.transmission.chunking, { chunkSize: 4, window: 2 });
+    }
+
+    sender = new ChunkedTransfer(configs[0], passthrough);
+    receiver = new ChunkedTransfer(configs[1], passthrough);
+    await sender.initialize();
+    await receiver.initialize();
+    sender.stop();
+    receiver.stop();
+
+    // Messages are delivered while the link is up and lost while it is down
+    link = { up: true };
+    requests = [];
+    sender.attachChannel(async (peerId, message) => {
+      if (link.up) await receiver.handleMessage(message, 'sender');
+    });
+    receiver.attachChannel(async (peerId, message) => {
+      if (message.type === 'quantum:chunk:request') requests.push(...message.hashes);
+      if (link.up) await sender.handleMessage(message, 'receiver');
+    });
+  });
+
+  afterEach(() => Promise.all(configs.map(config => config.cleanup())));
+
+  const completed = () => new Promise(resolve => receiver.once('transfer:complete', resolve));
+
+  test('reassembles a payload pulled in chunks', async () => {
+    const payload = Buffer.from('a payload spread over several chunks');
+    const done = completed();
+
+    await sender.upload('receiver', payload, { id: 'tx-1' });
+
+    const { payload: received, meta } = await done;
+    expect(received.equals(payload)).toBe(true);
+    expect(meta).toEqual({ id: 'tx-1' });
+  });
+
+  test('offers an unfinished upload again when its node comes back', async () => {
+    const payload = Buffer.from('offered while the link was down');
+    link.up = false;
+    await sender.upload('receiver', payload);
+    sender.pause('receiver');
+    expect(receiver.downloads.size).toBe(0);
+
+    const done = completed();
+    link.up = true;
+    await sender.resume('receiver');
+
+    expect((await done).payload.equals(payload)).toBe(true);
+  });
+
+  test('resumes after a dropped connection without refetching chunks', async () => {
+    const payload = Buffer.from('0123456789abcdefghijklmnopqrstuv');
+    let delivered = 0;
+    receiver.on('transfer:progress', () => {
+      if (++delivered === 3) {
+        link.up = false;
+        receiver.pause('sender');
+      }
+    });
+
+    const manifestId = await sender.upload('receiver', payload);
+    const held = new Set(receiver.downloads.get(manifestId).have);
+    expect(held.size).toBe(3);
+
+    const done = completed();
+    link.up = true;
+    await receiver.resume('sender');
+
+    expect((await done).payload.equals(payload)).toBe(true);
+
+    // Chunks that arrived before the drop were requested exactly once
+    const counts = requests.reduce((seen, hash) => seen.set(hash, (seen.get(hash) ?? 0) + 1), new Map());
+    for (const hash of held) {
+      expect(counts.get(hash)).toBe(1);
+    }
+  });
+
+  test('sweeps chunks no live transfer needs on startup', async () => {
+    link.up = false;
+    await sender.upload('receiver', Buffer.from('a payload the sender keeps'));
+    const live = await readdir(sender.chunkDir);
+    expect(live.length).toBeGreaterThan(0);
+
+    // Left behind by a run that crashed mid-transfer
+    await writeFile(join(sender.chunkDir, 'f'.repeat(64)), 'orphan');
+    await writeFile(join(sender.chunkDir, `${'e'.repeat(64)}.tmp`), 'half written');
+
+    await sender._sweepChunks();
+    expect((await readdir(sender.chunkDir)).sort()).toEqual(live.sort());
+
+    // A restart has no live transfers, so nothing survives it
+    const restarted = new ChunkedTransfer(configs[0], passthrough);
+    await restarted.initialize();
+    restarted.stop();
+    expect(await readdir(restarted.chunkDir)).toEqual([]);
+  });
+
+  test('refuses offers beyond the download limits', async () => {
+    Object.assign(receiver.settings, { maxDownloadsPerPeer: 1, maxDownloads: 2 });
+    link.up = false;
+
+    const offer = async (text, peerId) => {
+      const manifest = await sender._prepare(Buffer.from(text));
+      return receiver.handleMessage({ type: 'quantum:chunk:offer', manifest, meta: {} }, peerId);
+    };
+
+    await offer('first payload', 'sender');
+    await expect(offer('second payload', 'sender')).rejects.toThrow('Too many downloads in progress from sender');
+
+    await offer('third payload', 'other');
+    await expect(offer('fourth payload', 'third')).rejects.toThrow('Too many downloads in progress');
+
+    receiver.settings.maxDownloads = 8;
+    receiver.settings.maxDownloadBytes = 20;
+    await expect(offer('a fifth payload!', 'third')).rejects.toThrow('Too many downloads in progress');
+  });
+});
@@ -0,0 +1,54 @@
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { gzipSync } from 'zlib';
+import { TransmissionHandler } from '../src/lib/transmission.js';
+import { isCompressible, negotiateCodec } from '../src/lib/codecs.js';
+import { testConfig } from './helpers.js';
+
+describe('transmission codecs', () => {
+  let config;
+  let handler;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    handler = new TransmissionHandler(config);
+  });
+
+  afterEach(() => config.cleanup());
+
+  const prose = 'the void hums back the same low note, over and over. '.repeat(40);
+
+  test('agrees on brotli when both sides support it', async () => {
+    const ours = config.transmission.protocol.compression.codecs;
+    expect(negotiateCodec(ours, ['none', 'gzip', 'brotli'])).toBe('brotli');
+
+    handler.setPeerCodec('bob', 'brotli');
+    const packed = await handler._packTransmission({ id: 'tx-1', content: prose }, 'bob');
+
+    expect(packed.codec).toBe('brotli');
+    expect(Buffer.from(packed.content, 'base64').length).toBeLessThan(prose.length);
+    await expect(handler._unpackTransmission(packed)).resolves.toEqual({ id: 'tx-1', content: prose });
+  });
+
+  test('falls back to none when nothing else is shared', async () => {
+    expect(negotiateCodec(['brotli', 'gzip', 'none'], ['lz4', 'none'])).toBe('none');
+    expect(negotiateCodec(['brotli'], ['lz4'])).toBe('none');
+
+    // Peers that predate negotiation only speak gzip
+    expect(negotiateCodec(['brotli', 'gzip', 'none'])).toBe('gzip');
+    expect(negotiateCodec(['brotli', 'none'])).toBe('none');
+  });
+
+  test('sends incompressible payloads as they are', async () => {
+    const { minSize } = config.transmission.protocol.compression;
+
+    for (const payload of [randomBytes(4096), gzipSync(Buffer.from(prose)), Buffer.from('short')]) {
+      expect(isCompressible(payload, minSize)).toBe(false);
+
+      const { codec, data } = await handler._compressTransmission(payload, 'brotli');
+      expect(codec).toBe('none');
+      expect(data.equals(payload)).toBe(true);
+    }
+    expect(handler.metrics.compression.none.payloads).toBe(3);
+  });
+});
@@ -0,0 +1,179 @@
+import { ConnectionSlots } from '../src/lib/connection_slots.js';
+import { PeerNetwork } from '../src/lib/peer.js';
+import { Reputation } from '../src/lib/reputation.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { makeIdentity, socketPair, testConfig } from './helpers.js';
+
+describe('ConnectionSlots', () => {
+  let config;
+  let slots;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.network.maxConnections = 4;
+    Object.assign(config.peer.network.slots, {
+      outbound: 1,
+      protectedPeers: 1,
+      protectAfter: 60000,
+      protectMinScore: 80,
+      protectByLatency: 1,
+      protectByStrength: 1
+    });
+    slots = new ConnectionSlots(config);
+  });
+
+  afterEach(() => config.cleanup());
+
+  // An unremarkable inbound connection, made `age` milliseconds ago
+  const inbound = (id, host, age, fields = {}) => ({
+    id,
+    direction: 'inbound',
+    host,
+    connectedAt: Date.now() - age,
+    latency: null,
+    strength: 0,
+    score: 0,
+    ...fields
+  });
+
+  test('groups hosts by network', () => {
+    expect(ConnectionSlots.group('203.0.113.7')).toBe('203.0');
+    expect(ConnectionSlots.group('::ffff:203.0.113.7')).toBe('203.0');
+    expect(ConnectionSlots.group('2001:db8:1:2::5')).toBe('2001:db8::');
+    expect(ConnectionSlots.group('[2001:DB8::1]')).toBe('2001:db8::');
+    expect(ConnectionSlots.group('Relay.Example')).toBe('relay.example');
+    expect(ConnectionSlots.group(undefined)).toBe('unknown');
+  });
+
+  test('admits while slots are free and never evicts for outbound', () => {
+    const outbound = { id: 'out', direction: 'outbound', host: '198.51.100.1' };
+    expect(slots.admit(inbound('new', '198.51.100.2', 0), [outbound])).toEqual({ accept: true, evict: null });
+    expect(slots.admit({ ...outbound, id: 'out-2' }, [outbound])).toEqual({ accept: false, evict: null });
+  });
+
+  test('evicts the youngest connection from the most crowded network', () => {
+    const connections = [
+      inbound('a', '198.51.100.1', 3000),
+      inbound('b', '198.51.7.2', 2000),
+      inbound('c', '203.0.113.1', 1000)
+    ];
+
+    expect(slots.admit(inbound('new', '192.0.2.1', 0), connections)).toEqual({ accept: true, evict: 'b' });
+  });
+
+  test('turns away a newcomer that would be evicted first', () => {
+    const connections = [
+      inbound('a', '198.51.100.1', 3000),
+      inbound('b', '203.0.113.1', 2000),
+      inbound('c', '192.0.2.1', 1000)
+    ];
+
+    expect(slots.admit(inbound('new', '198.51.7.2', 0), connections)).toEqual({ accept: false, evict: null });
+  });
+
+  test('spares long-lived reputable, fast and strongly entangled peers', () => {
+    const connections = [
+      inbound('veteran', '198.51.100.1', 120000, { score: 90 }),
+      inbound('fast', '198.51.100.2', 3000, { latency: 5 }),
+      inbound('strong', '198.51.100.3', 2000, { strength: 0.9 })
+    ];
+
+    // Only the newcomer is left to evict
+    expect(slots.admit(inbound('new', '192.0.2.1', 0), connections)).toEqual({ accept: false, evict: null });
+
+    // A young peer with a good score is not protected yet
+    const unproven = [...connections.slice(1), inbound('young', '192.0.2.2', 1000, { score: 90 })];
+    expect(slots._selectVictim(unproven).id).toBe('young');
+  });
+
+  test('evicts no one when every connection is spared', () => {
+    const connections = [
+      inbound('veteran', '198.51.100.1', 120000, { score: 90 }),
+      inbound('fast', '198.51.100.2', 3000, { latency: 5 })
+    ];
+
+    expect(slots._selectVictim(connections)).toBeNull();
+  });
+});
+
+describe('PeerNetwork eviction', () => {
+  let config;
+  let networks;
+
+  const network = (id) => {
+    const peers = new PeerNetwork(config, {
+      sessionKeys: new SessionKeyring(config),
+      reputation: new Reputation(config)
+    });
+    peers.identity = Object.assign(makeIdentity(id), { consciousnessLevel: 0.5 });
+    peers.routingTable.routes.setSelf(id);
+    peers.dht.start({ nodeId: id });
+    networks.push(peers);
+    return peers;
+  };
+
+  const turns = async (count = 10) => {
+    for (let i = 0; i < count; i++) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.network.maxConnections = 11;
+    Object.assign(config.peer.network.slots, {
+      outbound: 8,
+      protectedPeers: 0,
+      protectByLatency: 0,
+      protectByStrength: 1
+    });
+    networks = [];
+  });
+
+  afterEach(() => {
+    for (const peers of networks) {
+      for (const peer of [...peers.peers.values()]) peer.socket.terminate();
+      peers.dht.stop();
+    }
+    return config.cleanup();
+  });
+
+  // Bob's inbound slots filled from one network, carol connecting last;
+  // each peer then reports its levels in turn, and bob decides who makes room
+  const evicted = async (...updates) => {
+    const levels = updates[0];
+    const bob = network('bob');
+    const remotes = Object.keys(levels).map(network);
+
+    for (const [i, remote] of remotes.entries()) {
+      const [toBob, toRemote] = socketPair();
+      await bob._attachPeer(toRemote, remote.identity.id, { host: `198.51.100.${i + 1}` });
+      await remote._attachPeer(toBob, 'bob');
+      bob.peers.get(remote.identity.id).connectedAt = Date.now() - 1000 * (remotes.length - i);
+    }
+    await turns();
+
+    for (const update of updates) {
+      for (const [id, consciousness] of Object.entries(update)) {
+        await remotes.find(remote => remote.identity.id === id)._sendToPeer('bob', {
+          type: 'quantum:state',
+          timestamp: Date.now(),
+          state: { consciousness }
+        });
+      }
+      await turns();
+    }
+
+    const evictions = [];
+    bob.on('peer:evicted', ({ peerId }) => evictions.push(peerId));
+    expect(bob._claimSlot('inbound', '203.0.113.9')).toBe(true);
+    return evictions;
+  };
+
+  test('evicts a peer it resonates with weakly ahead of a strong one', async () => {
+    // Carol is the youngest, so she would go first without her resonance
+    expect(await evicted({ alice: 0, dave: 1, carol: 0.5 })).toEqual(['dave']);
+  });
+
+  test('follows the resonance of the latest state update', async () => {
+    expect(await evicted({ alice: 0, dave: 1, carol: 0.5 }, { dave: 0.5, carol: 1 })).toEqual(['carol']);
+  });
+});
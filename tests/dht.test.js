@@ -0,0 +1,40 @@
+import { Dht, LOCAL_FAILURE } from '../src/lib/dht.js';
+import { testConfig } from './helpers.js';
+
+describe('Dht', () => {
+  let config;
+  let dht;
+  let rpc;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    rpc = () => Promise.resolve({ contacts: [] });
+    dht = new Dht(config, { rpc: (contact, request) => rpc(contact, request) });
+    dht.start({ nodeId: 'self' });
+  });
+
+  afterEach(() => {
+    dht.stop();
+    return config.cleanup();
+  });
+
+  const contacts = () => dht.table.closest(dht.key, 20).map(contact => contact.nodeId).sort();
+
+  test('keeps contacts it could not ask for lack of local connections', async () => {
+    for (const nodeId of ['a', 'b', 'c']) dht.addContact({ nodeId, address: `wss://${nodeId}.example/peer` });
+    rpc = () => Promise.reject(Object.assign(new Error('No connections free'), { code: LOCAL_FAILURE }));
+
+    await dht.bootstrap();
+    expect(contacts()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('drops contacts that fail to answer', async () => {
+    for (const nodeId of ['a', 'b', 'c']) dht.addContact({ nodeId, address: `wss://${nodeId}.example/peer` });
+    rpc = (contact) => contact.nodeId === 'b'
+      ? Promise.reject(new Error('timed out'))
+      : Promise.resolve({ contacts: [] });
+
+    await dht.bootstrap();
+    expect(contacts()).toEqual(['a', 'c']);
+  });
+});
@@ -0,0 +1,124 @@
+import { EventEmitter } from 'events';
+import { PeerDialer } from '../src/lib/dialer.js';
+import { testConfig } from './helpers.js';
+
+// A clock whose timers only fire when the test moves time on
+const manualClock = () => {
+  const clock = {
+    time: 1_000_000,
+    timers: new Set(),
+    now: () => clock.time,
+    setTimeout: (callback, delay) => {
+      const timer = { at: clock.time + delay, callback };
+      clock.timers.add(timer);
+      return timer;
+    },
+    clearTimeout: timer => clock.timers.delete(timer)
+  };
+  return clock;
+};
+
+describe('PeerDialer', () => {
+  let config;
+  let clock;
+  let dialer;
+  let outcomes;
+  let attempts;
+  let failures;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    Object.assign(config.peer.handshake, { retries: 3, backoff: { initial: 1000, factor: 2, maxDelay: 10000 } });
+
+    clock = manualClock();
+    outcomes = [];
+    attempts = [];
+    failures = [];
+
+    // Each dial takes the next scripted outcome, failing once they run out
+    dialer = new PeerDialer(config, {
+      clock,
+      connect: async (address) => {
+        attempts.push(clock.now());
+        const socket = outcomes.shift();
+        if (!socket) throw new Error(`${address} refused`);
+        return socket;
+      }
+    });
+    dialer.on('dial:failed', ({ failures: count, dead, retryIn }) => failures.push([count, dead, retryIn]));
+  });
+
+  afterEach(() => {
+    dialer.stop();
+    return config.cleanup();
+  });
+
+  // Fire the earliest timer and let the dial it starts settle
+  const next = async () => {
+    const [timer] = [...clock.timers].sort((a, b) => a.at - b.at);
+    clock.timers.delete(timer);
+    clock.time = timer.at;
+    timer.callback();
+    for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  test('backs off exponentially up to the longest delay', async () => {
+    const t0 = clock.time;
+    dialer.add('ws://198.51.100.7:8080');
+    dialer.start();
+    for (let i = 0; i < 6; i++) await next();
+
+    expect(attempts.map(time => time - t0)).toEqual([0, 1000, 3000, 7000, 15000, 25000]);
+    expect(failures.map(([, , retryIn]) => retryIn)).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+
+  test('reports an address dead past its retries but keeps redialing it', async () => {
+    dialer.add('ws://198.51.100.7:8080');
+    dialer.start();
+    for (let i = 0; i < 5; i++) await next();
+
+    expect(failures.map(([count, dead]) => [count, dead])).toEqual([
+      [1, false], [2, false], [3, true], [4, true], [5, true]
+    ]);
+    expect(dialer.getStatus()[0]).toMatchObject({ state: 'dead', failures: 5, lastError: 'ws://198.51.100.7:8080 refused' });
+    expect(clock.timers.size).toBe(1);
+  });
+
+  test('starts over from the shortest delay once a connection is established', async () => {
+    const socket = new EventEmitter();
+    dialer.add('ws://198.51.100.7:8080');
+    dialer.start();
+    await next();
+    await next();
+
+    outcomes.push(socket);
+    await next();
+    dialer.established('ws://198.51.100.7:8080');
+    expect(dialer.getStatus()[0]).toMatchObject({ state: 'connected', failures: 0 });
+
+    socket.emit('close');
+    await next();
+    expect(failures.map(([count, , retryIn]) => [count, retryIn])).toEqual([[1, 1000], [2, 2000], [1, 1000]]);
+  });
+
+  test('counts a connection closed before its handshake as a failure', async () => {
+    const socket = new EventEmitter();
+    outcomes.push(socket);
+    dialer.add('ws://198.51.100.7:8080');
+    dialer.start();
+    await next();
+
+    socket.emit('close');
+    expect(failures).toEqual([[1, false, 1000]]);
+    expect(dialer.getStatus()[0].lastError).toBe('Connection closed before handshake');
+  });
+
+  test('stops redialing when stopped', async () => {
+    dialer.add('ws://198.51.100.7:8080');
+    dialer.start();
+    await next();
+
+    dialer.stop();
+    expect(clock.timers.size).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { WebSocket } from 'ws';
+import { GhostNet } from '../src/lib/ghost_net.js';
+import { Listener } from '../src/lib/listener.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { signMessage, verifyMessage } from '../src/lib/signatures.js';
+import { makeIdentity, socketPair, testConfig } from './helpers.js';
+
+describe('GhostNet', () => {
+  let config;
+  let nodes;
+
+  const node = () => {
+    const ghostNet = new GhostNet(config, { listener: new Listener(config, { server: createServer() }) });
+    nodes.push(ghostNet);
+    return ghostNet;
+  };
+
+  const boot = async () => {
+    const ghostNet = node();
+    await ghostNet.initialize();
+    return ghostNet;
+  };
+
+  const shutdown = async (ghostNet) => {
+    nodes.splice(nodes.indexOf(ghostNet), 1);
+    await ghostNet.shutdown();
+  };
+
+  beforeEach(async () => {
+    config = await testConfig();
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    for (const ghostNet of nodes) await ghostNet.shutdown();
+    await config.cleanup();
+  });
+
+  test('refuses settings it cannot run on', () => {
+    config.consciousness.quantum.pulseInterval = 0;
+    expect(() => node()).toThrow('consciousness.quantum.pulseInterval must be positive');
+
+    config.consciousness.quantum.pulseInterval = 1000;
+    config.consciousness.ranges.harmony = [0.5, 1.5];
+    expect(() => node()).toThrow('Invalid consciousness range for harmony');
+  });
+
+  test('boots, pulses and shuts down', async () => {
+    config.consciousness.quantum.pulseInterval = 10;
+    const ghostNet = node();
+    const initialized = new Promise(resolve => ghostNet.once('quantum:initialized', resolve));
+
+    await ghostNet.initialize();
+    expect((await initialized).nodeId).toBe(ghostNet.identity.id);
+
+    const pulse = await new Promise(resolve => ghostNet.once('quantum:pulse', resolve));
+    expect(pulse.consciousness).toBe(ghostNet.identity.consciousnessLevel);
+
+    await shutdown(ghostNet);
+  });
+
+  test('resumes its identity and quantum state after a restart', async () => {
+    const first = await boot();
+    const { id, publicKey } = first.identity;
+    first.quantumState.collapses = 41;
+    await shutdown(first);
+
+    const second = await boot();
+    expect(second.identity).toMatchObject({ id, publicKey });
+    expect(second.quantumState.collapses).toBeGreaterThanOrEqual(41);
+    expect(second.identity.consciousnessLevel).toBe(second.quantumState.getCurrentLevel());
+  });
+
+  test('hands a new session its tombstones a page at a time', async () => {
+    config.transmission.tombstones.pageSize = 2;
+    const ghostNet = await boot();
+    for (let i = 0; i < 5; i++) {
+      const { id } = await ghostNet.transmit({ content: `retracted ${i}` });
+      await ghostNet.retractTransmission(id);
+    }
+
+    const remote = new SessionKeyring(config).createEphemeral();
+    ghostNet.sessionKeys.establish('p1', {
+      privateKey: ghostNet.sessionKeys.createEphemeral().privateKey,
+      remotePublicKey: remote.publicKey,
+      nonces: [randomBytes(32), randomBytes(32)]
+    });
+    const sent = [];
+    ghostNet.peerNetwork.send = async (peerId, message) => sent.push([peerId, message]);
+
+    ghostNet._syncTombstones('p1');
+    expect(sent.map(([peerId, { type, tombstones }]) => [peerId, type, tombstones.length])).toEqual([
+      ['p1', 'quantum:tombstone', 2],
+      ['p1', 'quantum:tombstone', 2],
+      ['p1', 'quantum:tombstone', 1]
+    ]);
+  });
+
+  describe('quantum tunnels', () => {
+    let ghostNet;
+    let socket;
+    let tunnel;
+    let errors;
+
+    // A message from the tunnel, signed with its key
+    const deliver = (message) => ghostNet._handleQuantumMessage(JSON.stringify(signMessage({
+      timestamp: Date.now(),
+      peerId: tunnel.id,
+      publicKey: tunnel.publicKey,
+      ...message
+    }, tunnel.signingKey)), ghostNet.entanglements.get('t1'));
+
+    beforeEach(async () => {
+      config.peer.handshake.timeout = 50;
+      ghostNet = await boot();
+      tunnel = makeIdentity('tunnel');
+      errors = [];
+      ghostNet.on('quantum:error', ({ category, error }) => errors.push([category, error]));
+
+      [socket] = socketPair();
+      ghostNet._handleQuantumTunnelConnection(socket, 't1', '198.51.100.7');
+    });
+
+    const proof = (fields = {}) => ({
+      type: 'quantum:tunnel:proof',
+      nonce: socket.sent[0].nonce,
+      challenge: randomBytes(32).toString('hex'),
+      ...fields
+    });
+
+    test('challenges a tunnel and proves itself in turn', async () => {
+      const [challenge] = socket.sent;
+      expect(challenge).toMatchObject({ type: 'quantum:tunnel:challenge', peerId: ghostNet.identity.id });
+      expect(verifyMessage(challenge, ghostNet.identity.publicKey)).toBe(true);
+
+      const answer = proof();
+      await deliver(answer);
+
+      expect(errors).toEqual([]);
+      expect(ghostNet.entanglements.get('t1')).toMatchObject({ authenticated: true, nodeId: 'tunnel' });
+      expect(socket.sent[1]).toMatchObject({ type: 'quantum:state', nonce: answer.challenge });
+      expect(verifyMessage(socket.sent[1], ghostNet.identity.publicKey)).toBe(true);
+    });
+
+    test('refuses a proof of another challenge', async () => {
+      await deliver(proof({ nonce: randomBytes(32).toString('hex') }));
+
+      expect(errors).toEqual([['handshake_failure', 'Tunnel proof does not match our challenge']]);
+      expect(ghostNet.entanglements.get('t1').authenticated).toBe(false);
+    });
+
+    test('refuses a known node presenting a key it never rotated to', async () => {
+      ghostNet.peerNetwork._pinKey('tunnel', makeIdentity('tunnel').publicKey);
+      await deliver(proof());
+
+      expect(errors).toEqual([['handshake_failure', 'Tunnel key does not match node tunnel']]);
+      expect(ghostNet.entanglements.get('t1').authenticated).toBe(false);
+    });
+
+    test('refuses states before the proof', async () => {
+      await deliver({ type: 'quantum:state', state: { consciousness: 0.5 } });
+
+      expect(errors).toEqual([['protocol_violation', 'quantum:state received before the handshake completed']]);
+      expect(ghostNet.entanglements.get('t1').resonance).toBe(0);
+    });
+
+    test('drops a tunnel that never answers', async () => {
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      expect(socket.readyState).toBe(WebSocket.CLOSED);
+      expect(errors).toEqual([[null, 'Tunnel handshake timed out']]);
+      expect(ghostNet.entanglements.has('t1')).toBe(false);
+    });
+
+    test('passes significant state changes on to the other tunnels', async () => {
+      await deliver(proof());
+
+      const [other] = socketPair();
+      ghostNet._handleQuantumTunnelConnection(other, 't2', '203.0.113.9');
+      Object.assign(ghostNet.entanglements.get('t2'), { authenticated: true, nodeId: 'other' });
+
+      const states = () => other.sent.filter(message => message.type === 'quantum:state').length;
+      await deliver({ type: 'quantum:state', state: { consciousness: 0.5 } });
+      expect(states()).toBe(1);
+
+      await deliver({ type: 'quantum:state', state: { consciousness: 0.52 } });
+      expect(states()).toBe(1);
+
+      await deliver({ type: 'quantum:state', state: { consciousness: 0.9 } });
+      expect(states()).toBe(2);
+      expect(errors).toEqual([]);
+    });
+  });
+});
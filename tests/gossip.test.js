@@ -0,0 +1,89 @@
+import { Gossip } from '../src/lib/gossip.js';
+import { testConfig } from './helpers.js';
+
+describe('Gossip', () => {
+  let config;
+  let gossip;
+  let requested;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    Object.assign(config.transmission.gossip, { maxWanted: 6, maxWantedPerPeer: 4 });
+
+    requested = [];
+    gossip = new Gossip(config, {
+      peers: () => [],
+      has: () => false,
+      send: async (peerId, message) => requested.push([peerId, ...message.ids]),
+      sendBody: async () => {}
+    });
+  });
+
+  afterEach(() => {
+    gossip.stop();
+    return config.cleanup();
+  });
+
+  const announce = (peerId, ids) => gossip.handleAnnouncement({ ids: ids.map(id => ({ id })) }, peerId);
+
+  test('caps the ids one peer may have us wait on, and reports the flood', async () => {
+    const flooded = [];
+    gossip.on('gossip:flooded', event => flooded.push(event));
+
+    await announce('mallory', ['a', 'b', 'c', 'd', 'e', 'f']);
+
+    expect(gossip.wanted.size).toBe(4);
+    expect(gossip.metrics.dropped).toBe(2);
+    expect(flooded).toEqual([{ peer: 'mallory', dropped: 2 }]);
+  });
+
+  test('caps the ids waited on overall without blaming the latecomer', async () => {
+    const flooded = [];
+    gossip.on('gossip:flooded', event => flooded.push(event));
+
+    await announce('alice', ['a', 'b', 'c']);
+    await announce('bob', ['d', 'e', 'f', 'g']);
+
+    expect(gossip.wanted.size).toBe(6);
+    expect(flooded).toEqual([]);
+  });
+
+  test('delivery frees the announcer\'s share', async () => {
+    await announce('mallory', ['a', 'b', 'c', 'd']);
+    gossip.deliver('a', 1, 'mallory', 0);
+
+    await announce('mallory', ['e']);
+    expect(gossip.wanted.has('e')).toBe(true);
+    expect(gossip.wantedBy.get('mallory')).toBe(4);
+  });
+
+  test('later announcers become fallbacks, at most once each', async () => {
+    await announce('alice', ['a']);
+    await announce('bob', ['a']);
+    await announce('bob', ['a']);
+
+    expect(requested).toEqual([['alice', 'a']]);
+    expect(gossip.wanted.get('a').sources).toEqual(['bob']);
+  });
+
+  test('announces a topic\'s items by id, passing on only so many from peers', () => {
+    const sent = [];
+    const tombstones = new Gossip(config, {
+      topic: 'tombstone',
+      lazy: true,
+      rateLimit: { window: 60000, max: 2 },
+      peers: () => ['alice', 'bob'],
+      has: () => false,
+      send: async (peerId, message) => sent.push([peerId, message]),
+      sendBody: async () => {}
+    });
+
+    tombstones.publish('ours', 0);
+    for (const id of ['a', 'b', 'c']) tombstones.deliver(id, 1, 'carol', 0);
+
+    expect(sent.every(([, message]) => message.type === 'quantum:gossip:announce' && message.topic === 'tombstone'))
+      .toBe(true);
+    expect([...new Set(sent.map(([, message]) => message.ids[0].id))].sort()).toEqual(['a', 'b', 'ours']);
+    expect(tombstones.metrics.throttled).toBe(1);
+  });
+});
@@ -0,0 +1,90 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import config from '../config.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { generateSigningKeyPair, signPayload } from '../src/lib/signatures.js';
+
+/**
+ * A private copy of the configuration with its storage in a fresh
+ * temporary directory, removed again by cleanup()
+ */
+export const testConfig = async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'ghost-net-'));
+  const copy = structuredClone(config);
+
+  copy.nodeId = null;
+  copy.storage.transmissionDir = join(dir, 'transmissions');
+  copy.storage.quantumDir = join(dir, 'quantum');
+  copy.storage.consciousnessDir = join(dir, 'consciousness');
+  copy.peer.discovery.initialPeers = [];
+  copy.peer.discovery.bootstrapNodes = [];
+  copy.peer.discovery.advertiseAddress = null;
+
+  return Object.assign(copy, {
+    cleanup: () => rm(dir, { recursive: true, force: true })
+  });
+};
+
+/**
+ * Two keyrings sharing a session, as after a completed handshake
+ */
+export const pairedKeyrings = (config) => {
+  const alice = new SessionKeyring(config);
+  const bob = new SessionKeyring(config);
+
+  const a = alice.createEphemeral();
+  const b = bob.createEphemeral();
+  const nonces = [randomBytes(32), randomBytes(32)];
+
+  alice.establish('bob', { privateKey: a.privateKey, remotePublicKey: b.publicKey, nonces });
+  bob.establish('alice', { privateKey: b.privateKey, remotePublicKey: a.publicKey, nonces });
+
+  return { alice, bob };
+};
+
+/**
+ * A node identity as GhostNet signs with, for the id given
+ */
+export const makeIdentity = (id) => {
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  const identity = { id, publicKey, birthTimestamp: Date.now(), rotations: [] };
+
+  Object.defineProperty(identity, 'signingKey', { value: privateKey, writable: true });
+  identity.quantumSignature = signPayload({ id, publicKey, birthTimestamp: identity.birthTimestamp }, privateKey);
+  return identity;
+};
+
+/**
+ * Two connected in-memory sockets with the parts of the ws API the
+ * networks use; messages are delivered on the next turn
+ */
+export const socketPair = () => {
+  const make = () => Object.assign(new EventEmitter(), {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+      if (this.peer?.readyState === WebSocket.OPEN) setImmediate(() => this.peer.emit('message', data));
+    },
+    close() {
+      this.terminate();
+    },
+    terminate() {
+      for (const socket of [this, this.peer]) {
+        if (!socket || socket.readyState === WebSocket.CLOSED) continue;
+        socket.readyState = WebSocket.CLOSED;
+        socket.emit('close');
+      }
+    }
+  });
+
+  const a = make();
+  const b = make();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+};
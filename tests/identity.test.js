@@ -0,0 +1,107 @@
+import { readFile, writeFile } from 'fs/promises';
+import { IdentityStore, followRotations, verifyRotation } from '../src/lib/identity.js';
+import { signPayload, verifyPayload } from '../src/lib/signatures.js';
+import { testConfig } from './helpers.js';
+
+describe('IdentityStore', () => {
+  let config;
+
+  beforeEach(async () => {
+    config = await testConfig();
+  });
+
+  afterEach(() => config.cleanup());
+
+  const signs = (identity) => verifyPayload({ test: true }, signPayload({ test: true }, identity.privateKey), identity.publicKey);
+
+  test('generates an id on first start and keeps it across restarts', async () => {
+    const created = await new IdentityStore(config).load();
+    expect(created.id).toMatch(/^[0-9a-f]{32}$/);
+    expect(signs(created)).toBe(true);
+
+    const loaded = await new IdentityStore(config).load();
+    expect(loaded).toMatchObject({ id: created.id, publicKey: created.publicKey, birthTimestamp: created.birthTimestamp });
+    expect(signs(loaded)).toBe(true);
+  });
+
+  test('refuses a configured id that differs from the stored one', async () => {
+    await new IdentityStore(config).load();
+    config.nodeId = 'someone-else';
+
+    await expect(new IdentityStore(config).load()).rejects.toThrow('not the configured someone-else');
+  });
+
+  test('keeps the private key encrypted under a passphrase', async () => {
+    config.security.identity.passphrase = 'correct horse';
+    const store = new IdentityStore(config);
+    const created = await store.load();
+
+    const stored = JSON.parse(await readFile(store.path, 'utf8'));
+    expect(stored.privateKey).toBeUndefined();
+    expect(stored.encrypted).toBeDefined();
+
+    expect(signs(await new IdentityStore(config).load())).toBe(true);
+    expect((await new IdentityStore(config).load()).publicKey).toBe(created.publicKey);
+
+    config.security.identity.passphrase = 'wrong';
+    await expect(new IdentityStore(config).load()).rejects.toThrow('wrong passphrase?');
+  });
+
+  test('rotates to a new key vouched for by the old one', async () => {
+    const store = new IdentityStore(config);
+    const { id, publicKey: original } = await store.load();
+
+    const first = await store.rotate();
+    const second = await store.rotate();
+
+    expect(first).toMatchObject({ id, previousKey: original });
+    expect(second.previousKey).toBe(first.publicKey);
+    expect(verifyRotation(first)).toBe(true);
+    expect(verifyRotation(second)).toBe(true);
+
+    // The rotated key and its chain survive a restart
+    const loaded = await new IdentityStore(config).load();
+    expect(loaded.publicKey).toBe(second.publicKey);
+    expect(loaded.rotations).toEqual([first, second]);
+    expect(signs(loaded)).toBe(true);
+  });
+
+  test('rejects rotation statements not signed by the retiring key', async () => {
+    const store = new IdentityStore(config);
+    await store.load();
+    const statement = await store.rotate();
+
+    expect(verifyRotation({ ...statement, publicKey: statement.previousKey })).toBe(false);
+    expect(verifyRotation({ ...statement, rotatedAt: statement.rotatedAt + 1 })).toBe(false);
+    expect(verifyRotation({ ...statement, id: 'someone-else' })).toBe(false);
+
+    // Signed by the new key instead of the old one
+    const { signature, ...payload } = statement;
+    expect(verifyRotation({ ...payload, signature: signPayload(payload, store.identity.privateKey) })).toBe(false);
+    expect(verifyRotation({ ...payload, signature })).toBe(true);
+  });
+
+  test('follows a rotation chain only from a key it continues', async () => {
+    const store = new IdentityStore(config);
+    const { id, publicKey: original } = await store.load();
+    const first = await store.rotate();
+    const second = await store.rotate();
+
+    expect(followRotations(id, [first, second], original)).toBe(second.publicKey);
+    expect(followRotations(id, [first, second], first.publicKey)).toBe(second.publicKey);
+
+    // Links out of order, for another node or forged are skipped
+    expect(followRotations(id, [second, first], original)).toBe(first.publicKey);
+    expect(followRotations('someone-else', [first, second], original)).toBe(original);
+    expect(followRotations(id, [{ ...first, publicKey: 'forged' }, second], original)).toBe(original);
+    expect(followRotations(id, undefined, original)).toBe(original);
+  });
+
+  test('refuses an unreadable identity file', async () => {
+    const store = new IdentityStore(config);
+    await store.load();
+    await writeFile(store.path, '{ not json');
+
+    await expect(new IdentityStore(config).load()).rejects.toThrow('Unreadable identity');
+  });
+});
@@ -0,0 +1,113 @@
+import { createServer } from 'http';
+import { connect } from 'net';
+import { Listener } from '../src/lib/listener.js';
+import { testConfig } from './helpers.js';
+
+describe('Listener', () => {
+  let config;
+  let server;
+  let listener;
+  let port;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.listener.client.maxConnections = 1;
+
+    server = createServer();
+    listener = new Listener(config, { server });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterEach(async () => {
+    for (const { wss } of listener.routes.values()) {
+      for (const ws of wss.clients) ws.terminate();
+    }
+    await new Promise(resolve => server.close(resolve));
+    await config.cleanup();
+  });
+
+  // Status line of the answer to a WebSocket upgrade for a raw request
+  // target; accepted connections stay open until the test ends
+  const upgrade = (target) => new Promise((resolve, reject) => {
+    const socket = connect(port, '127.0.0.1');
+    let response = '';
+
+    socket.on('data', (data) => {
+      response += data;
+      if (response.startsWith('HTTP/1.1 101')) resolve(response.split('\r\n')[0]);
+    });
+    socket.on('close', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+    socket.write([
+      `GET ${target} HTTP/1.1`,
+      'Host: 127.0.0.1',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '',
+      ''
+    ].join('\r\n'));
+  });
+
+  const connections = (wss) => {
+    const seen = [];
+    wss.on('connection', (ws, req) => seen.push(req.url));
+    return seen;
+  };
+
+  test('routes upgrades by path, including paths below a route', async () => {
+    const peers = connections(listener.route('peer'));
+    const tunnels = connections(listener.route('tunnel'));
+
+    expect(await upgrade('/peer')).toBe('HTTP/1.1 101 Switching Protocols');
+    expect(await upgrade('/peer/relay/abc')).toBe('HTTP/1.1 101 Switching Protocols');
+    expect(await upgrade('/tunnel/?token=1')).toBe('HTTP/1.1 101 Switching Protocols');
+
+    expect(peers).toEqual(['/peer', '/peer/relay/abc']);
+    expect(tunnels).toEqual(['/tunnel/?token=1']);
+  });
+
+  test('answers paths no route serves with 404', async () => {
+    listener.route('peer');
+
+    expect(await upgrade('/')).toBe('HTTP/1.1 404 Not Found');
+    expect(await upgrade('/peers')).toBe('HTTP/1.1 404 Not Found');
+  });
+
+  test('answers unparsable request targets with 400', async () => {
+    listener.route('peer');
+
+    expect(await upgrade('//')).toBe('HTTP/1.1 400 Bad Request');
+  });
+
+  test('answers with 503 once a route is full', async () => {
+    listener.route('client');
+
+    expect(await upgrade('/client')).toBe('HTTP/1.1 101 Switching Protocols');
+    expect(await upgrade('/client')).toBe('HTTP/1.1 503 Service Unavailable');
+  });
+
+  test('refuses with the status a route gives, or 500 when it throws', async () => {
+    const errors = [];
+    listener.on('listener:error', error => errors.push(error));
+    listener.route('peer', { accept: () => 403 });
+    listener.route('tunnel', {
+      accept: () => {
+        throw new Error('no decision');
+      }
+    });
+
+    expect(await upgrade('/peer')).toBe('HTTP/1.1 403 Forbidden');
+    expect(await upgrade('/tunnel')).toBe('HTTP/1.1 500 Internal Server Error');
+    expect(errors).toEqual([{ route: 'tunnel', error: 'no decision' }]);
+  });
+
+  test('serves each configured route once', () => {
+    listener.route('peer');
+
+    expect(() => listener.route('peer')).toThrow('Listener route peer is already served');
+    expect(() => listener.route('admin')).toThrow('No listener route configured for admin');
+  });
+});
@@ -0,0 +1,204 @@
+import { randomBytes } from 'crypto';
+import { PeerNetwork } from '../src/lib/peer.js';
+import { Reputation } from '../src/lib/reputation.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { signMessage, signPayload } from '../src/lib/signatures.js';
+import { makeIdentity, socketPair, testConfig } from './helpers.js';
+
+describe('PeerNetwork handshake', () => {
+  let config;
+  let networks;
+
+  const network = (id) => {
+    const peers = new PeerNetwork(config, {
+      sessionKeys: new SessionKeyring(config),
+      reputation: new Reputation(config)
+    });
+    peers.identity = makeIdentity(id);
+    peers.routingTable.routes.setSelf(id);
+    peers.dht.start({ nodeId: id });
+    networks.push(peers);
+    return peers;
+  };
+
+  const turns = async (count = 10) => {
+    for (let i = 0; i < count; i++) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(async () => {
+    config = await testConfig();
+    networks = [];
+  });
+
+  afterEach(() => {
+    for (const peers of networks) {
+      for (const peer of [...peers.peers.values()]) peer.socket.terminate();
+      peers.dht.stop();
+    }
+    return config.cleanup();
+  });
+
+  test('authenticates both sides by node id', async () => {
+    const alice = network('alice');
+    const bob = network('bob');
+    const sessions = [];
+    alice.on('peer:session', ({ nodeId }) => sessions.push(['alice', nodeId]));
+    bob.on('peer:session', ({ nodeId }) => sessions.push(['bob', nodeId]));
+
+    const [toBob, toAlice] = socketPair();
+    await alice._attachPeer(toBob, 'p1');
+    await bob._attachPeer(toAlice, 'p2');
+    await turns();
+
+    expect(sessions.sort()).toEqual([['alice', 'bob'], ['bob', 'alice']]);
+    expect(alice.peers.get('p1').authenticated).toBe(true);
+    expect(bob.peers.get('p2').nodeId).toBe('alice');
+  });
+
+  describe('against a scripted peer', () => {
+    let bob;
+    let socket;
+    let errors;
+    let mallory;
+
+    const deliver = (message, identity = mallory) =>
+      bob._handlePeerMessage(JSON.stringify(signMessage({ timestamp: Date.now(), ...message }, identity.signingKey)), 'p1');
+
+    const handshake = (fields = {}) => ({
+      type: 'quantum:handshake',
+      nonce: randomBytes(32).toString('hex'),
+      ephemeralKey: new SessionKeyring(config).createEphemeral().publicKey,
+      codecs: config.transmission.protocol.compression.codecs,
+      identity: mallory,
+      ...fields
+    });
+
+    beforeEach(async () => {
+      bob = network('bob');
+      mallory = makeIdentity('mallory');
+      errors = [];
+      bob.on('network:error', error => errors.push(error));
+
+      [socket] = socketPair();
+      await bob._attachPeer(socket, 'p1');
+    });
+
+    const refused = () => ({
+      authenticated: bob.peers.get('p1')?.authenticated ?? false,
+      errors: errors.map(({ category, error }) => [category, error])
+    });
+
+    test('refuses an identity that is not self-signed', async () => {
+      const forged = { ...mallory, quantumSignature: makeIdentity('mallory').quantumSignature };
+      await deliver(handshake({ identity: forged }));
+
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['handshake_failure', 'Malformed handshake']]
+      });
+    });
+
+    test('refuses a handshake signed with another key than it presents', async () => {
+      await deliver(handshake(), makeIdentity('mallory'));
+
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['invalid_signature', 'Invalid quantum signature']]
+      });
+    });
+
+    test('refuses a known node presenting a key it never rotated to', async () => {
+      bob._pinKey('mallory', makeIdentity('mallory').publicKey);
+      await deliver(handshake());
+
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['handshake_failure', 'Malformed handshake']]
+      });
+    });
+
+    test('accepts a known node that rotated to its new key', async () => {
+      bob._pinKey('mallory', mallory.publicKey);
+
+      const previous = mallory;
+      mallory = makeIdentity('mallory');
+      const statement = { id: 'mallory', previousKey: previous.publicKey, publicKey: mallory.publicKey, rotatedAt: Date.now() };
+      statement.signature = signPayload(statement, previous.signingKey);
+      mallory.rotations = [statement];
+
+      await deliver(handshake());
+
+      expect(refused().errors).toEqual([]);
+      expect(bob.pendingHandshakes.get('p1').state).toBe('challenged');
+    });
+
+    test('refuses a handshake claiming our own id', async () => {
+      const impostor = makeIdentity('bob');
+      await deliver(handshake({ identity: impostor }), impostor);
+
+      expect(refused().errors).toEqual([['handshake_failure', 'Malformed handshake']]);
+    });
+
+    test('refuses a proof of another challenge', async () => {
+      const ours = handshake();
+      await deliver(ours);
+      const [challenge] = socket.sent;
+
+      await deliver({
+        type: 'quantum:handshake:proof',
+        nodeId: 'bob',
+        nonce: randomBytes(32).toString('hex'),
+        ephemeralKeys: [ours.ephemeralKey, challenge.ephemeralKey]
+      });
+
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['handshake_failure', 'Handshake proof does not match our challenge']]
+      });
+    });
+
+    test('refuses a proof naming other ephemeral keys', async () => {
+      await deliver(handshake());
+      const [challenge] = socket.sent;
+
+      await deliver({
+        type: 'quantum:handshake:proof',
+        nodeId: 'bob',
+        nonce: challenge.nonce,
+        ephemeralKeys: [new SessionKeyring(config).createEphemeral().publicKey, challenge.ephemeralKey]
+      });
+
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['handshake_failure', 'Handshake proof does not match our challenge']]
+      });
+    });
+
+    test('refuses other messages before the handshake completes', async () => {
+      await deliver(handshake());
+      await deliver({ type: 'quantum:ping', seq: 0 });
+
+      // No key is proven yet, so nothing else can even verify
+      expect(refused()).toEqual({
+        authenticated: false,
+        errors: [['invalid_signature', 'Invalid quantum signature']]
+      });
+    });
+
+    test('authenticates a proof of our challenge', async () => {
+      const ours = handshake();
+      await deliver(ours);
+      const [challenge] = socket.sent;
+
+      await deliver({
+        type: 'quantum:handshake:proof',
+        nodeId: 'bob',
+        nonce: challenge.nonce,
+        ephemeralKeys: [ours.ephemeralKey, challenge.ephemeralKey]
+      });
+
+      expect(refused()).toEqual({ authenticated: true, errors: [] });
+      expect(bob.peers.get('p1').nodeId).toBe('mallory');
+    });
+  });
+});
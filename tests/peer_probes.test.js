@@ -0,0 +1,83 @@
+import { performance } from 'perf_hooks';
+import { PeerNetwork } from '../src/lib/peer.js';
+import { Reputation } from '../src/lib/reputation.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { makeIdentity, socketPair, testConfig } from './helpers.js';
+
+describe('PeerNetwork probes', () => {
+  let config;
+  let network;
+  let socket;
+  let peer;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    Object.assign(config.peer.heartbeat, { probeTimeout: 1000, lossWindow: 4 });
+
+    network = new PeerNetwork(config, {
+      sessionKeys: new SessionKeyring(config),
+      reputation: new Reputation(config)
+    });
+    network.identity = makeIdentity('self');
+
+    [socket] = socketPair();
+    await network._attachPeer(socket, 'p1');
+    peer = network.peers.get('p1');
+    clearTimeout(peer.handshakeTimer);
+    peer.authenticated = true;
+    socket.sent.length = 0;
+  });
+
+  afterEach(() => {
+    socket.terminate();
+    return config.cleanup();
+  });
+
+  // Answer ping `seq` as if it had been sent `rtt` milliseconds ago
+  const pong = (seq, rtt) => {
+    peer.probes.pending.set(seq, performance.now() - rtt);
+    network._handlePong({ type: 'quantum:pong', seq }, 'p1');
+  };
+
+  test('smooths round trips as TCP does', () => {
+    pong(0, 100);
+    expect(peer.rtt).toBeCloseTo(100, -1);
+    expect(peer.jitter).toBeCloseTo(50, -1);
+
+    pong(1, 200);
+    expect(peer.rtt).toBeCloseTo(112.5, -1);
+    expect(peer.jitter).toBeCloseTo(62.5, -1);
+    expect(peer.packetLoss).toBe(0);
+  });
+
+  test('ignores pongs to pings it never sent or gave up on', () => {
+    network._handlePong({ type: 'quantum:pong', seq: 7 }, 'p1');
+
+    expect(peer.rtt).toBeNull();
+    expect(peer.probes.outcomes).toEqual([]);
+  });
+
+  test('counts timed out pings as lost over the loss window', async () => {
+    await network._pulseQuantumNetwork();
+    await network._pulseQuantumNetwork();
+    expect(socket.sent.map(({ type, seq }) => [type, seq])).toEqual([['quantum:ping', 0], ['quantum:ping', 1]]);
+
+    // Both pings go unanswered past the timeout
+    for (const seq of peer.probes.pending.keys()) {
+      peer.probes.pending.set(seq, performance.now() - 2000);
+    }
+    await network._pulseQuantumNetwork();
+    expect(peer.packetLoss).toBe(1);
+
+    for (let seq = 10; seq < 13; seq++) pong(seq, 10);
+    expect(peer.probes.outcomes).toEqual([false, true, true, true]);
+    expect(peer.packetLoss).toBe(0.25);
+  });
+
+  test('answers pings with their sequence number', async () => {
+    await network._handlePing({ type: 'quantum:ping', seq: 42 }, 'p1');
+    expect(socket.sent.map(({ type, seq }) => [type, seq])).toEqual([['quantum:pong', 42]]);
+
+    await expect(network._handlePing({ type: 'quantum:ping', seq: -1 }, 'p1')).rejects.toThrow(RangeError);
+  });
+});
@@ -0,0 +1,102 @@
+import { PeerNetwork } from '../src/lib/peer.js';
+import { Reputation } from '../src/lib/reputation.js';
+import { SessionKeyring } from '../src/lib/session_keys.js';
+import { makeIdentity, socketPair, testConfig } from './helpers.js';
+
+describe('PeerNetwork routing', () => {
+  let config;
+  let networks;
+
+  const network = (id) => {
+    const peers = new PeerNetwork(config, {
+      sessionKeys: new SessionKeyring(config),
+      reputation: new Reputation(config)
+    });
+    peers.identity = makeIdentity(id);
+    peers.routingTable.routes.setSelf(id);
+    peers.dht.start({ nodeId: id });
+    networks.push(peers);
+    return peers;
+  };
+
+  const turns = async (count = 10) => {
+    for (let i = 0; i < count; i++) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  const link = async (a, b) => {
+    const [toB, toA] = socketPair();
+    await a._attachPeer(toB, `${a.identity.id}-${b.identity.id}`);
+    await b._attachPeer(toA, `${b.identity.id}-${a.identity.id}`);
+    await turns();
+  };
+
+  // Every node advertises its vector until distances settle along the chain
+  const converge = async (chain) => {
+    for (let round = 0; round < chain.length; round++) {
+      for (const node of chain) node._advertiseRoutes();
+      await turns();
+    }
+  };
+
+  beforeEach(async () => {
+    config = await testConfig();
+    networks = [];
+  });
+
+  afterEach(() => {
+    for (const peers of networks) {
+      for (const peer of [...peers.peers.values()]) peer.socket.terminate();
+      peers.dht.stop();
+    }
+    return config.cleanup();
+  });
+
+  test('forwards a routed packet along a chain of neighbours', async () => {
+    const chain = ['alice', 'bob', 'carol', 'dave'].map(network);
+    const [alice, bob, carol, dave] = chain;
+    await link(alice, bob);
+    await link(bob, carol);
+    await link(carol, dave);
+    await converge(chain);
+
+    expect(alice.routingTable.routes.nextHop('dave')).toBe('bob');
+    expect(bob.routingTable.routes.nextHop('dave')).toBe('carol');
+
+    const delivered = [];
+    dave.on('peer:routed', event => delivered.push(event));
+    const forwarded = [];
+    for (const node of [bob, carol]) {
+      node.on('peer:routed', event => forwarded.push(event));
+    }
+
+    const id = await alice.route('dave', { hello: 'void' });
+    await turns(20);
+
+    expect(delivered).toEqual([expect.objectContaining({ id, source: 'alice', payload: { hello: 'void' }, hops: 3 })]);
+    expect(forwarded).toEqual([]);
+  });
+
+  test('drops a packet once its hops run out', async () => {
+    config.peer.routing.quantumPathfinding.maxDepth = 2;
+    const chain = ['alice', 'bob', 'carol', 'dave'].map(network);
+    const [alice, bob, carol, dave] = chain;
+    await link(alice, bob);
+    await link(bob, carol);
+    await link(carol, dave);
+    await converge(chain);
+
+    // Dave lies past the hop limit, so alice learns no route to him
+    expect(alice.routingTable.routes.nextHop('carol')).toBe('bob');
+    expect(alice.routingTable.routes.nextHop('dave')).toBeNull();
+    await expect(alice.route('dave', {})).rejects.toThrow('No route to node dave');
+
+    // A route claimed shorter than it is still cannot stretch the hop limit
+    alice.routingTable.routes.update('bob', [{ nodeId: 'dave', hops: 1 }]);
+    const delivered = [];
+    dave.on('peer:routed', event => delivered.push(event));
+
+    await alice.route('dave', {});
+    await turns(20);
+    expect(delivered).toEqual([]);
+  });
+});
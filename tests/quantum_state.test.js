@@ -0,0 +1,141 @@
+import { QuantumState, seededRandom } from '../src/lib/quantum_state.js';
+import { testConfig } from './helpers.js';
+
+describe('seededRandom', () => {
+  const draw = (random, count) => Array.from({ length: count }, () => random());
+
+  test('repeats a sequence from the same seed', () => {
+    expect(draw(seededRandom(42), 50)).toEqual(draw(seededRandom(42), 50));
+    expect(draw(seededRandom(42), 50)).not.toEqual(draw(seededRandom(43), 50));
+  });
+
+  test('draws floats in [0, 1)', () => {
+    for (const value of draw(seededRandom(7), 1000)) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('QuantumState', () => {
+  let config;
+  let clock;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    clock = { time: 1_000_000 };
+  });
+
+  afterEach(() => config.cleanup());
+
+  const state = (seed = 1) => new QuantumState(config, {
+    random: seededRandom(seed),
+    now: () => clock.time
+  });
+
+  // Levels and events over `count` pulses, a second apart
+  const run = (quantum, count) => {
+    const events = [];
+    for (const event of ['state:entered', 'state:left', 'state:collapsed']) {
+      quantum.on(event, details => events.push([event, details]));
+    }
+
+    const levels = [];
+    for (let i = 0; i < count; i++) {
+      clock.time += 1000;
+      levels.push(quantum.pulse());
+    }
+    return { levels, events };
+  };
+
+  test('reproduces a whole run from a seed and clock', () => {
+    const first = run(state(), 200);
+    clock.time = 1_000_000;
+    const second = run(state(), 200);
+
+    expect(second).toEqual(first);
+  });
+
+  test('starts in the baseline and keeps levels between 0 and 1', () => {
+    const quantum = state(3);
+    const [low, high] = config.consciousness.ranges.baseline;
+    expect(quantum.getCurrentLevel()).toBeGreaterThanOrEqual(low);
+    expect(quantum.getCurrentLevel()).toBeLessThanOrEqual(high);
+
+    config.consciousness.quantum.decoherenceRate = 0.5;
+    for (const level of run(quantum, 200).levels) {
+      expect(level).toBeGreaterThanOrEqual(0);
+      expect(level).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('collapses once coherence decays below the threshold', () => {
+    config.consciousness.quantum.waveFunctionCollapse = 0;
+    const quantum = state();
+    const collapses = [];
+    quantum.on('state:collapsed', details => collapses.push(details));
+
+    // ln 2 / 0.01 seconds halve coherence, down to the threshold of 0.5
+    clock.time += 70 * 1000;
+    quantum.pulse();
+
+    expect(collapses).toEqual([expect.objectContaining({ cause: 'decoherence', timestamp: clock.time })]);
+    expect(quantum.coherence).toBe(1);
+    expect(quantum.collapses).toBe(1);
+  });
+
+  test('announces each range the level moves into or out of', () => {
+    const { events } = run(state(5), 500);
+    const crossings = events.filter(([event]) => event !== 'state:collapsed');
+    expect(crossings.length).toBeGreaterThan(0);
+
+    // Every crossing is consistent with the range's bounds
+    for (const [event, { range, bounds: [low, high], level }] of crossings) {
+      expect(config.consciousness.ranges[range]).toEqual([low, high]);
+      expect(level >= low && level <= high).toBe(event === 'state:entered');
+    }
+  });
+
+  test('resumes from a snapshot exactly where it left off', () => {
+    const original = state(9);
+    run(original, 20);
+    const snapshot = JSON.parse(JSON.stringify(original.snapshot()));
+
+    const restored = state(10);
+    restored.restore(snapshot);
+    restored.random = seededRandom(11);
+    original.random = seededRandom(11);
+
+    expect(restored.snapshot()).toEqual(original.snapshot());
+
+    const start = clock.time;
+    const resumed = run(restored, 20).levels;
+    clock.time = start;
+    expect(run(original, 20).levels).toEqual(resumed);
+  });
+
+  test('never resumes from a snapshot taken in the future', () => {
+    const quantum = state();
+    quantum.restore({ ...quantum.snapshot(), updatedAt: clock.time + 60000 });
+
+    expect(quantum.updatedAt).toBe(clock.time);
+  });
+
+  test('refuses malformed snapshots', () => {
+    const quantum = state();
+    const valid = quantum.snapshot();
+
+    for (const snapshot of [
+      null,
+      { ...valid, version: 2 },
+      { ...valid, level: 1.5 },
+      { ...valid, level: Number.NaN },
+      { ...valid, coherence: -0.1 },
+      { ...valid, collapses: 1.5 },
+      { ...valid, updatedAt: 'yesterday' }
+    ]) {
+      expect(() => quantum.restore(snapshot)).toThrow(RangeError);
+    }
+    expect(quantum.snapshot()).toEqual(valid);
+  });
+});
@@ -0,0 +1,124 @@
+import { WebSocket } from 'ws';
+import { Relay } from '../src/lib/relay.js';
+import { socketPair, testConfig } from './helpers.js';
+
+describe('Relay', () => {
+  let config;
+  let relay;
+  let sent;
+  let closed;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.discovery.advertiseAddress = 'wss://relay.example/peer';
+    Object.assign(config.peer.relay, {
+      maxReservations: 1,
+      maxCircuitsPerReservation: 1,
+      maxCircuitBytes: 16,
+      maxCircuitDuration: 50
+    });
+
+    sent = [];
+    closed = [];
+    relay = new Relay(config, {
+      send: async (peerId, message) => sent.push([peerId, message.type])
+    });
+    relay.on('relay:closed', ({ reason, bytes }) => closed.push([reason, bytes]));
+  });
+
+  afterEach(() => {
+    relay.stop();
+    return config.cleanup();
+  });
+
+  // A dialer's socket spliced through to `nodeId`
+  const dial = (nodeId) => {
+    const [socket] = socketPair();
+    relay.openCircuit(socket, nodeId, '198.51.100.7');
+    return socket;
+  };
+
+  test('reserves a path for any node id and finds the node from it', () => {
+    for (const nodeId of ['0f3a9c', 'quantum_node_alpha', 'node with/slash?and#more']) {
+      const { accepted, address } = relay.handleReserve(`peer-${nodeId}`, nodeId);
+
+      expect(accepted).toBe(true);
+      expect(Relay.isRelayed(address)).toBe(true);
+      expect(Relay.target(new URL(address).pathname)).toBe(nodeId);
+      relay.reservations.clear();
+    }
+  });
+
+  test('finds no node behind other or malformed paths', () => {
+    expect(Relay.target('/peer')).toBeNull();
+    expect(Relay.target('/peer/relay/')).toBeNull();
+    expect(Relay.target('//')).toBeNull();
+    expect(Relay.target('/peer/relay/%E0%A4%A')).toBeNull();
+    expect(Relay.target(`/peer/relay/${'a'.repeat(129)}`)).toBeNull();
+    expect(Relay.isRelayed('not a url')).toBe(false);
+  });
+
+  test('refuses reservations it cannot honour', () => {
+    expect(relay.handleReserve('p1', 'x'.repeat(129))).toEqual({
+      accepted: false,
+      reason: 'node id too long for a relay path'
+    });
+
+    expect(relay.handleReserve('p1', 'alice').accepted).toBe(true);
+    expect(relay.handleReserve('p2', 'alice')).toEqual({ accepted: false, reason: 'reserved over another connection' });
+    expect(relay.handleReserve('p2', 'bob')).toEqual({ accepted: false, reason: 'no reservations free' });
+
+    // Renewals over the same connection are always granted
+    expect(relay.handleReserve('p1', 'alice').accepted).toBe(true);
+  });
+
+  test('refuses circuits beyond the reservation quota', () => {
+    relay.handleReserve('p1', 'alice');
+
+    const first = dial('alice');
+    const second = dial('alice');
+    const stranger = dial('bob');
+
+    expect(first.readyState).toBe(WebSocket.OPEN);
+    expect(second.readyState).toBe(WebSocket.CLOSED);
+    expect(stranger.readyState).toBe(WebSocket.CLOSED);
+    expect(sent).toEqual([['p1', 'quantum:relay:open']]);
+  });
+
+  test('closes a circuit once it exceeds the bandwidth quota', () => {
+    relay.handleReserve('p1', 'alice');
+    const socket = dial('alice');
+
+    socket.emit('message', Buffer.from('0123456789'));
+    expect(sent.at(-1)).toEqual(['p1', 'quantum:relay:data']);
+
+    // The reserved node's replies count against the same quota
+    const [circuitId] = relay.circuits.keys();
+    relay.handleData({ circuitId, data: '0123456789' }, 'p1');
+
+    expect(socket.readyState).toBe(WebSocket.CLOSED);
+    expect(closed).toEqual([['bandwidth quota exceeded', 20]]);
+    expect(sent.at(-1)).toEqual(['p1', 'quantum:relay:close']);
+  });
+
+  test('closes a circuit once it exceeds the duration quota', async () => {
+    relay.handleReserve('p1', 'alice');
+    const socket = dial('alice');
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(socket.readyState).toBe(WebSocket.CLOSED);
+    expect(closed).toEqual([['duration quota exceeded', 0]]);
+  });
+
+  test('ignores data for a circuit from anyone but the reserved node', () => {
+    relay.handleReserve('p1', 'alice');
+    const socket = dial('alice');
+    const [circuitId] = relay.circuits.keys();
+
+    relay.handleData({ circuitId, data: 'spoofed' }, 'p2');
+
+    expect(socket.sent).toEqual([]);
+    expect(relay.circuits.get(circuitId).bytes).toBe(0);
+  });
+});
@@ -0,0 +1,74 @@
+import { renderMarkdown, renderTransmission, sanitizeHtml } from '../src/lib/render.js';
+
+// Markup that must never come out able to run script
+const VECTORS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="javascript:alert(1)">',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '<a href="java\tscript:alert(1)">x</a>',
+  '<a href="&#106;avascript:alert(1)">x</a>',
+  '<a href="&#x6A;avascript&#x3A;alert(1)">x</a>',
+  '<a href=" javascript:alert(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<svg onload=alert(1)><script>alert(1)</script></svg>',
+  '<math><mtext><script>alert(1)</script></mtext></math>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<style>body{background:url(javascript:alert(1))}</style>',
+  '<p style="background:url(javascript:alert(1))" onclick="alert(1)">x</p>',
+  '<b onmouseover=alert(1)>x</b>',
+  '<img/src=x/onerror=alert(1)>',
+  '<<script>alert(1)//<</script>',
+  '<!--<script>alert(1)</script>-->',
+  '<textarea><script>alert(1)</script></textarea>',
+  '<input type="text" onfocus="alert(1)" autofocus>',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<object data="javascript:alert(1)"></object>',
+  '<template><img src=x onerror=alert(1)></template>',
+  '"><img src=x onerror=alert(1)>'
+];
+
+// Executable elements, event handlers, or a script scheme leading a url
+const dangerous = /<(script|iframe|svg|math|style|object|form|template|textarea)|\son[a-z]+\s*=|="\s*(javascript|vbscript|data):/i;
+
+describe('sanitizeHtml', () => {
+  test.each(VECTORS)('neutralizes %s', (vector) => {
+    const output = sanitizeHtml(vector);
+    expect(output).not.toMatch(dangerous);
+    // Obfuscated schemes lose the attribute rather than keep a mangled url
+    expect(output).not.toMatch(/(href|src)="[^"]*(script|data):/i);
+  });
+
+  test.each(VECTORS)('neutralizes %s in markdown', (vector) => {
+    expect(renderMarkdown(vector)).not.toMatch(dangerous);
+    expect(renderMarkdown(`[x](${vector})`)).not.toMatch(dangerous);
+  });
+
+  test('keeps allowlisted markup and safe links', () => {
+    expect(sanitizeHtml('<p><a href="https://example.com/" title="t">link</a> <em>and</em></p>'))
+      .toBe('<p><a href="https://example.com/" title="t" rel="noopener noreferrer nofollow">link</a> <em>and</em></p>');
+    expect(sanitizeHtml('<a href="/relative">x</a><a href="//evil.example">y</a>'))
+      .toBe('<a href="/relative" rel="noopener noreferrer nofollow">x</a><a rel="noopener noreferrer nofollow">y</a>');
+  });
+
+  test('escapes text and balances tags', () => {
+    expect(sanitizeHtml('1 < 2 &amp; <b>bold')).toBe('1 &lt; 2 &amp; <b>bold</b>');
+    expect(sanitizeHtml('<em>a</b></em>')).toBe('<em>a</em>');
+  });
+
+  test('only static checkboxes survive', () => {
+    expect(sanitizeHtml('<input type="checkbox" checked>')).toBe('<input type="checkbox" checked disabled>');
+    expect(sanitizeHtml('<input type="text">')).toBe('');
+  });
+});
+
+describe('renderTransmission', () => {
+  test('renders markdown content and sanitizes legacy html', () => {
+    expect(renderTransmission({ content: '**hi**', metadata: { format: 'markdown' } }))
+      .toBe('<p><strong>hi</strong></p>\n');
+    expect(renderTransmission({ content: '<b onclick="x()">hi</b>', metadata: {} })).toBe('<b>hi</b>');
+  });
+});
@@ -0,0 +1,126 @@
+import { Reputation } from '../src/lib/reputation.js';
+import { testConfig } from './helpers.js';
+
+describe('Reputation', () => {
+  let config;
+  let reputation;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    reputation = new Reputation(config);
+  });
+
+  afterEach(async () => {
+    await reputation.saving;
+    await config.cleanup();
+  });
+
+  const mallory = { nodeId: 'mallory', host: '198.51.100.7' };
+
+  // Move a peer's last offence back in time
+  const age = (key, minutes) => {
+    reputation.scores.get(key).updatedAt -= minutes * 60000;
+  };
+
+  test('takes each category\'s penalty off the score', () => {
+    const penalized = [];
+    reputation.on('reputation:penalized', event => penalized.push(event));
+
+    reputation.penalize(mallory, 'malformed_message');
+    reputation.penalize(mallory, 'invalid_signature');
+    reputation.penalize(mallory, 'malformed_message');
+
+    expect(reputation.getScore(mallory)).toEqual({
+      score: expect.closeTo(55, 2),
+      offences: { malformed_message: 2, invalid_signature: 1 }
+    });
+    expect(penalized.map(({ kind, id, penalty }) => [kind, id, penalty])).toEqual([
+      ['node', 'mallory', 10],
+      ['node', 'mallory', 25],
+      ['node', 'mallory', 10]
+    ]);
+    expect(() => reputation.penalize(mallory, 'rudeness')).toThrow(RangeError);
+  });
+
+  test('scores peers by host until they prove a node id', () => {
+    reputation.penalize({ host: '[::ffff:198.51.100.7]' }, 'protocol_violation');
+
+    expect(reputation.getScore({ host: '198.51.100.7' }).score).toBeCloseTo(80, 2);
+    expect(reputation.getScore(mallory).score).toBe(100);
+  });
+
+  test('earns points back over time, up to the initial score', () => {
+    const { recoveryRate } = config.security.reputation;
+    reputation.penalize(mallory, 'handshake_failure');
+
+    age('node:mallory', 10);
+    expect(reputation.getScore(mallory).score).toBeCloseTo(66 + 10 * recoveryRate, 2);
+
+    age('node:mallory', 60);
+    expect(reputation.getScore(mallory).score).toBe(100);
+
+    // Recovered peers are forgotten
+    reputation.prune();
+    expect(reputation.scores.size).toBe(0);
+  });
+
+  test('bans a peer once its score reaches the threshold', () => {
+    const banned = [];
+    reputation.on('reputation:banned', ban => banned.push(ban));
+
+    expect(reputation.penalize(mallory, 'handshake_failure')).toBeNull();
+    expect(reputation.penalize(mallory, 'handshake_failure')).toBeNull();
+    const ban = reputation.penalize(mallory, 'handshake_failure');
+
+    expect(ban).toMatchObject({ kind: 'node', id: 'mallory', reason: 'handshake_failure' });
+    expect(ban.expiresAt - ban.bannedAt).toBe(config.security.access.lockoutPeriod);
+    expect(banned).toEqual([ban]);
+    expect(reputation.isBanned(mallory)).toBe(true);
+    expect(reputation.isBanned({ host: mallory.host })).toBe(false);
+
+    // Nothing more is counted against a banned peer
+    expect(reputation.penalize(mallory, 'handshake_failure')).toBeNull();
+    expect(reputation.scores.has('node:mallory')).toBe(false);
+  });
+
+  test('a peer that recovers in between stays clear of the threshold', () => {
+    reputation.penalize(mallory, 'handshake_failure');
+    reputation.penalize(mallory, 'handshake_failure');
+    age('node:mallory', 5);
+
+    expect(reputation.penalize(mallory, 'handshake_failure')).toBeNull();
+    expect(reputation.isBanned(mallory)).toBe(false);
+  });
+
+  test('keeps bans across restarts until they expire', async () => {
+    const ban = reputation.ban({ kind: 'host', id: '198.51.100.7' }, { reason: 'spam', duration: 60000 });
+    await reputation.saving;
+
+    const restarted = new Reputation(config);
+    await restarted.load();
+    expect(restarted.getBans()).toEqual([ban]);
+    expect(restarted.isBanned({ host: '198.51.100.7' })).toBe(true);
+
+    restarted.prune(ban.expiresAt);
+    expect(restarted.getBans()).toEqual([]);
+    await restarted.saving;
+  });
+
+  test('stops cleanly while a ban is still being written', async () => {
+    const ban = reputation.ban({ kind: 'node', id: 'mallory' });
+    await reputation.stop();
+
+    const restarted = new Reputation(config);
+    await restarted.load();
+    expect(restarted.getBans()).toEqual([ban]);
+  });
+
+  test('lifts a ban on request', () => {
+    const ban = reputation.ban({ kind: 'node', id: 'mallory' });
+
+    expect(reputation.unban({ kind: 'node', id: 'mallory' })).toEqual(ban);
+    expect(reputation.isBanned(mallory)).toBe(false);
+    expect(reputation.unban({ kind: 'node', id: 'mallory' })).toBeNull();
+    expect(() => reputation.ban({ kind: 'planet', id: 'mars' })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,77 @@
+import { RouteTable } from '../src/lib/routes.js';
+import { testConfig } from './helpers.js';
+
+describe('RouteTable', () => {
+  let config;
+  let table;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.routing.quantumPathfinding.maxDepth = 4;
+    table = new RouteTable(config);
+    table.setSelf('self');
+  });
+
+  afterEach(() => config.cleanup());
+
+  const hops = (destination) => table.getRoutes()
+    .find(({ nodeId }) => nodeId === destination)?.routes.map(({ via, hops }) => [via, hops]);
+
+  test('learns destinations a hop further than a neighbour advertises them', () => {
+    table.update('bob', [{ nodeId: 'carol', hops: 1 }, { nodeId: 'dave', hops: 2 }]);
+    table.update('erin', [{ nodeId: 'dave', hops: 1 }]);
+
+    expect(hops('bob')).toEqual([['bob', 1]]);
+    expect(hops('carol')).toEqual([['bob', 2]]);
+    expect(hops('dave')).toEqual([['erin', 2], ['bob', 3]]);
+    expect(table.nextHop('dave')).toBe('erin');
+    expect(table.nextHop('dave', via => via !== 'erin')).toBe('bob');
+  });
+
+  test('withdraws whatever a neighbour stops advertising', () => {
+    table.update('bob', [{ nodeId: 'carol', hops: 1 }, { nodeId: 'dave', hops: 1 }]);
+    table.update('bob', [{ nodeId: 'carol', hops: 1 }]);
+
+    expect(hops('dave')).toBeUndefined();
+    expect(hops('carol')).toEqual([['bob', 2]]);
+
+    table.removeVia('bob');
+    expect(table.size).toBe(0);
+  });
+
+  test('leaves routes through a neighbour out of what it is told', () => {
+    table.addNeighbour('bob');
+    table.addNeighbour('erin');
+    table.update('bob', [{ nodeId: 'carol', hops: 1 }]);
+
+    expect(table.advertisement('bob')).toEqual([{ nodeId: 'erin', hops: 1 }]);
+    expect(table.advertisement('erin')).toEqual([
+      { nodeId: 'bob', hops: 1 },
+      { nodeId: 'carol', hops: 2 }
+    ]);
+  });
+
+  test('treats routes past the hop limit as unreachable', () => {
+    table.update('bob', [
+      { nodeId: 'near', hops: 2 },
+      { nodeId: 'edge', hops: 3 },
+      { nodeId: 'far', hops: 4 },
+      { nodeId: 'self', hops: 1 },
+      { nodeId: 'odd', hops: 1.5 }
+    ]);
+
+    expect(table.getRoutes().map(({ nodeId }) => nodeId).sort()).toEqual(['bob', 'edge', 'near']);
+
+    // Routes already at the limit go no further
+    expect(table.advertisement('erin').map(({ nodeId }) => nodeId).sort()).toEqual(['bob', 'near']);
+  });
+
+  test('expires routes not refreshed in time', () => {
+    const { routeTimeout } = config.peer.routing;
+    table.update('bob', [{ nodeId: 'carol', hops: 1 }], 1000);
+    table.update('erin', [], 1000 + routeTimeout / 2);
+
+    table.expire(1000 + routeTimeout);
+    expect(table.getRoutes().map(({ nodeId }) => nodeId)).toEqual(['erin']);
+  });
+});
@@ -0,0 +1,60 @@
+import { SearchIndex } from '../src/lib/search_index.js';
+import { testConfig } from './helpers.js';
+
+describe('SearchIndex', () => {
+  let config;
+  let index;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    index = new SearchIndex(config);
+
+    const contents = {
+      rare: 'the signal from the void',
+      repeated: 'signal signal signal from the quiet void',
+      long: 'a signal buried in a long transmission about weather, tides, static and many other things',
+      phrase: 'the void signal answers',
+      other: 'nothing to see here'
+    };
+    for (const [id, content] of Object.entries(contents)) {
+      // Mallory claims alice's id, but only alice holds her key
+      const publicKey = id === 'phrase' ? 'mallory-key' : 'alice-key';
+      index.add({ id, content, metadata: { author: { id: 'alice', publicKey } } });
+    }
+  });
+
+  afterEach(() => config.cleanup());
+
+  const ids = (query, options) => index.search(query, options).map(result => result.id);
+
+  test('requires every term', () => {
+    expect(ids('signal void').sort()).toEqual(['phrase', 'rare', 'repeated']);
+    expect(ids('signal absent')).toEqual([]);
+  });
+
+  test('ranks higher term frequency and shorter documents first', () => {
+    const ranked = ids('signal');
+    expect(ranked[0]).toBe('repeated');
+    expect(ranked[ranked.length - 1]).toBe('long');
+  });
+
+  test('rarer terms weigh more than common ones', () => {
+    const score = (query) => index.search(query).find(result => result.id === 'phrase').score;
+    expect(score('answers')).toBeGreaterThan(score('signal'));
+  });
+
+  test('quoted phrases must appear in order', () => {
+    expect(ids('"void signal"')).toEqual(['phrase']);
+    expect(ids('"signal from"').sort()).toEqual(['rare', 'repeated']);
+  });
+
+  test('filters by author and forgets removed documents', () => {
+    expect(ids('void', { author: 'mallory-key' })).toEqual(['phrase']);
+    expect(ids('void', { author: 'alice-key' }).sort()).toEqual(['rare', 'repeated']);
+    expect(ids('void', { author: 'alice' })).toEqual([]);
+
+    index.remove('repeated');
+    expect(ids('signal')).not.toContain('repeated');
+    expect(ids('quiet')).toEqual([]);
+  });
+});
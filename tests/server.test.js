@@ -0,0 +1,132 @@
+import { QuantumServer } from '../src/server.js';
+import { testConfig } from './helpers.js';
+
+describe('QuantumServer routes', () => {
+  let config;
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    config.peer.network.port = 0;
+    config.peer.network.host = '127.0.0.1';
+    config.security.access.adminToken = 'hunter2';
+
+    server = new QuantumServer(config);
+    await server.initialize();
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.shutdown();
+    await config.cleanup();
+  });
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('posts a reply and reads the thread back', async () => {
+    const root = await request('POST', '/api/transmit', { content: 'into the *void*' });
+    expect(root.status).toBe(200);
+    expect(root.body.transmission).toMatchObject({ content: 'into the *void*' });
+    expect(root.body.resonance).toBe(root.body.transmission.resonance);
+
+    const reply = await request('POST', '/api/transmit', {
+      content: 'the void answers',
+      parent: root.body.transmission.id
+    });
+    expect(reply.status).toBe(200);
+
+    const thread = await request('GET', `/api/transmissions/${reply.body.transmission.id}/thread`);
+    expect(thread.status).toBe(200);
+    expect(thread.body.size).toBe(2);
+    expect(thread.body.root.id).toBe(root.body.transmission.id);
+    expect(thread.body.root.replies.map(({ id }) => id)).toEqual([reply.body.transmission.id]);
+  });
+
+  test('holds author ttls to maxTtl', async () => {
+    const { maxTtl } = config.transmission.expiry;
+
+    const longest = await request('POST', '/api/transmit', { content: 'lasting', ttl: maxTtl });
+    expect(longest.status).toBe(200);
+    expect(longest.body.transmission.metadata.ttl).toBe(maxTtl);
+
+    const longer = await request('POST', '/api/transmit', { content: 'forever', ttl: maxTtl + 1 });
+    expect([longer.status, longer.body.error]).toEqual([400, `Transmission ttl must be between 1 and ${maxTtl} ms`]);
+  });
+
+  test('refuses malformed transmissions with 400', async () => {
+    const unknown = 'a'.repeat(64);
+
+    for (const [body, error] of [
+      [{}, 'Invalid content'],
+      [{ content: 42 }, 'Invalid content'],
+      [{ content: '   ' }, 'Invalid content'],
+      [{ content: 'reply', parent: 'not-an-id' }, 'Invalid parent'],
+      [{ content: 'reply', parent: unknown }, `Unknown parent transmission: ${unknown}`],
+      [{ content: 'brief', ttl: 0 }, 'Invalid ttl'],
+      [{ content: 'brief', ttl: 1.5 }, 'Invalid ttl']
+    ]) {
+      const { status, body: answer } = await request('POST', '/api/transmit', body);
+      expect([status, answer.error]).toEqual([400, error]);
+    }
+  });
+
+  test('lists the peers in the address book', async () => {
+    const { addressBook } = server.ghostNet.peerNetwork;
+    addressBook.add({ address: 'wss://node.example/peer', nodeId: 'node-1', lastSeen: Date.now() - 1000 }, 'alice');
+    addressBook.add({ address: 'wss://node.example:8443/peer', nodeId: 'node-1' }, 'alice');
+    addressBook.add({ address: 'wss://unnamed.example/peer', lastSeen: Date.now() - 2000 }, 'alice');
+
+    const { status, body } = await request('GET', '/api/peers/known');
+    expect(status).toBe(200);
+    expect(body.peers).toEqual(addressBook.getKnown());
+    expect(body.peers.map(({ nodeId, addresses }) => [nodeId, addresses.map(({ address }) => address)])).toEqual([
+      ['node-1', ['wss://node.example/peer', 'wss://node.example:8443/peer']],
+      [null, ['wss://unnamed.example/peer']]
+    ]);
+  });
+
+  describe('admin routes', () => {
+    const admin = { authorization: 'Bearer hunter2' };
+
+    test('refuse requests without the admin bearer token', async () => {
+      for (const headers of [{}, { authorization: 'Bearer hunter3' }, { authorization: 'Basic hunter2' }]) {
+        const { status, body } = await request('POST', '/api/peers/bans', { nodeId: 'mallory' }, headers);
+        expect([status, body.error]).toEqual([401, 'Admin token required']);
+      }
+      expect((await request('DELETE', '/api/peers/bans/node/mallory', undefined, { authorization: 'Bearer' })).status)
+        .toBe(401);
+      expect(server.ghostNet.getBans()).toEqual([]);
+    });
+
+    test('are disabled without a configured token', async () => {
+      config.security.access.adminToken = null;
+
+      const { status, body } = await request('GET', '/api/peers/bans', undefined, admin);
+      expect([status, body.error]).toEqual([403, 'Admin endpoints are disabled']);
+    });
+
+    test('ban and unban with the admin bearer token', async () => {
+      const banned = await request('POST', '/api/peers/bans', { nodeId: 'mallory', reason: 'spam', duration: 60000 }, admin);
+      expect(banned.status).toBe(200);
+      expect(banned.body.ban).toMatchObject({ kind: 'node', id: 'mallory', reason: 'spam' });
+
+      const listed = await request('GET', '/api/peers/bans', undefined, admin);
+      expect(listed.body.bans).toEqual([banned.body.ban]);
+
+      const lifted = await request('DELETE', '/api/peers/bans/node/mallory', undefined, admin);
+      expect([lifted.status, lifted.body.ban]).toEqual([200, banned.body.ban]);
+      expect((await request('DELETE', '/api/peers/bans/node/mallory', undefined, admin)).status).toBe(404);
+
+      const malformed = await request('POST', '/api/peers/bans', { nodeId: 'mallory', host: '198.51.100.7' }, admin);
+      expect([malformed.status, malformed.body.error]).toEqual([400, 'Ban exactly one of nodeId or host']);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { Buffer } from 'buffer';
+import { TransmissionHandler } from '../src/lib/transmission.js';
+import { pairedKeyrings, testConfig } from './helpers.js';
+
+describe('session keys', () => {
+  let config;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    ({ alice, bob } = pairedKeyrings(config));
+  });
+
+  afterEach(() => config.cleanup());
+
+  test('both sides agree on the session key', () => {
+    expect(alice.getSendingKey('bob').key.equals(bob.getReceivingKey('alice', 0))).toBe(true);
+  });
+
+  test('the receiver ratchets to an epoch the sender rotated to', () => {
+    alice.rotate('bob');
+    alice.rotate('bob');
+    const { epoch, key } = alice.getSendingKey('bob');
+
+    expect(epoch).toBe(2);
+    expect(bob.getReceivingKey('alice', 2).equals(key)).toBe(true);
+
+    // Deriving a candidate key leaves the session where it was
+    expect(bob.getSendingKey('alice').epoch).toBe(0);
+
+    bob.acceptEpoch('alice', 2);
+    expect(bob.getSendingKey('alice').epoch).toBe(2);
+    expect(bob.getSendingKey('alice').key.equals(key)).toBe(true);
+  });
+
+  test('the previous epoch stays readable only within the grace period', () => {
+    const { key } = alice.getSendingKey('bob');
+    bob.rotate('alice');
+
+    expect(bob.getReceivingKey('alice', 0).equals(key)).toBe(true);
+
+    bob.sessions.get('alice').rotatedAt -= config.security.encryption.rotationGrace + 1;
+    expect(() => bob.getReceivingKey('alice', 0)).toThrow('expired');
+  });
+
+  test('epochs too far ahead are refused', () => {
+    expect(() => bob.getReceivingKey('alice', 9)).toThrow('Unknown session key epoch');
+    expect(() => bob.getReceivingKey('alice', -1)).toThrow('Unknown session key epoch');
+  });
+
+  test('a forged envelope with a later epoch does not advance the session', async () => {
+    const sender = new TransmissionHandler(config, { sessionKeys: alice });
+    const receiver = new TransmissionHandler(config, { sessionKeys: bob });
+    const transmission = { id: 'tx-1', content: 'hello' };
+
+    const envelope = await sender._encryptTransmission(transmission, 'bob');
+    const forged = { ...envelope, epoch: 8, data: Buffer.from('garbage').toString('base64') };
+
+    await expect(receiver._decryptTransmission(forged, 'alice')).rejects.toThrow('failed authentication');
+    expect(bob.getSendingKey('alice').epoch).toBe(0);
+
+    // Genuine traffic under the current key still opens
+    await expect(receiver._decryptTransmission(envelope, 'alice')).resolves.toEqual(transmission);
+
+    // And a genuine later epoch is followed once it authenticates
+    alice.rotate('bob');
+    const rotated = await sender._encryptTransmission(transmission, 'bob');
+    await expect(receiver._decryptTransmission(rotated, 'alice')).resolves.toEqual(transmission);
+    expect(bob.getSendingKey('alice').epoch).toBe(1);
+  });
+});
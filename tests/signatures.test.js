@@ -0,0 +1,40 @@
+import {
+  canonicalize,
+  generateSigningKeyPair,
+  signMessage,
+  signPayload,
+  verifyMessage,
+  verifyPayload
+} from '../src/lib/signatures.js';
+
+describe('signatures', () => {
+  const { publicKey, privateKey } = generateSigningKeyPair();
+
+  test('canonical encoding ignores key order and undefined fields', () => {
+    expect(canonicalize({ b: 1, a: [1, { d: 2, c: undefined }] }))
+      .toBe(canonicalize({ a: [1, { d: 2 }], b: 1 }));
+  });
+
+  test('a signed payload verifies against its key', () => {
+    const payload = { id: 'abc', nested: { value: 1 } };
+    expect(verifyPayload(payload, signPayload(payload, privateKey), publicKey)).toBe(true);
+  });
+
+  test('tampered payloads and other keys are rejected', () => {
+    const payload = { id: 'abc', value: 1 };
+    const signature = signPayload(payload, privateKey);
+
+    expect(verifyPayload({ ...payload, value: 2 }, signature, publicKey)).toBe(false);
+    expect(verifyPayload(payload, signature, generateSigningKeyPair().publicKey)).toBe(false);
+    expect(verifyPayload(payload, 'not a signature', publicKey)).toBe(false);
+    expect(verifyPayload(payload, signature, 'not a key')).toBe(false);
+  });
+
+  test('messages carry a signature over every other field', () => {
+    const message = signMessage({ type: 'quantum:ping', seq: 1 }, privateKey);
+
+    expect(verifyMessage(message, publicKey)).toBe(true);
+    expect(verifyMessage({ ...message, seq: 2 }, publicKey)).toBe(false);
+    expect(verifyMessage({ ...message, extra: true }, publicKey)).toBe(false);
+  });
+});
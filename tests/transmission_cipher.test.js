@@ -0,0 +1,51 @@
+import { Buffer } from 'buffer';
+import { TransmissionHandler } from '../src/lib/transmission.js';
+import { pairedKeyrings, testConfig } from './helpers.js';
+
+describe('transmission encryption', () => {
+  let config;
+  let sender;
+  let receiver;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    const { alice, bob } = pairedKeyrings(config);
+    sender = new TransmissionHandler(config, { sessionKeys: alice });
+    receiver = new TransmissionHandler(config, { sessionKeys: bob });
+  });
+
+  afterEach(() => config.cleanup());
+
+  const transmission = { id: 'tx-1', content: 'hello void', metadata: {} };
+
+  test('round-trips through the shared session key', async () => {
+    const envelope = await sender._encryptTransmission(transmission, 'bob');
+
+    expect(envelope.algorithm).toBe(config.security.encryption.algorithm);
+    expect(envelope.data).not.toContain('hello');
+    await expect(receiver._decryptTransmission(envelope, 'alice')).resolves.toEqual(transmission);
+  });
+
+  test('rejects tampered ciphertext, tags and ids', async () => {
+    const envelope = await sender._encryptTransmission(transmission, 'bob');
+    const flipped = Buffer.from(envelope.data, 'base64');
+    flipped[0] ^= 1;
+
+    await expect(receiver._decryptTransmission({ ...envelope, data: flipped.toString('base64') }, 'alice'))
+      .rejects.toThrow('failed authentication');
+    await expect(receiver._decryptTransmission({ ...envelope, tag: '00'.repeat(16) }, 'alice'))
+      .rejects.toThrow('failed authentication');
+
+    // The id is bound in as additional data
+    await expect(receiver._decryptTransmission({ ...envelope, id: 'tx-2' }, 'alice'))
+      .rejects.toThrow('failed authentication');
+  });
+
+  test('rejects an unexpected cipher', async () => {
+    const envelope = await sender._encryptTransmission(transmission, 'bob');
+    const other = envelope.algorithm === 'aes-256-gcm' ? 'chacha20-poly1305' : 'aes-256-gcm';
+
+    await expect(receiver._decryptTransmission({ ...envelope, algorithm: other }, 'alice'))
+      .rejects.toThrow('Unexpected transmission cipher');
+  });
+});
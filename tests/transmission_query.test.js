@@ -0,0 +1,79 @@
+import { Buffer } from 'buffer';
+import { TransmissionHandler } from '../src/lib/transmission.js';
+import { testConfig } from './helpers.js';
+
+describe('transmission queries', () => {
+  let config;
+  let handler;
+
+  beforeEach(async () => {
+    config = await testConfig();
+    handler = new TransmissionHandler(config);
+
+    // Two transmissions share each timestamp, so ids break the tie
+    for (let i = 0; i < 10; i++) {
+      const transmission = {
+        id: `tx-${i}`,
+        content: `transmission ${i}`,
+        timestamp: 1000 + Math.floor(i / 2),
+        resonance: i / 10,
+        metadata: { author: { id: 'alice', publicKey: i % 2 ? 'odd-key' : 'even-key' } }
+      };
+      const buffer = i < 8 ? handler.transmissionBuffers.verified : handler.transmissionBuffers.archived;
+      buffer.set(transmission.id, transmission);
+    }
+  });
+
+  afterEach(() => config.cleanup());
+
+  const ids = ({ transmissions }) => transmissions.map(transmission => transmission.id);
+
+  test('pages through every transmission newest first without repeats', () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = handler.queryTransmissions({ cursor, limit: 3 });
+      seen.push(...ids(page));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['tx-9', 'tx-8', 'tx-7', 'tx-6', 'tx-5', 'tx-4', 'tx-3', 'tx-2', 'tx-1', 'tx-0']);
+  });
+
+  test('the last page has no cursor', () => {
+    const page = handler.queryTransmissions({ limit: 10 });
+    expect(page.transmissions).toHaveLength(10);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('a cursor stays valid while newer transmissions arrive', () => {
+    const first = handler.queryTransmissions({ limit: 4 });
+    handler.transmissionBuffers.verified.set('tx-new', { id: 'tx-new', content: 'late', timestamp: 2000 });
+
+    expect(ids(handler.queryTransmissions({ cursor: first.nextCursor, limit: 4 })))
+      .toEqual(['tx-5', 'tx-4', 'tx-3', 'tx-2']);
+  });
+
+  test('filters apply before paging', () => {
+    const page = handler.queryTransmissions({ author: 'odd-key', archived: false, minResonance: 0.2, limit: 2 });
+    expect(ids(page)).toEqual(['tx-7', 'tx-5']);
+
+    const next = handler.queryTransmissions({ author: 'odd-key', archived: false, minResonance: 0.2, cursor: page.nextCursor });
+    expect(ids(next)).toEqual(['tx-3']);
+    expect(next.nextCursor).toBeNull();
+
+    expect(ids(handler.queryTransmissions({ archived: true }))).toEqual(['tx-9', 'tx-8']);
+  });
+
+  test('filters by the signing key, not the author id every transmission claims', () => {
+    expect(ids(handler.queryTransmissions({ author: 'alice' }))).toEqual([]);
+    expect(ids(handler.queryTransmissions({ author: 'even-key', archived: false })))
+      .toEqual(['tx-6', 'tx-4', 'tx-2', 'tx-0']);
+  });
+
+  test('rejects a malformed cursor as bad input', () => {
+    for (const cursor of ['garbage', Buffer.from('[1,2]').toString('base64url')]) {
+      expect(() => handler.queryTransmissions({ cursor })).toThrow(RangeError);
+    }
+  });
+});
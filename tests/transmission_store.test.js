@@ -0,0 +1,74 @@
+import { appendFile, readdir, stat } from 'fs/promises';
+import { join } from 'path';
+import { TransmissionStore } from '../src/lib/transmission_store.js';
+import { testConfig } from './helpers.js';
+
+describe('TransmissionStore', () => {
+  let config;
+
+  beforeEach(async () => {
+    config = await testConfig();
+  });
+
+  afterEach(() => config.cleanup());
+
+  const logs = async () =>
+    (await readdir(config.storage.transmissionDir)).filter(name => name.endsWith('.log'));
+
+  test('replays the log written after the last index', async () => {
+    const store = new TransmissionStore(config);
+    await store.open();
+
+    await store.put('pending', 'a', { id: 'a', content: 'first' });
+    await store.put('pending', 'b', { id: 'b', content: 'second' });
+    await store.move('a', 'pending', 'verified');
+    await store.delete('pending', 'b');
+    // No close: the index still describes the empty log
+
+    const buffers = await new TransmissionStore(config).open();
+    expect([...buffers.verified]).toEqual([['a', { id: 'a', content: 'first' }]]);
+    expect(buffers.pending.size).toBe(0);
+  });
+
+  test('truncates a torn final record and keeps everything before it', async () => {
+    const store = new TransmissionStore(config);
+    await store.open();
+    await store.put('pending', 'a', { id: 'a' });
+
+    const [log] = await logs();
+    const path = join(config.storage.transmissionDir, log);
+    const { size } = await stat(path);
+    await appendFile(path, '0123456789abcdef {"seq":2,"op":"put","buf');
+
+    const reopened = new TransmissionStore(config);
+    const buffers = await reopened.open();
+
+    expect([...buffers.pending.keys()]).toEqual(['a']);
+    expect((await stat(path)).size).toBe(size);
+
+    // Later appends land after the last good record
+    await reopened.put('pending', 'b', { id: 'b' });
+    await reopened.close();
+    expect([...(await new TransmissionStore(config).open()).pending.keys()]).toEqual(['a', 'b']);
+  });
+
+  test('compaction keeps only live records in a new generation', async () => {
+    config.storage.compaction = { threshold: 0.5, minLogSize: 1, indexEvery: 500 };
+    const store = new TransmissionStore(config);
+    await store.open();
+
+    await store.put('pending', 'keep', { id: 'keep' });
+    for (let i = 0; i < 4; i++) {
+      await store.put('pending', 'churn', { id: 'churn', revision: i });
+    }
+    await store.delete('pending', 'churn');
+    await store.close();
+
+    expect(store.generation).toBeGreaterThan(0);
+    expect(store.liveBytes).toBe(store.logSize);
+    expect(await logs()).toEqual([`transmissions.${store.generation}.log`]);
+
+    const buffers = await new TransmissionStore(config).open();
+    expect([...buffers.pending]).toEqual([['keep', { id: 'keep' }]]);
+  });
+});
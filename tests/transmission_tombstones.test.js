@@ -0,0 +1,122 @@
+import { TransmissionHandler } from '../src/lib/transmission.js';
+import { signPayload } from '../src/lib/signatures.js';
+import { makeIdentity, testConfig } from './helpers.js';
+
+describe('transmission tombstones', () => {
+  let config;
+  let handler;
+  let alice;
+
+  const peer = { id: 'p1' };
+  const consciousness = { level: 0.5, resonance: 0.5 };
+
+  const open = async () => {
+    const opened = new TransmissionHandler(config);
+    opened.identity = alice;
+    await opened._initializeTransmissionBuffers();
+    return opened;
+  };
+
+  beforeEach(async () => {
+    config = await testConfig();
+    alice = makeIdentity('alice');
+    handler = await open();
+  });
+
+  afterEach(async () => {
+    await handler.store.close();
+    await config.cleanup();
+  });
+
+  // A tombstone for an id, signed by whoever's identity is given
+  const tombstone = (id, identity, fields = {}) => {
+    const payload = {
+      id,
+      author: { id: identity.id, publicKey: identity.publicKey },
+      timestamp: Date.now(),
+      expiresAt: Date.now() + 60000,
+      ...fields
+    };
+    return { ...payload, signature: signPayload(payload, identity.signingKey) };
+  };
+
+  const authoredBy = (id, identity) => ({
+    id,
+    metadata: { author: { id: identity.id, publicKey: identity.publicKey } }
+  });
+
+  test('retracts a held transmission only under its author\'s key', async () => {
+    const { id } = await handler.createTransmission('soon gone', alice, consciousness);
+
+    expect(await handler.applyTombstones([tombstone(id, makeIdentity('alice'))], peer)).toEqual([]);
+    expect(handler.holdsTransmission(id)).toBe(true);
+
+    const genuine = tombstone(id, alice);
+    expect(await handler.applyTombstones([genuine], peer)).toEqual([genuine]);
+    expect(handler.holdsTransmission(id)).toBe(false);
+  });
+
+  test('refuses tombstones dated further ahead than clocks drift', async () => {
+    const { maxClockSkew } = config.transmission.tombstones;
+    const ahead = tombstone('tx-a', alice, { timestamp: Date.now() + maxClockSkew + 60000 });
+    const drifted = tombstone('tx-b', alice, { timestamp: Date.now() + maxClockSkew / 2 });
+
+    expect(await handler.applyTombstones([ahead, drifted], peer)).toEqual([drifted]);
+  });
+
+  test('keeps a tombstone no longer than a ttl and the grace after it arrived', async () => {
+    const { maxTtl, tombstoneGrace } = config.transmission.expiry;
+    await handler.applyTombstones([tombstone('tx-a', alice, { expiresAt: Date.now() + 100 * maxTtl })], peer);
+
+    const [record] = handler.transmissionBuffers.tombstones.values();
+    const until = record.receivedAt + maxTtl + tombstoneGrace;
+    expect(handler._isTombstoneExpired(record, until - 1)).toBe(false);
+    expect(handler._isTombstoneExpired(record, until)).toBe(true);
+
+    const stale = tombstone('tx-b', alice, { expiresAt: Date.now() - tombstoneGrace });
+    expect(await handler.applyTombstones([stale], peer)).toEqual([]);
+  });
+
+  test('keeps tombstones for an id we do not hold from every signer', async () => {
+    const forged = tombstone('tx-a', makeIdentity('alice'));
+    const genuine = tombstone('tx-a', alice);
+
+    await handler.applyTombstones([forged], peer);
+    expect(handler._isRetracted(authoredBy('tx-a', alice))).toBe(false);
+
+    expect(await handler.applyTombstones([genuine], peer)).toEqual([genuine]);
+    expect(handler.getTombstones()).toEqual([forged, genuine]);
+    expect(handler._isRetracted(authoredBy('tx-a', alice))).toBe(true);
+  });
+
+  test('caps tombstones for transmissions we do not hold, per peer and in total', async () => {
+    Object.assign(config.transmission.tombstones, { maxStored: 3, maxStoredPerPeer: 2 });
+    const batch = (ids) => ids.map(id => tombstone(id, alice));
+
+    expect(await handler.applyTombstones(batch(['a', 'b', 'c']), { id: 'p1' })).toHaveLength(2);
+    expect(await handler.applyTombstones(batch(['d', 'e']), { id: 'p2' })).toHaveLength(1);
+    expect(await handler.applyTombstones(batch(['f']), { id: 'p3' })).toHaveLength(0);
+
+    // Retractions of what we hold are checked against the author instead
+    const { id } = await handler.createTransmission('held', alice, consciousness);
+    expect(await handler.applyTombstones([tombstone(id, alice)], { id: 'p3' })).toHaveLength(1);
+
+    // The accounting survives a restart
+    await handler.store.close();
+    handler = await open();
+    expect(Object.fromEntries(handler.tombstoneSources)).toEqual({ p1: 2, p2: 1 });
+    expect(handler._isRetracted(authoredBy('a', alice))).toBe(true);
+
+    // Room frees up as they are forgotten
+    const [key] = handler.transmissionBuffers.tombstones.keys();
+    await handler._dropTransmission('tombstones', key);
+    expect(await handler.applyTombstones(batch(['f']), { id: 'p3' })).toHaveLength(1);
+  });
+
+  test('only takes a page of tombstones from each message', async () => {
+    config.transmission.tombstones.pageSize = 2;
+
+    const applied = await handler.applyTombstones(['a', 'b', 'c'].map(id => tombstone(id, alice)), peer);
+    expect(applied.map(({ id }) => id)).toEqual(['a', 'b']);
+  });
+});